@@ -4,6 +4,41 @@ import { io } from "socket.io-client";
 import { format } from "timeago.js";
 
 const WS_URL = import.meta.env.VITE_SERVER_URL || "http://localhost:8080";
+const API_URL = WS_URL.replace("ws://", "http://");
+
+/* ---------- auth (bearer token from /auth/login) ---------- */
+const ROLES = ["viewer", "dispatcher", "maintenance", "admin"];
+const hasRole = (user, role) =>
+  ROLES.indexOf(user?.role) >= ROLES.indexOf(role);
+// { token, user }; the token goes on every fetch and the socket handshake
+const readSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem("authSession") || "null");
+  } catch {
+    return null;
+  }
+};
+let authToken = readSession()?.token ?? null;
+let onUnauthorized = () => {};
+// tenant being viewed; the server pins non-staff users to their own org
+let currentOrg = localStorage.getItem("orgId");
+const setCurrentOrg = (org) => {
+  currentOrg = org || null;
+  if (org) localStorage.setItem("orgId", org);
+  else localStorage.removeItem("orgId");
+};
+const apiFetch = (path, opts = {}) =>
+  fetch(`${API_URL}${path}`, {
+    ...opts,
+    headers: {
+      ...opts.headers,
+      ...(authToken && { authorization: `Bearer ${authToken}` }),
+      ...(currentOrg && { "x-org-id": currentOrg }),
+    },
+  }).then((res) => {
+    if (res.status === 401) onUnauthorized();
+    return res;
+  });
 
 /* ---------- utilities ---------- */
 const NOW = () => Date.now();
@@ -12,6 +47,39 @@ const MPH = (v) => (Number.isFinite(v) ? v : null);
 const clamp = (n, lo, hi) => Math.max(lo, Math.min(hi, n));
 const cx = (...a) => a.filter(Boolean).join(" ");
 const fmtLocation = (c, s) => (c && s ? `${c}, ${s}` : c || s || undefined);
+// 134 min -> "2h 14m"
+const fmtDuration = (ms) => {
+  if (!Number.isFinite(ms)) return "—";
+  const m = Math.round(ms / 60_000);
+  if (m < 1) return "<1m";
+  if (m < 60) return `${m}m`;
+  const h = Math.floor(m / 60);
+  if (h < 24) return `${h}h ${m % 60}m`;
+  return `${Math.floor(h / 24)}d ${h % 24}h`;
+};
+// "At: Dallas Yard for 2h 14m" while inside a geofence (latest entered)
+const zoneLabel = (row) => {
+  const zone = row?.zones?.[0];
+  if (!zone) return undefined;
+  return `At: ${zone.name} for ${fmtDuration(
+    NOW() - Date.parse(zone.enteredAt)
+  )}`;
+};
+// server-side fix screening counters (see gpsfilter.js)
+const GPS_REJECTS = [
+  ["outOfOrder", "late"],
+  ["jump", "jump"],
+  ["inaccurate", "inaccurate"],
+];
+const gpsQualityLabel = (q) => {
+  if (!q) return undefined;
+  const rejected = GPS_REJECTS.filter(([k]) => q[k] > 0).map(
+    ([k, label]) => `${q[k]} ${label}`
+  );
+  return rejected.length
+    ? `${q.accepted} ok · dropped ${rejected.join(", ")}`
+    : `${q.accepted} ok`;
+};
 const truncateMiddle = (str, max) => {
   const s = String(str ?? "");
   if (s.length <= max) return s;
@@ -25,6 +93,14 @@ const signalTone = (ts) => {
   if (age < 60_000) return { label: "Warm", tone: "amber" };
   return { label: "Stale", tone: "red" };
 };
+// the server's offline flag (per asset type threshold) wins over freshness
+const connectivityTone = (row) =>
+  row.offline
+    ? {
+        label: `Offline ${fmtDuration(NOW() - Date.parse(row.offline.since))}`,
+        tone: "red",
+      }
+    : signalTone(row.lastUpdateTs);
 const sevTone = (s) =>
   s === "critical"
     ? "red"
@@ -34,27 +110,135 @@ const sevTone = (s) =>
     ? "blue"
     : "neutral";
 
-/* ---------- SPN Knowledge Base (Feature #4) ---------- */
-const SPN_KB = {
-  1322: {
-    name: "Engine Misfire (Multiple Cylinders)",
-    likely: "Random/multiple misfire; fuel quality/air/ignition.",
-    impact: "Rough running, power loss, possible catalyst damage.",
-    action: "Check misfire counts, fuel/air, coils/plugs, compression.",
-  },
-  1327: {
-    name: "Engine Cylinder 5 Misfire Rate",
-    likely: "Coil/plug, injector, compression on cylinder 5.",
-    impact: "Vibration, MIL likely on.",
-    action: "Swap test coil/plug/injector; balance, compression/leakdown.",
-  },
-  1328: {
-    name: "Engine Cylinder 6 Misfire Rate",
-    likely: "Coil/plug, injector, compression on cylinder 6.",
-    impact: "Vibration and power loss under load.",
-    action: "Swap test parts, verify mechanical integrity.",
-  },
+/* ---------- vehicle stats (engine, fuel, odometer, ...) ---------- */
+const METERS_PER_MILE = 1609.344;
+const engineTone = (s) =>
+  s === "on" ? "emerald" : s === "idle" ? "amber" : "neutral";
+const levelTone = (pct) => (pct < 10 ? "red" : pct < 25 ? "amber" : "neutral");
+// [{ key, label, value, tone }] for whichever stats the asset has reported
+const vehicleStats = (row) => {
+  const out = [];
+  const fin = Number.isFinite;
+  if (row.engineState)
+    out.push({
+      key: "engine",
+      label: "Engine",
+      value: row.engineState.charAt(0).toUpperCase() + row.engineState.slice(1),
+      tone: engineTone(row.engineState),
+    });
+  // idle episode tracked by the server, not just mph < 1 right now
+  if (row.idle?.started)
+    out.push({
+      key: "idle",
+      label: "Idling",
+      value: fmtDuration(NOW() - Date.parse(row.idle.since)),
+      tone: "amber",
+    });
+  if (fin(row.fuelPercent))
+    out.push({
+      key: "fuel",
+      label: "Fuel",
+      value: `${Math.round(row.fuelPercent)}%`,
+      tone: levelTone(row.fuelPercent),
+    });
+  if (fin(row.defPercent))
+    out.push({
+      key: "def",
+      label: "DEF",
+      value: `${Math.round(row.defPercent)}%`,
+      tone: levelTone(row.defPercent),
+    });
+  const odo = fin(row.odometerMeters)
+    ? row.odometerMeters
+    : row.gpsOdometerMeters;
+  if (fin(odo))
+    out.push({
+      key: "odometer",
+      label: fin(row.odometerMeters) ? "Odometer" : "Odometer (GPS)",
+      value: `${Math.round(odo / METERS_PER_MILE).toLocaleString()} mi`,
+      tone: "neutral",
+    });
+  if (fin(row.engineHours))
+    out.push({
+      key: "hours",
+      label: "Engine hours",
+      value: `${row.engineHours.toLocaleString(undefined, {
+        maximumFractionDigits: 1,
+      })} h`,
+      tone: "neutral",
+    });
+  if (fin(row.batteryVolts))
+    out.push({
+      key: "battery",
+      label: "Battery",
+      value: `${row.batteryVolts.toFixed(1)} V`,
+      tone: row.batteryVolts < 11.8 ? "amber" : "neutral",
+    });
+  if (fin(row.coolantTempC))
+    out.push({
+      key: "coolant",
+      label: "Coolant",
+      value: `${Math.round((row.coolantTempC * 9) / 5 + 32)}°F`,
+      tone: row.coolantTempC > 105 ? "red" : "neutral",
+    });
+  return out;
+};
+
+/* ---------- SPN / FMI knowledge base (served by /kb) ---------- */
+// per org: a fleet's own entries shadow the shared ones
+const kbCache = new Map(); // "acme/spn:1327" -> Promise<entry | null>
+const fetchKb = (type, id) => {
+  const key = `${currentOrg}/${type}:${id}`;
+  if (!kbCache.has(key)) {
+    kbCache.set(
+      key,
+      apiFetch(`/kb/${type}/${id}`)
+        .then((r) => (r.ok ? r.json() : null))
+        .catch(() => {
+          kbCache.delete(key); // network error: retry next time
+          return null;
+        })
+    );
+  }
+  return kbCache.get(key);
+};
+function useKbEntry(type, id) {
+  const [entry, setEntry] = useState(null);
+  useEffect(() => {
+    setEntry(null);
+    if (id == null) return;
+    let live = true;
+    fetchKb(type, id).then((e) => live && setEntry(e));
+    return () => {
+      live = false;
+    };
+  }, [type, id]);
+  return entry;
+}
+// SPN/FMI numbers from the fault's meta, or parsed from "SPN 1327 FMI 11"
+const spnFmiOf = (f) => {
+  const num = (re) => {
+    const m = re.exec(f?.code || "");
+    return m ? Number(m[1]) : undefined;
+  };
+  return {
+    spn: f?.meta?.spn ?? num(/SPN\s+(\d+)/i),
+    fmi: f?.meta?.fmi ?? num(/FMI\s+(\d+)/i),
+  };
+};
+// J1939 misfire SPNs, OBD-II P0300-P0312, or "misfire" in the description
+const isMisfire = (f) => {
+  const d = (f.description || "") + " " + (f.code || "");
+  return (
+    /misfire/i.test(d) ||
+    /SPN\s*(1322|1327|1328)/i.test(d) ||
+    /\bP03(0\d|1[0-2])\b/i.test(f.code || "")
+  );
 };
+const dtcStatusTone = (s) =>
+  s === "permanent" ? "red" : s === "confirmed" ? "amber" : "neutral";
+const riskTone = (r) =>
+  r === "high" ? "red" : r === "medium" ? "amber" : "neutral";
 
 /* ---------- theme (Auto/Light/Dark) ---------- */
 function useTheme() {
@@ -81,12 +265,149 @@ function useTheme() {
 
 /* ---------- App ---------- */
 export default function App() {
+  // undefined while the stored token is being checked, null when logged out
+  const [user, setUser] = useState(undefined);
+  const [org, setOrg] = useState(currentOrg);
+  const [orgs, setOrgs] = useState([]); // what the fleet switcher offers
+
+  const logout = () => {
+    authToken = null;
+    localStorage.removeItem("authSession");
+    setUser(null);
+  };
+
+  // who we are and which org we're looking at
+  async function loadSession() {
+    try {
+      // also succeeds without a token when the server runs with AUTH_DISABLED
+      let res = await apiFetch("/auth/me");
+      if (res.status === 403 && currentOrg) {
+        setCurrentOrg(null); // remembered org is gone or not ours
+        res = await apiFetch("/auth/me");
+      }
+      const me = res.ok ? await res.json() : null;
+      if (!me) return setUser(null);
+      setCurrentOrg(me.org);
+      const list = await apiFetch("/orgs").then((r) => r.json());
+      setOrgs(list.items || []);
+      setOrg(me.org);
+      setUser(me.user);
+    } catch {
+      // server unreachable: keep the stored session and show cached rows
+      setUser(readSession()?.user ?? null);
+    }
+  }
+
+  useEffect(() => {
+    onUnauthorized = logout;
+    loadSession();
+  }, []);
+
+  if (user === undefined) return null;
+  if (!user)
+    return (
+      <Login
+        onLogin={(session) => {
+          authToken = session.token;
+          localStorage.setItem("authSession", JSON.stringify(session));
+          kbCache.clear(); // may hold 401s from before the login
+          loadSession();
+        }}
+      />
+    );
+  // a new org means a new socket room and fresh state
+  return (
+    <Dashboard
+      key={org}
+      user={user}
+      org={org}
+      orgs={orgs}
+      onSwitchOrg={(id) => {
+        setCurrentOrg(id);
+        setOrg(id);
+      }}
+      onLogout={logout}
+    />
+  );
+}
+
+function Login({ onLogin }) {
+  useTheme();
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState(null);
+
+  async function submit(e) {
+    e.preventDefault();
+    setBusy(true);
+    setErr(null);
+    try {
+      const res = await fetch(`${API_URL}/auth/login`, {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ username, password }),
+      });
+      const json = await res.json();
+      if (!json.ok) throw new Error(json.error || "Login failed");
+      onLogin({ token: json.token, user: json.user });
+    } catch (e) {
+      setErr(e.message);
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="min-h-screen grid place-items-center bg-neutral-50 text-neutral-900 dark:bg-neutral-950 dark:text-neutral-100 px-4">
+      <form
+        onSubmit={submit}
+        className="w-full max-w-sm rounded-2xl border border-neutral-200 bg-white p-6 shadow-sm dark:bg-neutral-900 dark:border-neutral-800"
+      >
+        <div className="flex items-center gap-3">
+          <div className="h-9 w-9 rounded-2xl bg-gradient-to-br from-emerald-500 to-cyan-500 text-white grid place-items-center font-semibold">
+            A
+          </div>
+          <h1 className="text-lg font-semibold tracking-tight">
+            atsi.ai — Live Fleet Board
+          </h1>
+        </div>
+        <div className="mt-5 space-y-3">
+          <Input
+            value={username}
+            onChange={setUsername}
+            placeholder="Username"
+          />
+          <Input
+            type="password"
+            value={password}
+            onChange={setPassword}
+            placeholder="Password"
+          />
+        </div>
+        {err && <div className="mt-3 text-sm text-rose-600">{err}</div>}
+        <button
+          type="submit"
+          disabled={busy || !username || !password}
+          className="mt-5 w-full rounded-xl bg-neutral-900 px-3 py-2 text-sm font-medium text-white disabled:opacity-50 dark:bg-white dark:text-neutral-900"
+        >
+          {busy ? "Signing in…" : "Sign in"}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+function Dashboard({ user, org, orgs, onSwitchOrg, onLogout }) {
   const [themeMode, setThemeMode] = useTheme();
+  // help requests and acks need dispatcher or above
+  const canDispatch = hasRole(user, "dispatcher");
+  // alert rules that send off the server (webhook, email, Slack) need admin
+  const canSendOut = hasRole(user, "admin");
 
   const [rows, setRows] = useState(() => {
     try {
       const cached = JSON.parse(
-        localStorage.getItem("lastSnapshotRows") || "[]"
+        localStorage.getItem(`lastSnapshotRows:${org}`) || "[]"
       );
       const m = new Map();
       for (const it of cached) m.set(it.id, it);
@@ -102,6 +423,7 @@ export default function App() {
   const historyRef = useRef(new Map()); // id -> mph[]
   const lastEventsRef = useRef(new Map()); // id -> [{time, mph, lat, lon}]
   const lastPointRef = useRef(new Map()); // id -> {t, lat, lon} (for interpolation)
+  const syncRef = useRef({ epoch: null, seq: 0 }); // server sync cursor
 
   // UI state (persisted)
   const [quick, setQuick] = useState(
@@ -163,7 +485,7 @@ export default function App() {
     }
   });
 
-  // NEW — Fault watchlist (SPN/FMI substrings)
+  // NEW — Fault watchlist (SPN/FMI or OBD-II code substrings)
   const [watchlist, setWatchlist] = useState(() => {
     try {
       return new Set(
@@ -191,6 +513,19 @@ export default function App() {
     err: null,
   });
 
+  // help tickets (Help Queue panel); id -> ticket
+  const [helpOpen, setHelpOpen] = useState(false);
+  const [idleReportOpen, setIdleReportOpen] = useState(false);
+  // alerts fired by the server's rules, newest first
+  const [alertsOpen, setAlertsOpen] = useState(false);
+  const [alertLog, setAlertLog] = useState([]);
+  const [tickets, setTickets] = useState(() => new Map());
+  const upsertTicket = (t) => setTickets((prev) => new Map(prev).set(t.id, t));
+  const openTickets = useMemo(
+    () => [...tickets.values()].filter((t) => t.status !== "resolved").length,
+    [tickets]
+  );
+
   // modal (asset details)
   const [active, setActive] = useState(null);
 
@@ -206,6 +541,19 @@ export default function App() {
     setTimeout(() => setToast(null), 1200);
   };
 
+  // (re)load tickets whenever the socket (re)connects
+  useEffect(() => {
+    if (!connected) return;
+    apiFetch("/help?limit=500")
+      .then((r) => r.json())
+      .then((json) => setTickets(new Map(json.items.map((t) => [t.id, t]))))
+      .catch(() => {});
+    apiFetch("/alerts?limit=100")
+      .then((r) => r.json())
+      .then((json) => setAlertLog(json.items || []))
+      .catch(() => {});
+  }, [connected]);
+
   // small clock
   useEffect(() => {
     const t = setInterval(() => setNow(new Date()), 1000);
@@ -308,19 +656,39 @@ export default function App() {
     window.location.hash = p.toString() || "";
   };
 
-  // ----- sockets (match your server: snapshot, update, fault, help) -----
+  // ----- sockets (match your server: snapshot, delta, update, fault, help) -----
   useEffect(() => {
     const socket = io(WS_URL, {
       transports: ["polling", "websocket"],
       timeout: 10000,
       withCredentials: false,
+      // re-evaluated on every (re)connect so the server can send a delta
+      auth: (cb) =>
+        cb({
+          token: authToken,
+          org: currentOrg,
+          epoch: syncRef.current.epoch,
+          sinceSeq: syncRef.current.seq,
+        }),
     });
+    const trackSeq = (s) => {
+      if (Number.isFinite(s) && s > syncRef.current.seq)
+        syncRef.current.seq = s;
+    };
 
     socket.on("connect", () => setConnected(true));
     socket.on("disconnect", () => setConnected(false));
+    socket.on("connect_error", (err) => {
+      if (err.message === "unauthorized") onUnauthorized();
+    });
 
     // snapshot (cache for warm start)
-    socket.on("snapshot", (items) => {
+    socket.on("snapshot", (payload) => {
+      const items = Array.isArray(payload) ? payload : payload?.items || [];
+      syncRef.current = {
+        epoch: payload?.epoch ?? null,
+        seq: Number(payload?.seq) || 0,
+      };
       const m = new Map();
       const hist = new Map(historyRef.current);
       const ev = new Map(lastEventsRef.current);
@@ -357,14 +725,14 @@ export default function App() {
       setLastSnapshotCount(items.length);
       try {
         localStorage.setItem(
-          "lastSnapshotRows",
+          `lastSnapshotRows:${org}`,
           JSON.stringify(Array.from(m.values()))
         );
       } catch {}
     });
 
     // location/speed update
-    socket.on("update", (item) => {
+    const applyUpdate = (item) => {
       const now = NOW();
       setRows((prev) => {
         const next = new Map(prev);
@@ -402,14 +770,30 @@ export default function App() {
           lon: point.lon,
         });
       }
+    };
+    socket.on("update", (item) => {
+      trackSeq(item.seq);
+      applyUpdate(item);
+    });
+
+    // resumed after a reconnect: only the assets changed since our seq
+    socket.on("delta", ({ seq, items = [] }) => {
+      for (const it of items) applyUpdate(it);
+      trackSeq(seq);
     });
 
     // ---- faults (your server emits this per item) ----
     // payload shape (from server):
-    // { id: assetId, vin, serial, code, description, severity, active, time }
+    // { id: assetId, vin, serial, code, description, severity, active, time,
+    //   episodeId, firstSeen, lastSeen, clearedAt, durationMs, occurrences }
     socket.on("fault", (payload) => {
+      trackSeq(payload.seq);
       const key = payload.id || payload.vin;
       if (!key) return;
+      // stored faults are keyed by episode, like the server's asset state
+      const fault = payload.episodeId
+        ? { ...payload, id: payload.episodeId }
+        : payload;
 
       setRows((prev) => {
         const next = new Map(prev);
@@ -420,19 +804,25 @@ export default function App() {
           counts: {},
         };
 
-        // history (append)
-        const history = [...(prevFaults.history || []), payload].slice(-600);
+        // history: one row per episode
+        const history = [...(prevFaults.history || [])];
+        const hIdx = history.findIndex((f) => f.id === fault.id);
+        if (hIdx === -1) history.push(fault);
+        else history[hIdx] = fault;
+        if (history.length > 600) history.shift();
 
-        // active: dedupe by code
+        // active: dedupe by episode (or code for older servers)
         const active = [...(prevFaults.active || [])];
-        const idx = active.findIndex((f) => f.code === payload.code);
-        if (payload.active) {
-          if (idx === -1) active.push(payload);
+        const idx = active.findIndex((f) =>
+          payload.episodeId ? f.id === fault.id : f.code === fault.code
+        );
+        if (fault.active) {
+          if (idx === -1) active.push(fault);
           else
             active[idx] = {
               ...active[idx],
-              ...payload,
-              lastSeen: payload.time,
+              ...fault,
+              lastSeen: fault.lastSeen ?? fault.time,
             };
         } else if (idx !== -1) {
           active.splice(idx, 1);
@@ -457,32 +847,30 @@ export default function App() {
         next.set(key, merged);
         return next;
       });
+    });
 
-      // optional alert on critical and not snoozed
-      const isCritical = (payload.severity || "").toLowerCase() === "critical";
-      const snoozed = Date.now() < snoozeUntil;
-      if (isCritical && !snoozed) {
-        try {
-          beep();
-          ensureNotifs();
-          if (
-            "Notification" in window &&
-            Notification.permission === "granted"
-          ) {
-            new Notification(`Critical fault ${payload.code}`, {
-              body: `${payload.vin || payload.id}: ${
-                payload.description || "Fault"
-              }`,
-            });
-          }
-        } catch {}
-      }
+    // server alert rules with a socket channel (see Alerts panel)
+    socket.on("alert", (alert) => {
+      setAlertLog((prev) => [alert, ...prev].slice(0, 200));
+      if (Date.now() < snoozeUntil) return;
+      try {
+        beep();
+        ensureNotifs();
+        if ("Notification" in window && Notification.permission === "granted") {
+          new Notification(alert.ruleName, { body: alert.message });
+        }
+      } catch {}
+      fireToast(alert.message);
     });
 
-    // optional: someone clicked "request help"
-    socket.on("help", (req) => {
-      fireToast(`Help requested for ${req.vin || req.id}`);
+    // someone clicked "request help": a new ticket for the queue
+    socket.on("help", (ticket) => {
+      upsertTicket(ticket);
+      fireToast(
+        `Help requested for ${ticket.vin || ticket.assetId || ticket.id}`
+      );
     });
+    socket.on("help:updated", upsertTicket);
 
     return () => socket.close();
     // eslint-disable-next-line react-hooks/exhaustive-deps
@@ -524,11 +912,7 @@ export default function App() {
     return Array.from(byVin.values());
   }, [all]);
 
-  // Feature #1 + #5: misfire detection + priority scoring
-  const isMisfire = (f) => {
-    const d = (f.description || "") + " " + (f.code || "");
-    return /misfire/i.test(d) || /SPN\s*(1322|1327|1328)/i.test(d);
-  };
+  // Feature #1 + #5: misfire detection (isMisfire) + priority scoring
 
   // NEW — escalated critical if > 15 min
   const isEscalated = (f) => {
@@ -574,9 +958,11 @@ export default function App() {
       case "moving":
         return mph != null && mph >= 1;
       case "idle":
-        return mph != null && mph < 1;
+        return !!r.idle?.started;
       case "nogps":
         return r.lat == null || r.lon == null;
+      case "offline":
+        return !!r.offline;
       case "faults":
         return hasFaults;
       case "critical":
@@ -740,6 +1126,27 @@ export default function App() {
                   {WS_URL}
                 </span>
               </div>
+              {orgs.length > 1 && (
+                <Select
+                  value={org}
+                  onChange={onSwitchOrg}
+                  items={orgs.map((o) => ({ value: o.id, label: o.name }))}
+                />
+              )}
+              <div className="flex items-center gap-2 text-sm">
+                <span className="text-neutral-700 dark:text-neutral-300">
+                  {user.username ?? "anonymous"}
+                </span>
+                <Badge tone="neutral">{user.role}</Badge>
+                {user.username && (
+                  <button
+                    className="rounded-xl px-2 py-1 text-xs ring-1 ring-neutral-300 dark:ring-neutral-700"
+                    onClick={onLogout}
+                  >
+                    Log out
+                  </button>
+                )}
+              </div>
             </div>
           </div>
         </div>
@@ -796,10 +1203,39 @@ export default function App() {
                 type="button"
                 onClick={() => setSnoozeUntil(Date.now() + 5 * 60 * 1000)}
                 className="rounded-2xl border border-neutral-200 bg-white px-3 py-2 text-sm text-neutral-700 shadow-sm hover:bg-neutral-50 dark:bg-neutral-900 dark:text-neutral-200 dark:border-neutral-800 dark:hover:bg-neutral-800"
-                title="Snooze critical alerts for 5 minutes"
+                title="Silence alert sounds and popups for 5 minutes"
               >
                 Snooze 5m
               </button>
+              <button
+                type="button"
+                onClick={() => setHelpOpen(true)}
+                className="rounded-2xl border border-neutral-200 bg-white px-3 py-2 text-sm text-neutral-700 shadow-sm transition hover:bg-neutral-50 dark:bg-neutral-900 dark:text-neutral-200 dark:border-neutral-800 dark:hover:bg-neutral-800"
+                title="Open Help Queue"
+              >
+                Help Queue
+                {openTickets > 0 && (
+                  <span className="ml-1.5">
+                    <Badge tone="amber">{openTickets}</Badge>
+                  </span>
+                )}
+              </button>
+              <button
+                type="button"
+                onClick={() => setAlertsOpen(true)}
+                className="rounded-2xl border border-neutral-200 bg-white px-3 py-2 text-sm text-neutral-700 shadow-sm transition hover:bg-neutral-50 dark:bg-neutral-900 dark:text-neutral-200 dark:border-neutral-800 dark:hover:bg-neutral-800"
+                title="Alert rules and recent alerts"
+              >
+                Alerts
+              </button>
+              <button
+                type="button"
+                onClick={() => setIdleReportOpen(true)}
+                className="rounded-2xl border border-neutral-200 bg-white px-3 py-2 text-sm text-neutral-700 shadow-sm transition hover:bg-neutral-50 dark:bg-neutral-900 dark:text-neutral-200 dark:border-neutral-800 dark:hover:bg-neutral-800"
+                title="Idle time by asset or by day"
+              >
+                Idle Report
+              </button>
               {/* Feature #3: Faults Center */}
               <button
                 type="button"
@@ -899,13 +1335,9 @@ export default function App() {
                 coordPrec={coordPrec}
                 mapProvider={mapProvider}
                 setMapProvider={setMapProvider}
-                onHelp={requestHelp}
+                onHelp={canDispatch ? requestHelp : undefined}
                 isAcked={isAcked}
-                onAck={(faultId) => {
-                  if (!faultId) return;
-                  const until = Date.now() + 24 * 60 * 60 * 1000; // 24h
-                  setAck((prev) => new Map(prev).set(faultId, until));
-                }}
+                onAck={canDispatch ? ackFault : undefined}
                 faultNotes={faultNotes}
                 setFaultNotes={setFaultNotes}
                 watchlist={watchlist}
@@ -939,6 +1371,42 @@ export default function App() {
         />
       )}
 
+      {helpOpen && (
+        <HelpQueue
+          onClose={() => setHelpOpen(false)}
+          tickets={[...tickets.values()]}
+          onUpdate={canDispatch ? updateTicket : undefined}
+          onComment={canDispatch ? commentTicket : undefined}
+          onOpenAsset={(id) => {
+            setHelpOpen(false);
+            setActive(id);
+          }}
+        />
+      )}
+
+      {alertsOpen && (
+        <AlertsPanel
+          onClose={() => setAlertsOpen(false)}
+          log={alertLog}
+          canEdit={canDispatch}
+          canSendOut={canSendOut}
+          onOpenAsset={(id) => {
+            setAlertsOpen(false);
+            setActive(id);
+          }}
+        />
+      )}
+
+      {idleReportOpen && (
+        <IdleReport
+          onClose={() => setIdleReportOpen(false)}
+          onOpenAsset={(id) => {
+            setIdleReportOpen(false);
+            setActive(id);
+          }}
+        />
+      )}
+
       {/* Details Modal */}
       {active && (
         <DetailsModal
@@ -949,13 +1417,9 @@ export default function App() {
           onCopy={(m) => fireToast(m)}
           coordPrec={coordPrec}
           mapProvider={mapProvider}
-          onHelp={requestHelp}
+          onHelp={canDispatch ? requestHelp : undefined}
           isAcked={isAcked}
-          onAck={(faultId) => {
-            if (!faultId) return;
-            const until = Date.now() + 24 * 60 * 60 * 1000;
-            setAck((prev) => new Map(prev).set(faultId, until));
-          }}
+          onAck={canDispatch ? ackFault : undefined}
           faultNotes={faultNotes}
           setFaultNotes={setFaultNotes}
           onFindShops={(v) => openShopSearch(v)}
@@ -996,21 +1460,58 @@ export default function App() {
   );
 
   /* ---- actions ---- */
+  function ackFault(faultId) {
+    if (!faultId) return;
+    const until = Date.now() + 24 * 60 * 60 * 1000; // 24h
+    setAck((prev) => new Map(prev).set(faultId, until));
+  }
+
   async function requestHelp({ id, vin, faultId, code, note }) {
     try {
-      const res = await fetch(`${WS_URL.replace("ws://", "http://")}/help`, {
+      const res = await apiFetch("/help", {
         method: "POST",
         headers: { "content-type": "application/json" },
         body: JSON.stringify({ id, vin, faultId, code, note }),
       });
       const json = await res.json();
       if (!json.ok) throw new Error(json.error || "Failed");
+      upsertTicket(json.request);
       fireToast("Help requested");
     } catch (e) {
       fireToast(`Help failed: ${e.message}`);
     }
   }
 
+  async function updateTicket(id, patch) {
+    try {
+      const res = await apiFetch(`/help/${id}`, {
+        method: "PATCH",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify(patch),
+      });
+      const json = await res.json();
+      if (!json.ok) throw new Error(json.error || "Failed");
+      upsertTicket(json.ticket);
+    } catch (e) {
+      fireToast(`Update failed: ${e.message}`);
+    }
+  }
+
+  async function commentTicket(id, text) {
+    try {
+      const res = await apiFetch(`/help/${id}/comments`, {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ text }),
+      });
+      const json = await res.json();
+      if (!json.ok) throw new Error(json.error || "Failed");
+      upsertTicket(json.ticket);
+    } catch (e) {
+      fireToast(`Comment failed: ${e.message}`);
+    }
+  }
+
   // NEW — open AI shop finder
   function openShopSearch({ id, vin, lat, lon, faults = [] }) {
     const activeCodes = (faults || []).map((f) => f.code).filter(Boolean);
@@ -1019,16 +1520,13 @@ export default function App() {
 
     (async () => {
       try {
-        const res = await fetch(
-          `${WS_URL.replace("ws://", "http://")}/ai/shops`,
-          {
-            method: "POST",
-            headers: { "content-type": "application/json" },
-            body: JSON.stringify(q),
-          }
-        );
-        if (!res.ok) throw new Error(`HTTP ${res.status}`);
-        const json = await res.json();
+        const res = await apiFetch("/ai/shops", {
+          method: "POST",
+          headers: { "content-type": "application/json" },
+          body: JSON.stringify(q),
+        });
+        const json = await res.json().catch(() => null);
+        if (!res.ok) throw new Error(json?.error || `HTTP ${res.status}`);
         setShopModal((s) => ({
           ...s,
           loading: false,
@@ -1198,6 +1696,7 @@ function QuickFilters({ value, onChange }) {
       <Opt v="moving" label="Moving" />
       <Opt v="idle" label="Idle" />
       <Opt v="nogps" label="No GPS" />
+      <Opt v="offline" label="Offline" />
       <Opt v="faults" label="Faulted" />
       <Opt v="critical" label="Critical" />
       <Opt v="misfire" label="Misfires Only" />
@@ -1239,11 +1738,11 @@ function AssetCard({
     heading,
     lastTopic,
     __hot,
-    lastUpdateTs,
     faults,
   } = row;
 
-  const location = fmtLocation(city, state);
+  const place = fmtLocation(city, state);
+  const location = zoneLabel(row) || place;
   const coords =
     lat != null && lon != null
       ? `${lat.toFixed(coordPrec)}, ${lon.toFixed(coordPrec)}`
@@ -1251,7 +1750,8 @@ function AssetCard({
   const mphTone =
     mph == null ? "neutral" : mph < 1 ? "amber" : mph < 45 ? "blue" : "emerald";
   const isHot = __hot && NOW() - __hot < 1200;
-  const age = signalTone(lastUpdateTs);
+  const age = connectivityTone(row);
+  const stats = vehicleStats(row);
 
   const activeFaults = faults?.active || [];
   const counts = faults?.counts || {
@@ -1363,6 +1863,19 @@ function AssetCard({
         {wlHit && <Badge tone="amber">Watchlist</Badge>}
       </div>
 
+      {/* Vehicle stats row */}
+      {stats.length > 0 && (
+        <div className="mt-2 flex flex-wrap items-center gap-1.5">
+          {stats
+            .filter((s) => s.key !== "hours" && s.key !== "odometer")
+            .map((s) => (
+              <Badge key={s.key} tone={s.tone}>
+                {s.label} {s.value}
+              </Badge>
+            ))}
+        </div>
+      )}
+
       {/* Body */}
       <div className={cx("grid grid-cols-1 gap-3", dense ? "pt-2" : "pt-3")}>
         <div className="rounded-xl ring-1 ring-neutral-200/70 bg-neutral-50 px-2 py-1.5 dark:bg-neutral-800 dark:ring-neutral-700">
@@ -1374,7 +1887,7 @@ function AssetCard({
             <Mono value={serial} max={22} />
           </Field>
           <Field label="Location">
-            <span className="truncate" title={location}>
+            <span className="truncate" title={place || location}>
               {location || "—"}
             </span>
           </Field>
@@ -1432,30 +1945,34 @@ function AssetCard({
                   {isAcked?.(f.id) ? (
                     <Badge tone="neutral">Ack</Badge>
                   ) : (
+                    onAck && (
+                      <button
+                        className="ml-auto rounded-md px-2 py-0.5 text-[11px] ring-1 ring-neutral-300 dark:ring-neutral-700"
+                        onClick={() => onAck?.(f.id)}
+                        title="Acknowledge (24h)"
+                      >
+                        Ack
+                      </button>
+                    )
+                  )}
+                  {/* Help */}
+                  {onHelp && (
                     <button
-                      className="ml-auto rounded-md px-2 py-0.5 text-[11px] ring-1 ring-neutral-300 dark:ring-neutral-700"
-                      onClick={() => onAck?.(f.id)}
-                      title="Acknowledge (24h)"
+                      className="rounded-md px-2 py-0.5 text-[11px] ring-1 ring-neutral-300 dark:ring-neutral-700"
+                      onClick={() =>
+                        onHelp({
+                          id,
+                          vin,
+                          faultId: f.id,
+                          code: f.code,
+                          note: f.description || "",
+                        })
+                      }
+                      title="Request help"
                     >
-                      Ack
+                      Help
                     </button>
                   )}
-                  {/* Help */}
-                  <button
-                    className="rounded-md px-2 py-0.5 text-[11px] ring-1 ring-neutral-300 dark:ring-neutral-700"
-                    onClick={() =>
-                      onHelp?.({
-                        id,
-                        vin,
-                        faultId: f.id,
-                        code: f.code,
-                        note: f.description || "",
-                      })
-                    }
-                    title="Request help"
-                  >
-                    Help
-                  </button>
                   {/* AI Shops */}
                   <button
                     className="rounded-md px-2 py-0.5 text-[11px] ring-1 ring-neutral-300 dark:ring-neutral-700"
@@ -1538,6 +2055,89 @@ function OsmMap({ lat, lon, zoom = 13, title = "Location" }) {
   );
 }
 
+const HISTORY_RANGES = [
+  { label: "Last 1h", ms: 60 * 60 * 1000 },
+  { label: "Last 6h", ms: 6 * 60 * 60 * 1000 },
+  { label: "Last 24h", ms: 24 * 60 * 60 * 1000 },
+  { label: "Last 7d", ms: 7 * 24 * 60 * 60 * 1000 },
+];
+
+// stored telemetry from the server (GET /assets/:id/history)
+function useAssetHistory(id, rangeMs) {
+  const [state, setState] = useState({ loading: false, items: [], err: null });
+  useEffect(() => {
+    if (!id) return;
+    let cancelled = false;
+    setState((s) => ({ ...s, loading: true, err: null }));
+    const from = new Date(Date.now() - rangeMs).toISOString();
+    apiFetch(`/assets/${encodeURIComponent(id)}/history?from=${from}`)
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+      })
+      .then((json) => {
+        if (!cancelled)
+          setState({ loading: false, items: json.items || [], err: null });
+      })
+      .catch((e) => {
+        if (!cancelled) setState({ loading: false, items: [], err: e.message });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [id, rangeMs]);
+  return state;
+}
+
+// server-segmented trips (GET /assets/:id/trips); only fetched when `enabled`
+function useAssetTrips(id, rangeMs, enabled) {
+  const [state, setState] = useState({ loading: false, items: [], err: null });
+  useEffect(() => {
+    if (!id || !enabled) return;
+    let cancelled = false;
+    setState((s) => ({ ...s, loading: true, err: null }));
+    const from = new Date(Date.now() - rangeMs).toISOString();
+    apiFetch(`/assets/${encodeURIComponent(id)}/trips?from=${from}`)
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+      })
+      .then((json) => {
+        if (!cancelled)
+          setState({ loading: false, items: json.items || [], err: null });
+      })
+      .catch((e) => {
+        if (!cancelled) setState({ loading: false, items: [], err: e.message });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [id, rangeMs, enabled]);
+  return state;
+}
+
+function HistoryRangeSelect({ value, onChange }) {
+  return (
+    <select
+      value={value}
+      onChange={(e) => onChange(Number(e.target.value))}
+      className="rounded-lg border border-neutral-200 bg-white px-2 py-0.5 dark:bg-neutral-900 dark:border-neutral-700"
+      title="History range"
+    >
+      {HISTORY_RANGES.map((r) => (
+        <option key={r.ms} value={r.ms}>
+          {r.label}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+const DETAIL_VIEWS = [
+  { id: "overview", label: "Overview" },
+  { id: "trips", label: "Trips" },
+];
+
 function DetailsModal({
   row,
   history,
@@ -1554,6 +2154,10 @@ function DetailsModal({
   onFindShops,
   isEscalated,
 }) {
+  const [rangeMs, setRangeMs] = useState(HISTORY_RANGES[1].ms);
+  const [view, setView] = useState("overview");
+  const stored = useAssetHistory(row?.id, rangeMs);
+  const trips = useAssetTrips(row?.id, rangeMs, view === "trips");
   if (!row) return null;
   const {
     id,
@@ -1567,23 +2171,48 @@ function DetailsModal({
     lon,
     heading,
     lastTopic,
-    lastUpdateTs,
     faults,
   } = row;
-  const location = fmtLocation(city, state);
+  const place = fmtLocation(city, state);
+  const location = zoneLabel(row) || place;
   const coords =
     lat != null && lon != null
       ? `${lat.toFixed(coordPrec)}, ${lon.toFixed(coordPrec)}`
       : "";
-  const age = signalTone(lastUpdateTs);
+  const age = connectivityTone(row);
   const active = faults?.active || [];
-  const histFaults = faults?.history || [];
 
-  // path points from recent events (trail under map)
-  const trail = (events || [])
-    .filter((e) => e.lat != null && e.lon != null)
-    .slice(-25)
+  // prefer the server's stored history; fall back to what this tab saw
+  const storedSpeeds = stored.items
+    .filter((e) => e.kind === "speed")
+    .map((e) => clamp(e.mph, 0, 120));
+  const storedTrail = stored.items
+    .filter((e) => e.kind === "location")
     .map((e) => ({ lat: e.lat, lon: e.lon }));
+  // stored fault events are per message; keep the latest row per episode
+  const byEpisode = new Map();
+  for (const e of stored.items) {
+    if (e.kind !== "fault") continue;
+    const k = e.episodeId || `${e.code}@${e.time}`;
+    byEpisode.delete(k);
+    byEpisode.set(k, {
+      ...e,
+      durationMs: e.durationMs ?? Date.parse(e.time) - Date.parse(e.firstSeen),
+    });
+  }
+  const storedFaults = [...byEpisode.values()];
+  const speeds = storedSpeeds.length > 0 ? storedSpeeds : history;
+  const histFaults =
+    storedFaults.length > 0 ? storedFaults : faults?.history || [];
+
+  // path points (trail under map)
+  const trail =
+    storedTrail.length > 1
+      ? storedTrail
+      : (events || [])
+          .filter((e) => e.lat != null && e.lon != null)
+          .slice(-25)
+          .map((e) => ({ lat: e.lat, lon: e.lon }));
 
   const firstFault = active[0];
 
@@ -1627,7 +2256,9 @@ function DetailsModal({
                 ? `${format(time)} • ${new Date(time).toLocaleString()}`
                 : "—"}
             </Fact>
-            <Fact label="Location">{location || "—"}</Fact>
+            <Fact label="Location">
+              <span title={place}>{location || "—"}</span>
+            </Fact>
             <Fact label="Coordinates">
               <div className="flex items-center gap-2">
                 <span className="font-mono truncate">{coords || "—"}</span>
@@ -1643,23 +2274,45 @@ function DetailsModal({
             <Fact label="Heading">
               {heading != null ? `${Math.round(heading)}°` : "—"}
             </Fact>
+            {vehicleStats(row).map((s) => (
+              <Fact key={s.key} label={s.label}>
+                {s.value}
+              </Fact>
+            ))}
             <Fact label="Topic">
               <span className="font-mono">{lastTopic || "—"}</span>
             </Fact>
+            <Fact label="GPS fixes">
+              <span
+                title={
+                  row.dataQuality?.lastRejected
+                    ? `Last dropped: ${
+                        row.dataQuality.lastRejected.reason
+                      } at ${new Date(
+                        row.dataQuality.lastRejected.time
+                      ).toLocaleString()}`
+                    : undefined
+                }
+              >
+                {gpsQualityLabel(row.dataQuality) || "—"}
+              </span>
+            </Fact>
 
             <div className="grid grid-cols-2 gap-2 pt-2">
-              <Action
-                label="Request Help"
-                onClick={() =>
-                  onHelp?.({
-                    id,
-                    vin,
-                    faultId: firstFault?.id,
-                    code: firstFault?.code,
-                    note: firstFault?.description || "",
-                  })
-                }
-              />
+              {onHelp && (
+                <Action
+                  label="Request Help"
+                  onClick={() =>
+                    onHelp({
+                      id,
+                      vin,
+                      faultId: firstFault?.id,
+                      code: firstFault?.code,
+                      note: firstFault?.description || "",
+                    })
+                  }
+                />
+              )}
               <Action
                 label="Open in Maps"
                 onClick={() => {
@@ -1687,208 +2340,309 @@ function DetailsModal({
             </div>
           </div>
 
-          {/* Right: map, trends & faults */}
+          {/* Right: map, trends & faults, or trips */}
           <div className="space-y-3 md:col-span-2">
-            <div className="space-y-2">
-              <div className="text-xs text-neutral-500 dark:text-neutral-400">
-                Live location
-              </div>
-              <OsmMap lat={lat} lon={lon} title="Truck location" />
-              <TrailMini trail={trail} />
+            <div className="flex items-center gap-1 text-sm">
+              {DETAIL_VIEWS.map((v) => (
+                <button
+                  key={v.id}
+                  className={cx(
+                    "px-2 py-1 rounded-xl",
+                    view === v.id
+                      ? "bg-neutral-900 text-white dark:bg-white dark:text-neutral-900"
+                      : "text-neutral-700 dark:text-neutral-300"
+                  )}
+                  onClick={() => setView(v.id)}
+                >
+                  {v.label}
+                </button>
+              ))}
             </div>
 
-            <div className="rounded-xl ring-1 ring-neutral-200/70 bg-neutral-50 p-3 dark:bg-neutral-800 dark:ring-neutral-700">
-              <div className="mb-2 text-xs text-neutral-500 dark:text-neutral-400">
-                Speed (recent)
-              </div>
-              <Sparkline values={history} />
-            </div>
+            {view === "trips" ? (
+              <TripsPanel
+                trips={trips}
+                locations={stored.items}
+                rangeMs={rangeMs}
+                onRange={setRangeMs}
+              />
+            ) : (
+              <>
+                <div className="space-y-2">
+                  <div className="text-xs text-neutral-500 dark:text-neutral-400">
+                    Live location
+                  </div>
+                  <OsmMap lat={lat} lon={lon} title="Truck location" />
+                  <TrailMini trail={trail} />
+                </div>
 
-            <div className="grid md:grid-cols-2 gap-3">
-              <div className="rounded-xl ring-1 ring-neutral-200/70 bg-neutral-50 p-3 dark:bg-neutral-800 dark:ring-neutral-700">
-                <div className="mb-2 text-xs text-neutral-500 dark:text-neutral-400">
-                  Active faults
+                <div className="rounded-xl ring-1 ring-neutral-200/70 bg-neutral-50 p-3 dark:bg-neutral-800 dark:ring-neutral-700">
+                  <div className="mb-2 flex items-center justify-between text-xs text-neutral-500 dark:text-neutral-400">
+                    <span>
+                      Speed{" "}
+                      {storedSpeeds.length > 0
+                        ? `(${storedSpeeds.length} pts)`
+                        : "(recent)"}
+                      {stored.loading ? " • loading…" : ""}
+                      {stored.err
+                        ? ` • history unavailable: ${stored.err}`
+                        : ""}
+                    </span>
+                    <HistoryRangeSelect value={rangeMs} onChange={setRangeMs} />
+                  </div>
+                  <Sparkline values={speeds} />
                 </div>
-                <div className="max-h-48 overflow-auto pr-1">
-                  {active.length === 0 ? (
-                    <div className="text-sm text-neutral-500">None</div>
-                  ) : (
-                    <table className="w-full text-sm">
-                      <thead className="sticky top-0 bg-neutral-100 text-neutral-600 text-xs dark:bg-neutral-700/50 dark:text-neutral-300">
-                        <tr>
-                          <th className="text-left px-2 py-1">Code</th>
-                          <th className="text-left px-2 py-1">Severity</th>
-                          <th className="text-left px-2 py-1">When</th>
-                          <th className="text-left px-2 py-1">KB</th>
-                          <th className="text-left px-2 py-1">Tags</th>
-                          <th className="text-left px-2 py-1">Actions</th>
-                        </tr>
-                      </thead>
-                      <tbody>
-                        {active.map((f) => {
-                          const spn = (() => {
-                            const m = /SPN\s+(\d+)/i.exec(f.code || "");
-                            return m ? Number(m[1]) : undefined;
-                          })();
-                          const escal = isEscalated?.(f);
-                          return (
-                            <tr
-                              key={f.id}
-                              className="odd:bg-white even:bg-neutral-50 dark:odd:bg-neutral-900 dark:even:bg-neutral-800/60"
-                            >
-                              <td className="px-2 py-1">
-                                <div className="font-mono">{f.code}</div>
-                                <div className="text-xs text-neutral-500 truncate">
-                                  {f.description}
-                                </div>
-                              </td>
-                              <td className="px-2 py-1">
-                                <Badge
-                                  tone={sevTone(
-                                    (f.severity || "").toLowerCase()
-                                  )}
+
+                <div className="grid md:grid-cols-2 gap-3">
+                  <div className="rounded-xl ring-1 ring-neutral-200/70 bg-neutral-50 p-3 dark:bg-neutral-800 dark:ring-neutral-700">
+                    <div className="mb-2 text-xs text-neutral-500 dark:text-neutral-400">
+                      Active faults
+                    </div>
+                    <div className="max-h-48 overflow-auto pr-1">
+                      {active.length === 0 ? (
+                        <div className="text-sm text-neutral-500">None</div>
+                      ) : (
+                        <table className="w-full text-sm">
+                          <thead className="sticky top-0 bg-neutral-100 text-neutral-600 text-xs dark:bg-neutral-700/50 dark:text-neutral-300">
+                            <tr>
+                              <th className="text-left px-2 py-1">Code</th>
+                              <th className="text-left px-2 py-1">Severity</th>
+                              <th className="text-left px-2 py-1">When</th>
+                              <th className="text-left px-2 py-1">KB</th>
+                              <th className="text-left px-2 py-1">Tags</th>
+                              <th className="text-left px-2 py-1">Actions</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {active.map((f) => {
+                              const { spn, fmi } = spnFmiOf(f);
+                              const escal = isEscalated?.(f);
+                              return (
+                                <tr
+                                  key={f.id}
+                                  className="odd:bg-white even:bg-neutral-50 dark:odd:bg-neutral-900 dark:even:bg-neutral-800/60"
                                 >
-                                  {f.severity}
-                                </Badge>
-                              </td>
-                              <td className="px-2 py-1 whitespace-nowrap">
-                                {f.time
-                                  ? new Date(f.time).toLocaleTimeString()
-                                  : "—"}
-                              </td>
-                              <td className="px-2 py-1">
-                                {spn && SPN_KB[spn] ? (
-                                  <KbBtn spn={spn} />
-                                ) : (
-                                  <span className="text-neutral-400 text-xs">
-                                    —
-                                  </span>
-                                )}
-                              </td>
-                              <td className="px-2 py-1 space-x-1">
-                                {escal && <Badge tone="red">Escalated</Badge>}
-                                {/[1322|1327|1328]/ &&
-                                /misfire/i.test(
-                                  (f.description || "") + (f.code || "")
-                                ) ? (
-                                  <Badge tone="amber">Misfire</Badge>
-                                ) : null}
-                              </td>
-                              <td className="px-2 py-1 space-x-1">
-                                <FaultNoteButton
-                                  f={f}
-                                  faultNotes={faultNotes}
-                                  setFaultNotes={setFaultNotes}
-                                />
-                                {isAcked?.(f.id) ? (
-                                  <Badge tone="neutral">Ack</Badge>
-                                ) : (
-                                  <button
-                                    className="rounded-md px-2 py-1 text-[11px] ring-1 ring-neutral-300 dark:ring-neutral-700"
-                                    onClick={() => onAck?.(f.id)}
+                                  <td className="px-2 py-1">
+                                    <div className="font-mono">{f.code}</div>
+                                    <div className="text-xs text-neutral-500 truncate">
+                                      {f.description}
+                                    </div>
+                                  </td>
+                                  <td className="px-2 py-1">
+                                    <Badge
+                                      tone={sevTone(
+                                        (f.severity || "").toLowerCase()
+                                      )}
+                                    >
+                                      {f.severity}
+                                    </Badge>
+                                  </td>
+                                  <td
+                                    className="px-2 py-1 whitespace-nowrap"
+                                    title={
+                                      f.occurrences
+                                        ? `Seen ${
+                                            f.occurrences
+                                          }× since ${new Date(
+                                            f.firstSeen
+                                          ).toLocaleString()}`
+                                        : undefined
+                                    }
                                   >
-                                    Ack
-                                  </button>
-                                )}
-                                <button
-                                  className="rounded-md px-2 py-1 text-[11px] ring-1 ring-neutral-300 dark:ring-neutral-700"
-                                  onClick={() =>
-                                    onHelp?.({
-                                      id,
-                                      vin,
-                                      faultId: f.id,
-                                      code: f.code,
-                                      note: f.description || "",
-                                    })
-                                  }
-                                >
-                                  Help
-                                </button>
-                                <button
-                                  className="rounded-md px-2 py-1 text-[11px] ring-1 ring-neutral-300 dark:ring-neutral-700"
-                                  onClick={() =>
-                                    onFindShops?.({
-                                      id,
-                                      vin,
-                                      lat,
-                                      lon,
-                                      faults: active,
-                                    })
-                                  }
-                                >
-                                  Find Shops
-                                </button>
-                              </td>
-                            </tr>
-                          );
-                        })}
-                      </tbody>
-                    </table>
-                  )}
-                </div>
-              </div>
+                                    {f.firstSeen || f.time
+                                      ? new Date(
+                                          f.firstSeen || f.time
+                                        ).toLocaleTimeString()
+                                      : "—"}
+                                    {Number.isFinite(f.durationMs) && (
+                                      <div className="text-xs text-neutral-500">
+                                        for {fmtDuration(f.durationMs)}
+                                      </div>
+                                    )}
+                                  </td>
+                                  <td className="px-2 py-1">
+                                    {spn != null || fmi != null ? (
+                                      <KbBtn spn={spn} fmi={fmi} />
+                                    ) : (
+                                      <span className="text-neutral-400 text-xs">
+                                        —
+                                      </span>
+                                    )}
+                                  </td>
+                                  <td className="px-2 py-1 space-x-1">
+                                    {f.severityRule &&
+                                      f.severityRule.id !== "default" && (
+                                        <span
+                                          title={
+                                            f.severityRule.description ||
+                                            `Rated by rule ${f.severityRule.id}`
+                                          }
+                                        >
+                                          <Badge tone="neutral">
+                                            {f.severityRule.id}
+                                          </Badge>
+                                        </span>
+                                      )}
+                                    {escal && (
+                                      <Badge tone="red">Escalated</Badge>
+                                    )}
+                                    {f.meta?.dtcStatus && (
+                                      <Badge
+                                        tone={dtcStatusTone(f.meta.dtcStatus)}
+                                      >
+                                        {f.meta.dtcStatus}
+                                      </Badge>
+                                    )}
+                                    {isMisfire(f) ? (
+                                      <Badge tone="amber">Misfire</Badge>
+                                    ) : null}
+                                  </td>
+                                  <td className="px-2 py-1 space-x-1">
+                                    <FaultNoteButton
+                                      f={f}
+                                      faultNotes={faultNotes}
+                                      setFaultNotes={setFaultNotes}
+                                    />
+                                    {isAcked?.(f.id) ? (
+                                      <Badge tone="neutral">Ack</Badge>
+                                    ) : (
+                                      onAck && (
+                                        <button
+                                          className="rounded-md px-2 py-1 text-[11px] ring-1 ring-neutral-300 dark:ring-neutral-700"
+                                          onClick={() => onAck?.(f.id)}
+                                        >
+                                          Ack
+                                        </button>
+                                      )
+                                    )}
+                                    {onHelp && (
+                                      <button
+                                        className="rounded-md px-2 py-1 text-[11px] ring-1 ring-neutral-300 dark:ring-neutral-700"
+                                        onClick={() =>
+                                          onHelp({
+                                            id,
+                                            vin,
+                                            faultId: f.id,
+                                            code: f.code,
+                                            note: f.description || "",
+                                          })
+                                        }
+                                      >
+                                        Help
+                                      </button>
+                                    )}
+                                    <button
+                                      className="rounded-md px-2 py-1 text-[11px] ring-1 ring-neutral-300 dark:ring-neutral-700"
+                                      onClick={() =>
+                                        onFindShops?.({
+                                          id,
+                                          vin,
+                                          lat,
+                                          lon,
+                                          faults: active,
+                                        })
+                                      }
+                                    >
+                                      Find Shops
+                                    </button>
+                                  </td>
+                                </tr>
+                              );
+                            })}
+                          </tbody>
+                        </table>
+                      )}
+                    </div>
+                  </div>
 
-              <div className="rounded-xl ring-1 ring-neutral-200/70 bg-neutral-50 p-3 dark:bg-neutral-800 dark:ring-neutral-700">
-                <div className="mb-2 text-xs text-neutral-500 dark:text-neutral-400">
-                  Fault history
-                </div>
-                <div className="max-h-48 overflow-auto pr-1">
-                  {histFaults.length === 0 ? (
-                    <div className="text-sm text-neutral-500">No history</div>
-                  ) : (
-                    <table className="w-full text-sm">
-                      <thead className="sticky top-0 bg-neutral-100 text-neutral-600 text-xs dark:bg-neutral-700/50 dark:text-neutral-300">
-                        <tr>
-                          <th className="text-left px-2 py-1">Time</th>
-                          <th className="text-left px-2 py-1">Code</th>
-                          <th className="text-left px-2 py-1">Severity</th>
-                          <th className="text-left px-2 py-1">Status</th>
-                        </tr>
-                      </thead>
-                      <tbody>
-                        {[...histFaults]
-                          .reverse()
-                          .slice(0, 50)
-                          .map((f, i) => (
-                            <tr
-                              key={i}
-                              className="odd:bg-white even:bg-neutral-50 dark:odd:bg-neutral-900 dark:even:bg-neutral-800/60"
-                            >
-                              <td className="px-2 py-1 whitespace-nowrap">
-                                {f.time
-                                  ? new Date(f.time).toLocaleString()
-                                  : "—"}
-                              </td>
-                              <td className="px-2 py-1 font-mono">{f.code}</td>
-                              <td className="px-2 py-1">
-                                <Badge
-                                  tone={sevTone(
-                                    (f.severity || "").toLowerCase()
-                                  )}
-                                >
-                                  {f.severity}
-                                </Badge>
-                              </td>
-                              <td className="px-2 py-1">
-                                {f.active ? "Active" : "Cleared"}
-                              </td>
+                  <div className="rounded-xl ring-1 ring-neutral-200/70 bg-neutral-50 p-3 dark:bg-neutral-800 dark:ring-neutral-700">
+                    <div className="mb-2 text-xs text-neutral-500 dark:text-neutral-400">
+                      Fault history
+                    </div>
+                    <div className="max-h-48 overflow-auto pr-1">
+                      {histFaults.length === 0 ? (
+                        <div className="text-sm text-neutral-500">
+                          No history
+                        </div>
+                      ) : (
+                        <table className="w-full text-sm">
+                          <thead className="sticky top-0 bg-neutral-100 text-neutral-600 text-xs dark:bg-neutral-700/50 dark:text-neutral-300">
+                            <tr>
+                              <th className="text-left px-2 py-1">Time</th>
+                              <th className="text-left px-2 py-1">Code</th>
+                              <th className="text-left px-2 py-1">Severity</th>
+                              <th className="text-left px-2 py-1">Status</th>
+                              <th className="text-left px-2 py-1">Duration</th>
                             </tr>
-                          ))}
-                      </tbody>
-                    </table>
-                  )}
+                          </thead>
+                          <tbody>
+                            {[...histFaults]
+                              .reverse()
+                              .slice(0, 50)
+                              .map((f, i) => (
+                                <tr
+                                  key={i}
+                                  className="odd:bg-white even:bg-neutral-50 dark:odd:bg-neutral-900 dark:even:bg-neutral-800/60"
+                                >
+                                  <td className="px-2 py-1 whitespace-nowrap">
+                                    {f.firstSeen || f.time
+                                      ? new Date(
+                                          f.firstSeen || f.time
+                                        ).toLocaleString()
+                                      : "—"}
+                                  </td>
+                                  <td className="px-2 py-1 font-mono">
+                                    {f.code}
+                                  </td>
+                                  <td className="px-2 py-1">
+                                    <Badge
+                                      tone={sevTone(
+                                        (f.severity || "").toLowerCase()
+                                      )}
+                                    >
+                                      {f.severity}
+                                    </Badge>
+                                  </td>
+                                  <td
+                                    className="px-2 py-1 whitespace-nowrap"
+                                    title={
+                                      f.clearedAt
+                                        ? `Cleared ${new Date(
+                                            f.clearedAt
+                                          ).toLocaleString()}`
+                                        : undefined
+                                    }
+                                  >
+                                    {f.active ? "Active" : "Cleared"}
+                                  </td>
+                                  <td className="px-2 py-1 whitespace-nowrap">
+                                    {fmtDuration(f.durationMs)}
+                                    {f.occurrences > 1 && (
+                                      <span className="text-xs text-neutral-500">
+                                        {" "}
+                                        · {f.occurrences}×
+                                      </span>
+                                    )}
+                                  </td>
+                                </tr>
+                              ))}
+                          </tbody>
+                        </table>
+                      )}
+                    </div>
+                  </div>
                 </div>
-              </div>
-            </div>
 
-            <details className="rounded-xl ring-1 ring-neutral-200/70 bg-neutral-50 p-3 dark:bg-neutral-800 dark:ring-neutral-700">
-              <summary className="cursor-pointer text-sm text-neutral-700 dark:text-neutral-200">
-                Raw JSON
-              </summary>
-              <pre className="mt-2 max-h-64 overflow-auto text-xs text-neutral-800 dark:text-neutral-200">
-                {JSON.stringify(row, null, 2)}
-              </pre>
-            </details>
+                <details className="rounded-xl ring-1 ring-neutral-200/70 bg-neutral-50 p-3 dark:bg-neutral-800 dark:ring-neutral-700">
+                  <summary className="cursor-pointer text-sm text-neutral-700 dark:text-neutral-200">
+                    Raw JSON
+                  </summary>
+                  <pre className="mt-2 max-h-64 overflow-auto text-xs text-neutral-800 dark:text-neutral-200">
+                    {JSON.stringify(row, null, 2)}
+                  </pre>
+                </details>
+              </>
+            )}
           </div>
         </div>
       </div>
@@ -1896,11 +2650,12 @@ function DetailsModal({
   );
 }
 
-// KB popover button
-function KbBtn({ spn }) {
-  const data = SPN_KB[spn];
+// KB popover button (hidden until the server knows the SPN or FMI)
+function KbBtn({ spn, fmi }) {
+  const spnEntry = useKbEntry("spn", spn);
+  const fmiEntry = useKbEntry("fmi", fmi);
   const [open, setOpen] = useState(false);
-  if (!data) return null;
+  if (!spnEntry && !fmiEntry) return null;
   return (
     <div className="relative inline-block">
       <button
@@ -1911,26 +2666,172 @@ function KbBtn({ spn }) {
         Guide
       </button>
       {open && (
-        <div className="absolute z-10 mt-1 w-64 rounded-xl border border-neutral-200 bg-white p-3 text-xs shadow-xl dark:bg-neutral-900 dark:border-neutral-700">
-          <div className="font-semibold mb-1">
-            SPN {spn}: {data.name}
-          </div>
-          <div className="mb-1">
-            <strong>Likely:</strong> {data.likely}
-          </div>
-          <div className="mb-1">
-            <strong>Impact:</strong> {data.impact}
-          </div>
-          <div>
-            <strong>Action:</strong> {data.action}
-          </div>
+        <div className="absolute z-10 mt-1 w-72 rounded-xl border border-neutral-200 bg-white p-3 text-xs shadow-xl dark:bg-neutral-900 dark:border-neutral-700">
+          {spnEntry && (
+            <>
+              <div className="font-semibold mb-1">
+                SPN {spn}: {spnEntry.name}
+              </div>
+              {spnEntry.likely && (
+                <div className="mb-1">
+                  <strong>Likely:</strong> {spnEntry.likely}
+                </div>
+              )}
+              {spnEntry.impact && (
+                <div className="mb-1">
+                  <strong>Impact:</strong> {spnEntry.impact}
+                </div>
+              )}
+              {spnEntry.action && (
+                <div className="mb-1">
+                  <strong>Action:</strong> {spnEntry.action}
+                </div>
+              )}
+              {(spnEntry.downtimeRisk || spnEntry.repairCategory) && (
+                <div className="mb-1 flex flex-wrap gap-1">
+                  {spnEntry.downtimeRisk && (
+                    <Badge tone={riskTone(spnEntry.downtimeRisk)}>
+                      Downtime risk: {spnEntry.downtimeRisk}
+                    </Badge>
+                  )}
+                  {spnEntry.repairCategory && (
+                    <Badge tone="neutral">{spnEntry.repairCategory}</Badge>
+                  )}
+                </div>
+              )}
+            </>
+          )}
+          {fmiEntry && (
+            <div
+              className={cx(
+                spnEntry &&
+                  "mt-2 border-t border-neutral-200 pt-2 dark:border-neutral-700"
+              )}
+            >
+              <strong>FMI {fmi}:</strong> {fmiEntry.name}
+              {fmiEntry.likely && (
+                <div className="mt-1 text-neutral-600 dark:text-neutral-300">
+                  {fmiEntry.likely}
+                </div>
+              )}
+            </div>
+          )}
+          {spnEntry?.source === "custom" && (
+            <div className="mt-2 text-[10px] text-neutral-500">
+              Fleet-specific entry
+            </div>
+          )}
         </div>
       )}
     </div>
   );
 }
 
+// KB name for a code, e.g. under "SPN 110 FMI 0" in fault tables
+function KbName({ spn }) {
+  const entry = useKbEntry("spn", spn);
+  if (!entry) return null;
+  return (
+    <div className="text-xs text-neutral-500 truncate" title={entry.name}>
+      {entry.name}
+    </div>
+  );
+}
+
 // tiny SVG “trail” (last 25 points)
+// trips from useAssetTrips; `locations` (stored history) draws the picked trip
+function TripsPanel({ trips, locations, rangeMs, onRange }) {
+  const [picked, setPicked] = useState(null);
+  const trip = trips.items.find((t) => t.id === picked);
+  const fromMs = trip ? Date.parse(trip.start.time) : 0;
+  const toMs = trip?.end ? Date.parse(trip.end.time) : Infinity;
+  const trail = trip
+    ? locations
+        .filter((e) => e.kind === "location")
+        .filter((e) => {
+          const t = Date.parse(e.time);
+          return t >= fromMs && t <= toMs;
+        })
+        .map((e) => ({ lat: e.lat, lon: e.lon }))
+    : [];
+  const placeOf = (p) =>
+    p
+      ? fmtLocation(p.city, p.state) ||
+        `${p.lat.toFixed(3)}, ${p.lon.toFixed(3)}`
+      : "—";
+
+  return (
+    <div className="rounded-xl ring-1 ring-neutral-200/70 bg-neutral-50 p-3 dark:bg-neutral-800 dark:ring-neutral-700">
+      <div className="mb-2 flex items-center justify-between text-xs text-neutral-500 dark:text-neutral-400">
+        <span>
+          Trips ({trips.items.length}){trips.loading ? " • loading…" : ""}
+          {trips.err ? ` • trips unavailable: ${trips.err}` : ""}
+        </span>
+        <HistoryRangeSelect value={rangeMs} onChange={onRange} />
+      </div>
+      {trip && <TrailMini trail={trail} />}
+      <div className="max-h-96 overflow-auto pr-1">
+        {trips.items.length === 0 ? (
+          <div className="text-sm text-neutral-500">
+            {trips.loading ? "Loading…" : "No trips in this range"}
+          </div>
+        ) : (
+          <table className="w-full text-sm">
+            <thead className="sticky top-0 bg-neutral-100 text-neutral-600 text-xs dark:bg-neutral-700/50 dark:text-neutral-300">
+              <tr>
+                <th className="text-left px-2 py-1">Start</th>
+                <th className="text-left px-2 py-1">From → To</th>
+                <th className="text-left px-2 py-1">Distance</th>
+                <th className="text-left px-2 py-1">Duration</th>
+                <th className="text-left px-2 py-1">Avg / Max</th>
+                <th className="text-left px-2 py-1">Idle</th>
+              </tr>
+            </thead>
+            <tbody>
+              {trips.items.map((t) => (
+                <tr
+                  key={t.id}
+                  className={cx(
+                    "cursor-pointer odd:bg-white even:bg-neutral-50 dark:odd:bg-neutral-900 dark:even:bg-neutral-800/60",
+                    t.id === picked && "ring-1 ring-inset ring-violet-400"
+                  )}
+                  onClick={() => setPicked(t.id === picked ? null : t.id)}
+                  title="Show this trip's trail"
+                >
+                  <td className="px-2 py-1 whitespace-nowrap">
+                    {new Date(t.start.time).toLocaleString()}
+                  </td>
+                  <td className="px-2 py-1">
+                    {placeOf(t.start)} →{" "}
+                    {t.inProgress ? (
+                      <Badge tone="emerald">In progress</Badge>
+                    ) : (
+                      placeOf(t.end)
+                    )}
+                  </td>
+                  <td className="px-2 py-1 whitespace-nowrap">
+                    {t.distanceMi.toFixed(1)} mi
+                  </td>
+                  <td className="px-2 py-1 whitespace-nowrap">
+                    {fmtDuration(t.durationMs)}
+                  </td>
+                  <td className="px-2 py-1 whitespace-nowrap">
+                    {t.avgMph != null ? Math.round(t.avgMph) : "—"} /{" "}
+                    {Math.round(t.maxMph)} mph
+                  </td>
+                  <td className="px-2 py-1 whitespace-nowrap">
+                    {t.idleMinutes ? `${t.idleMinutes}m` : "—"}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
 function TrailMini({ trail = [] }) {
   if (trail.length < 2)
     return (
@@ -1995,6 +2896,7 @@ function FaultsCenter({
         city: a.city,
         state: a.state,
         code: f.code,
+        ...spnFmiOf(f),
         description: f.description,
         severity: (f.severity || "").toLowerCase(),
         time: f.time,
@@ -2033,7 +2935,7 @@ function FaultsCenter({
               <input
                 value={wlInput}
                 onChange={(e) => setWlInput(e.target.value)}
-                placeholder="Add watch term (e.g., SPN 1322)"
+                placeholder="Add watch term (e.g., SPN 1322, P0301)"
                 className="rounded-xl border border-neutral-200 bg-white px-3 py-2 text-sm dark:bg-neutral-900 dark:border-neutral-800"
               />
               <button
@@ -2149,14 +3051,18 @@ function FaultsCenter({
                       <td className="px-2 py-1 font-mono">
                         {truncateMiddle(f.vin || f.assetId, 22)}
                       </td>
-                      <td className="px-2 py-1 font-mono">{f.code}</td>
+                      <td className="px-2 py-1">
+                        <div className="font-mono">{f.code}</div>
+                        <KbName spn={f.spn} />
+                      </td>
                       <td className="px-2 py-1">
                         <Badge tone={sevTone(f.severity)}>{f.severity}</Badge>
                       </td>
                       <td className="px-2 py-1">
                         {fmtLocation(f.city, f.state) || "—"}
                       </td>
-                      <td className="px-2 py-1">
+                      <td className="px-2 py-1 space-x-1">
+                        <KbBtn spn={f.spn} fmi={f.fmi} />
                         <button
                           className="rounded-md px-2 py-1 text-[11px] ring-1 ring-neutral-300 dark:ring-neutral-700"
                           onClick={() =>
@@ -2185,6 +3091,799 @@ function FaultsCenter({
   );
 }
 
+/* ------------------------- Alerts ------------------------- */
+const ALERT_RULE_TYPES = [
+  { value: "fault", label: "Fault" },
+  { value: "speed", label: "Speed over" },
+  { value: "stale", label: "Offline for" },
+  { value: "idle", label: "Idling for" },
+  { value: "geofence", label: "Geofence event" },
+];
+const SEVERITY_ITEMS = [
+  { value: "critical", label: "Critical" },
+  { value: "warning", label: "Warning" },
+  { value: "info", label: "Info" },
+];
+const splitList = (s) =>
+  s
+    .split(/[,\s]+/)
+    .map((x) => x.trim())
+    .filter(Boolean);
+
+const ruleSummary = (r) => {
+  switch (r.type) {
+    case "speed":
+      return `speed > ${r.mphAbove} mph`;
+    case "stale":
+      return `offline ≥ ${r.minutes} min`;
+    case "idle":
+      return `idling ≥ ${r.minutes} min`;
+    case "geofence":
+      return `geofence ${r.events.join(" / ")}`;
+    default:
+      return `${r.severities?.length ? r.severities.join(" / ") : "any"} fault${
+        r.codes?.length ? ` ${r.codes.join(", ")}` : ""
+      }`;
+  }
+};
+
+// what a rule's PUT body may hold (see alerts.js); the rest is the server's
+const RULE_FIELDS = [
+  "name",
+  "type",
+  "enabled",
+  "severity",
+  "assets",
+  "cooldownMinutes",
+  "channels",
+  "mphAbove",
+  "severities",
+  "codes",
+  "minutes",
+  "events",
+  "geofenceIds",
+  "categories",
+];
+const ruleBody = (rule) =>
+  Object.fromEntries(
+    RULE_FIELDS.filter((k) => rule[k] !== undefined).map((k) => [k, rule[k]])
+  );
+
+const sendsOut = (rule) => rule.channels.some((c) => c.type !== "socket");
+
+// rules live on the server (GET/POST/PUT/DELETE /alerts/rules), so they fire
+// with no dashboard open; `log` is the dashboard's list of recent alerts
+function AlertsPanel({ onClose, log, canEdit, canSendOut, onOpenAsset }) {
+  const canEditRule = (r) => canEdit && (canSendOut || !sendsOut(r));
+  const [rules, setRules] = useState([]);
+  const [err, setErr] = useState(null);
+
+  const load = () =>
+    apiFetch("/alerts/rules")
+      .then((res) => res.json())
+      .then((json) => setRules(json.items || []))
+      .catch((e) => setErr(e.message));
+  useEffect(() => {
+    load();
+  }, []);
+
+  async function send(path, method, body) {
+    setErr(null);
+    try {
+      const res = await apiFetch(path, {
+        method,
+        headers: { "content-type": "application/json" },
+        body: body && JSON.stringify(body),
+      });
+      const json = await res.json();
+      if (!json.ok) throw new Error(json.error || "Failed");
+      await load();
+      return true;
+    } catch (e) {
+      setErr(e.message);
+      return false;
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 z-[75]">
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
+      <div className="absolute left-1/2 top-1/2 w-[min(100vw-2rem,1100px)] -translate-x-1/2 -translate-y-1/2 rounded-2xl border border-neutral-200 bg-white shadow-2xl dark:bg-neutral-900 dark:border-neutral-800 p-4">
+        <div className="flex items-center justify-between">
+          <div>
+            <div className="text-lg font-semibold">Alerts</div>
+            {err && <div className="text-xs text-rose-600">{err}</div>}
+          </div>
+          <button
+            className="rounded-xl border border-neutral-200 bg-white px-3 py-1.5 text-sm text-neutral-700 hover:bg-neutral-50 dark:bg-neutral-900 dark:text-neutral-200 dark:border-neutral-700 dark:hover:bg-neutral-800"
+            onClick={onClose}
+          >
+            Close ✕
+          </button>
+        </div>
+
+        <div className="mt-3 grid gap-3 md:grid-cols-5 max-h-[75vh] overflow-auto">
+          <div className="md:col-span-3 space-y-3">
+            <div className="rounded-xl ring-1 ring-neutral-200/70 bg-neutral-50 dark:bg-neutral-800 dark:ring-neutral-700">
+              <table className="w-full text-sm">
+                <thead className="sticky top-0 bg-neutral-100 text-neutral-600 text-xs dark:bg-neutral-700/50 dark:text-neutral-300">
+                  <tr>
+                    <th className="text-left px-2 py-1">Rule</th>
+                    <th className="text-left px-2 py-1">Channels</th>
+                    <th className="text-left px-2 py-1">Cooldown</th>
+                    <th className="text-left px-2 py-1">On</th>
+                    <th className="px-2 py-1" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {rules.length === 0 ? (
+                    <tr>
+                      <td colSpan="5" className="px-3 py-4 text-neutral-500">
+                        No rules
+                      </td>
+                    </tr>
+                  ) : (
+                    rules.map((r) => (
+                      <tr
+                        key={r.id}
+                        className="odd:bg-white even:bg-neutral-50 dark:odd:bg-neutral-900 dark:even:bg-neutral-800/60"
+                      >
+                        <td className="px-2 py-1">
+                          <div className="flex items-center gap-1.5">
+                            <Badge tone={sevTone(r.severity)}>
+                              {r.severity}
+                            </Badge>
+                            <span className="font-medium">{r.name}</span>
+                          </div>
+                          <div className="text-xs text-neutral-500">
+                            {ruleSummary(r)}
+                            {r.assets.length > 0 &&
+                              ` · ${r.assets.length} asset(s)`}
+                          </div>
+                        </td>
+                        <td className="px-2 py-1 text-xs">
+                          {r.channels.map((c) => c.type).join(", ")}
+                        </td>
+                        <td className="px-2 py-1 whitespace-nowrap">
+                          {r.cooldownMinutes}m
+                        </td>
+                        <td className="px-2 py-1">
+                          <input
+                            type="checkbox"
+                            checked={r.enabled}
+                            disabled={!canEditRule(r)}
+                            onChange={(e) =>
+                              send(`/alerts/rules/${r.id}`, "PUT", {
+                                ...ruleBody(r),
+                                enabled: e.target.checked,
+                              })
+                            }
+                          />
+                        </td>
+                        <td className="px-2 py-1 text-right">
+                          {canEditRule(r) && (
+                            <button
+                              className="rounded-md px-2 py-1 text-[11px] ring-1 ring-neutral-300 dark:ring-neutral-700"
+                              onClick={() =>
+                                window.confirm(`Delete rule "${r.name}"?`) &&
+                                send(`/alerts/rules/${r.id}`, "DELETE")
+                              }
+                            >
+                              Delete
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+            {canEdit && (
+              <AlertRuleForm
+                canSendOut={canSendOut}
+                onSave={(body) => send("/alerts/rules", "POST", body)}
+              />
+            )}
+          </div>
+
+          <div className="md:col-span-2 rounded-xl ring-1 ring-neutral-200/70 bg-neutral-50 p-3 dark:bg-neutral-800 dark:ring-neutral-700">
+            <div className="mb-2 text-xs text-neutral-500 dark:text-neutral-400">
+              Recent alerts
+            </div>
+            {log.length === 0 ? (
+              <div className="text-sm text-neutral-500">None yet</div>
+            ) : (
+              <ul className="space-y-1.5 text-sm">
+                {log.slice(0, 100).map((a) => (
+                  <li key={a.id}>
+                    <div className="flex items-center gap-1.5">
+                      <Badge tone={sevTone(a.severity)}>{a.ruleName}</Badge>
+                      <span className="text-xs text-neutral-500">
+                        {format(a.firedAt || a.time)}
+                      </span>
+                    </div>
+                    <button
+                      className="text-left hover:underline"
+                      onClick={() => onOpenAsset?.(a.assetId)}
+                    >
+                      {a.message}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function AlertRuleForm({ canSendOut, onSave }) {
+  const empty = {
+    name: "",
+    type: "fault",
+    severity: "warning",
+    threshold: "",
+    faultSeverity: "critical",
+    codes: "",
+    events: ["enter"],
+    assets: "",
+    cooldown: "15",
+    socket: true,
+    webhookUrl: "",
+    emails: "",
+    slackUrl: "",
+  };
+  const [f, setF] = useState(empty);
+  const set = (k) => (v) => setF((prev) => ({ ...prev, [k]: v }));
+  const needsThreshold = ["speed", "stale", "idle"].includes(f.type);
+
+  function toBody() {
+    const body = {
+      name: f.name.trim(),
+      type: f.type,
+      severity: f.severity,
+      assets: splitList(f.assets),
+      cooldownMinutes: Number(f.cooldown) || 0,
+      channels: [
+        f.socket && { type: "socket" },
+        f.webhookUrl.trim() && { type: "webhook", url: f.webhookUrl.trim() },
+        f.emails.trim() && { type: "email", to: splitList(f.emails) },
+        f.slackUrl.trim() && { type: "slack", url: f.slackUrl.trim() },
+      ].filter(Boolean),
+    };
+    if (f.type === "speed") body.mphAbove = Number(f.threshold);
+    if (f.type === "stale" || f.type === "idle")
+      body.minutes = Number(f.threshold);
+    if (f.type === "fault") {
+      body.severities = f.faultSeverity ? [f.faultSeverity] : [];
+      body.codes = splitList(f.codes);
+    }
+    if (f.type === "geofence") body.events = f.events;
+    return body;
+  }
+
+  return (
+    <form
+      className="rounded-xl ring-1 ring-neutral-200/70 bg-neutral-50 p-3 space-y-2 text-sm dark:bg-neutral-800 dark:ring-neutral-700"
+      onSubmit={async (e) => {
+        e.preventDefault();
+        if (await onSave(toBody())) setF(empty);
+      }}
+    >
+      <div className="text-xs text-neutral-500 dark:text-neutral-400">
+        New rule
+      </div>
+      <div className="grid grid-cols-2 gap-2 md:grid-cols-4">
+        <Input
+          value={f.name}
+          onChange={set("name")}
+          placeholder="Name"
+          className="col-span-2"
+        />
+        <Select
+          value={f.type}
+          onChange={set("type")}
+          items={ALERT_RULE_TYPES}
+        />
+        <Select
+          value={f.severity}
+          onChange={set("severity")}
+          items={SEVERITY_ITEMS}
+        />
+        {needsThreshold && (
+          <Input
+            type="number"
+            min="0"
+            value={f.threshold}
+            onChange={set("threshold")}
+            placeholder={f.type === "speed" ? "mph" : "minutes"}
+          />
+        )}
+        {f.type === "fault" && (
+          <>
+            <Select
+              value={f.faultSeverity}
+              onChange={set("faultSeverity")}
+              items={[{ value: "", label: "Any severity" }, ...SEVERITY_ITEMS]}
+            />
+            <Input
+              value={f.codes}
+              onChange={set("codes")}
+              placeholder="Codes (blank = all, /re/ ok)"
+            />
+          </>
+        )}
+        {f.type === "geofence" && (
+          <div className="col-span-2 flex items-center gap-3 px-1">
+            {["enter", "exit", "dwell"].map((ev) => (
+              <label key={ev} className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={f.events.includes(ev)}
+                  onChange={(e) =>
+                    set("events")(
+                      e.target.checked
+                        ? [...f.events, ev]
+                        : f.events.filter((x) => x !== ev)
+                    )
+                  }
+                />
+                {ev}
+              </label>
+            ))}
+          </div>
+        )}
+        <Input
+          value={f.assets}
+          onChange={set("assets")}
+          placeholder="Assets (blank = all)"
+        />
+        <Input
+          type="number"
+          min="0"
+          value={f.cooldown}
+          onChange={set("cooldown")}
+          placeholder="Cooldown min"
+        />
+      </div>
+      {canSendOut && (
+        <div className="grid grid-cols-1 gap-2 md:grid-cols-3">
+          <Input
+            value={f.webhookUrl}
+            onChange={set("webhookUrl")}
+            placeholder="Signed webhook URL"
+          />
+          <Input
+            value={f.emails}
+            onChange={set("emails")}
+            placeholder="Email to (comma separated)"
+          />
+          <Input
+            value={f.slackUrl}
+            onChange={set("slackUrl")}
+            placeholder="Slack incoming webhook URL"
+          />
+        </div>
+      )}
+      <div className="flex items-center justify-between">
+        <label className="flex items-center gap-1.5">
+          <input
+            type="checkbox"
+            checked={f.socket}
+            onChange={(e) => set("socket")(e.target.checked)}
+          />
+          Dashboard (sound + popup)
+        </label>
+        <button
+          type="submit"
+          disabled={!f.name.trim()}
+          className="rounded-xl border border-neutral-200 bg-white px-3 py-1.5 text-sm text-neutral-700 hover:bg-neutral-50 disabled:opacity-50 dark:bg-neutral-900 dark:text-neutral-200 dark:border-neutral-700 dark:hover:bg-neutral-800"
+        >
+          Add rule
+        </button>
+      </div>
+    </form>
+  );
+}
+
+/* ------------------------- Idle Report ------------------------- */
+const IDLE_REPORT_RANGES = [
+  { label: "Last 24h", ms: 24 * 60 * 60 * 1000 },
+  { label: "Last 7d", ms: 7 * 24 * 60 * 60 * 1000 },
+  { label: "Last 30d", ms: 30 * 24 * 60 * 60 * 1000 },
+];
+const fmtIdle = (ms) => `${(ms / 3_600_000).toFixed(1)} h`;
+
+// GET /reports/idle; the CSV is fetched like the JSON (token in the header)
+// and handed to the browser as a blob
+function IdleReport({ onClose, onOpenAsset }) {
+  const [groupBy, setGroupBy] = useState("asset");
+  const [rangeMs, setRangeMs] = useState(IDLE_REPORT_RANGES[1].ms);
+  const [state, setState] = useState({
+    loading: true,
+    report: null,
+    err: null,
+  });
+  const [csvErr, setCsvErr] = useState(null);
+  const from = useMemo(
+    () => new Date(Date.now() - rangeMs).toISOString(),
+    [rangeMs]
+  );
+  const query = `/reports/idle?groupBy=${groupBy}&from=${from}`;
+
+  useEffect(() => {
+    let cancelled = false;
+    setState((s) => ({ ...s, loading: true, err: null }));
+    apiFetch(query)
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+      })
+      .then((report) => {
+        if (!cancelled) setState({ loading: false, report, err: null });
+      })
+      .catch((e) => {
+        if (!cancelled)
+          setState({ loading: false, report: null, err: e.message });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [query]);
+
+  async function exportCsv() {
+    setCsvErr(null);
+    try {
+      const res = await apiFetch(`${query}&format=csv`);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const url = URL.createObjectURL(await res.blob());
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `idle-by-${groupBy}-${new Date()
+        .toISOString()
+        .slice(0, 10)}.csv`;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (e) {
+      setCsvErr(e.message);
+    }
+  }
+  const rows = state.report?.rows || [];
+
+  return (
+    <div className="fixed inset-0 z-[75]">
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
+      <div className="absolute left-1/2 top-1/2 w-[min(100vw-2rem,900px)] -translate-x-1/2 -translate-y-1/2 rounded-2xl border border-neutral-200 bg-white shadow-2xl dark:bg-neutral-900 dark:border-neutral-800 p-4">
+        <div className="flex items-center justify-between">
+          <div>
+            <div className="text-lg font-semibold">Idle Report</div>
+            <div className="text-xs text-neutral-500 dark:text-neutral-400">
+              {state.report
+                ? `${fmtIdle(state.report.totalIdleMs)} idling`
+                : "—"}
+              {state.loading ? " • loading…" : ""}
+              {state.err ? ` • report unavailable: ${state.err}` : ""}
+              {csvErr ? ` • export failed: ${csvErr}` : ""}
+            </div>
+          </div>
+          <div className="flex items-center gap-2">
+            <Select
+              value={groupBy}
+              onChange={setGroupBy}
+              items={[
+                { value: "asset", label: "By asset" },
+                { value: "day", label: "By day" },
+              ]}
+            />
+            <Select
+              value={String(rangeMs)}
+              onChange={(v) => setRangeMs(Number(v))}
+              items={IDLE_REPORT_RANGES.map((r) => ({
+                value: String(r.ms),
+                label: r.label,
+              }))}
+            />
+            <button
+              className="rounded-xl border border-neutral-200 bg-white px-3 py-1.5 text-sm text-neutral-700 hover:bg-neutral-50 dark:bg-neutral-900 dark:text-neutral-200 dark:border-neutral-700 dark:hover:bg-neutral-800"
+              title="Download this report as CSV"
+              onClick={exportCsv}
+            >
+              Export CSV ↧
+            </button>
+            <button
+              className="rounded-xl border border-neutral-200 bg-white px-3 py-1.5 text-sm text-neutral-700 hover:bg-neutral-50 dark:bg-neutral-900 dark:text-neutral-200 dark:border-neutral-700 dark:hover:bg-neutral-800"
+              onClick={onClose}
+            >
+              Close ✕
+            </button>
+          </div>
+        </div>
+
+        <div className="mt-3 max-h-[70vh] overflow-auto rounded-xl ring-1 ring-neutral-200/70 bg-neutral-50 dark:bg-neutral-800 dark:ring-neutral-700">
+          <table className="w-full text-sm">
+            <thead className="sticky top-0 bg-neutral-100 text-neutral-600 text-xs dark:bg-neutral-700/50 dark:text-neutral-300">
+              <tr>
+                <th className="text-left px-2 py-1">
+                  {groupBy === "day" ? "Day (UTC)" : "Asset"}
+                </th>
+                <th className="text-left px-2 py-1">
+                  {groupBy === "day" ? "Assets" : "Longest"}
+                </th>
+                <th className="text-left px-2 py-1">Episodes</th>
+                <th className="text-left px-2 py-1">Idle time</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.length === 0 ? (
+                <tr>
+                  <td colSpan="4" className="px-3 py-4 text-neutral-500">
+                    {state.loading ? "Loading…" : "No idling in this range"}
+                  </td>
+                </tr>
+              ) : (
+                rows.map((r) => (
+                  <tr
+                    key={r.day || r.assetId}
+                    className="odd:bg-white even:bg-neutral-50 dark:odd:bg-neutral-900 dark:even:bg-neutral-800/60"
+                  >
+                    <td className="px-2 py-1">
+                      {r.day || (
+                        <button
+                          className="font-mono hover:underline"
+                          onClick={() => onOpenAsset?.(r.assetId)}
+                        >
+                          {truncateMiddle(r.vin || r.assetId, 22)}
+                        </button>
+                      )}
+                    </td>
+                    <td className="px-2 py-1">
+                      {groupBy === "day" ? r.assets : fmtDuration(r.longestMs)}
+                    </td>
+                    <td className="px-2 py-1">{r.episodes}</td>
+                    <td className="px-2 py-1 whitespace-nowrap">
+                      {fmtIdle(r.idleMs)}
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ------------------------- Help Queue ------------------------- */
+const HELP_STATUSES = [
+  { v: "open", label: "Open", tone: "red" },
+  { v: "acknowledged", label: "Acknowledged", tone: "amber" },
+  { v: "assigned", label: "Assigned", tone: "blue" },
+  { v: "en_route", label: "En route", tone: "blue" },
+  { v: "resolved", label: "Resolved", tone: "emerald" },
+];
+const helpStatus = (v) =>
+  HELP_STATUSES.find((s) => s.v === v) || { v, label: v, tone: "neutral" };
+
+function HelpQueue({ onClose, tickets, onUpdate, onComment, onOpenAsset }) {
+  const [filter, setFilter] = useState("active");
+  const [expanded, setExpanded] = useState(null);
+  const shown = tickets
+    .filter((t) =>
+      filter === "all"
+        ? true
+        : filter === "active"
+        ? t.status !== "resolved"
+        : t.status === filter
+    )
+    .sort((a, b) => Number(b.id) - Number(a.id));
+
+  return (
+    <div className="fixed inset-0 z-[75]">
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
+      <div className="absolute left-1/2 top-1/2 w-[min(100vw-2rem,1100px)] -translate-x-1/2 -translate-y-1/2 rounded-2xl border border-neutral-200 bg-white shadow-2xl dark:bg-neutral-900 dark:border-neutral-800 p-4">
+        <div className="flex items-center justify-between">
+          <div className="text-lg font-semibold">Help Queue</div>
+          <div className="flex items-center gap-2">
+            <select
+              value={filter}
+              onChange={(e) => setFilter(e.target.value)}
+              className="rounded-xl border border-neutral-200 bg-white px-3 py-2 text-sm dark:bg-neutral-900 dark:border-neutral-800"
+              title="Filter by status"
+            >
+              <option value="active">Not resolved</option>
+              <option value="all">All tickets</option>
+              {HELP_STATUSES.map((s) => (
+                <option key={s.v} value={s.v}>
+                  {s.label}
+                </option>
+              ))}
+            </select>
+            <button
+              className="rounded-xl border border-neutral-200 bg-white px-3 py-1.5 text-sm text-neutral-700 hover:bg-neutral-50 dark:bg-neutral-900 dark:text-neutral-200 dark:border-neutral-700 dark:hover:bg-neutral-800"
+              onClick={onClose}
+            >
+              Close ✕
+            </button>
+          </div>
+        </div>
+
+        <div className="mt-3 max-h-[70vh] overflow-auto rounded-xl ring-1 ring-neutral-200/70 bg-neutral-50 dark:bg-neutral-800 dark:ring-neutral-700">
+          <table className="w-full text-sm">
+            <thead className="sticky top-0 bg-neutral-100 text-neutral-600 text-xs dark:bg-neutral-700/50 dark:text-neutral-300">
+              <tr>
+                <th className="text-left px-2 py-1">#</th>
+                <th className="text-left px-2 py-1">Raised</th>
+                <th className="text-left px-2 py-1">Asset</th>
+                <th className="text-left px-2 py-1">Fault / note</th>
+                <th className="text-left px-2 py-1">Status</th>
+                <th className="text-left px-2 py-1">Assignee</th>
+                <th className="text-left px-2 py-1">Comments</th>
+              </tr>
+            </thead>
+            <tbody>
+              {shown.length === 0 ? (
+                <tr>
+                  <td colSpan="7" className="px-3 py-4 text-neutral-500">
+                    No tickets
+                  </td>
+                </tr>
+              ) : (
+                shown.map((t) => (
+                  <HelpTicketRow
+                    key={t.id}
+                    t={t}
+                    expanded={expanded === t.id}
+                    onToggle={() =>
+                      setExpanded((cur) => (cur === t.id ? null : t.id))
+                    }
+                    onUpdate={onUpdate}
+                    onComment={onComment}
+                    onOpenAsset={onOpenAsset}
+                  />
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function HelpTicketRow({
+  t,
+  expanded,
+  onToggle,
+  onUpdate,
+  onComment,
+  onOpenAsset,
+}) {
+  const [assignee, setAssignee] = useState(t.assignee || "");
+  const [comment, setComment] = useState("");
+  useEffect(() => setAssignee(t.assignee || ""), [t.assignee]);
+  const st = helpStatus(t.status);
+  // forward-only, like the server; resolved tickets can only be reopened
+  const options =
+    t.status === "resolved"
+      ? HELP_STATUSES.filter((s) => s.v === "open" || s.v === "resolved")
+      : HELP_STATUSES.slice(HELP_STATUSES.findIndex((s) => s.v === t.status));
+  const commitAssignee = () => {
+    if (onUpdate && (t.assignee || "") !== assignee.trim())
+      onUpdate(t.id, { assignee: assignee.trim() });
+  };
+
+  return (
+    <>
+      <tr className="odd:bg-white even:bg-neutral-50 dark:odd:bg-neutral-900 dark:even:bg-neutral-800/60 align-top">
+        <td className="px-2 py-1 font-mono">{t.id}</td>
+        <td className="px-2 py-1 whitespace-nowrap" title={t.createdAt}>
+          {t.createdAt ? format(t.createdAt) : "—"}
+        </td>
+        <td className="px-2 py-1">
+          <button
+            className="font-mono underline decoration-dotted"
+            onClick={() => onOpenAsset(t.assetId)}
+            title="Open asset details"
+          >
+            {truncateMiddle(t.vin || t.assetId, 20)}
+          </button>
+          {t.location && (
+            <div className="text-xs text-neutral-500">
+              {fmtLocation(t.location.city, t.location.state) || ""}
+            </div>
+          )}
+        </td>
+        <td className="px-2 py-1">
+          {t.code && <div className="font-mono">{t.code}</div>}
+          <div className="text-xs text-neutral-500">{t.note || "—"}</div>
+        </td>
+        <td className="px-2 py-1">
+          <div className="flex items-center gap-1">
+            <Badge tone={st.tone}>{st.label}</Badge>
+            <select
+              value={t.status}
+              disabled={!onUpdate}
+              onChange={(e) => onUpdate(t.id, { status: e.target.value })}
+              className="rounded-md border border-neutral-200 bg-white px-1 py-0.5 text-xs dark:bg-neutral-900 dark:border-neutral-700"
+              title="Change status"
+            >
+              {options.map((s) => (
+                <option key={s.v} value={s.v}>
+                  {s.label}
+                </option>
+              ))}
+            </select>
+          </div>
+        </td>
+        <td className="px-2 py-1">
+          <input
+            value={assignee}
+            onChange={(e) => setAssignee(e.target.value)}
+            onBlur={commitAssignee}
+            disabled={!onUpdate}
+            onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+            placeholder="Unassigned"
+            className="w-32 rounded-md border border-neutral-200 bg-white px-2 py-0.5 text-xs dark:bg-neutral-900 dark:border-neutral-700"
+          />
+        </td>
+        <td className="px-2 py-1">
+          <button
+            className="rounded-md px-2 py-1 text-[11px] ring-1 ring-neutral-300 dark:ring-neutral-700"
+            onClick={onToggle}
+          >
+            {t.comments?.length || 0} {expanded ? "▴" : "▾"}
+          </button>
+        </td>
+      </tr>
+      {expanded && (
+        <tr className="bg-white dark:bg-neutral-900">
+          <td colSpan="7" className="px-4 py-2">
+            <div className="space-y-1 text-xs">
+              {(t.comments || []).map((c) => (
+                <div key={c.id}>
+                  <span className="text-neutral-500">
+                    {new Date(c.at).toLocaleString()}
+                    {c.author ? ` · ${c.author}` : ""}:
+                  </span>{" "}
+                  {c.text}
+                </div>
+              ))}
+              {onComment && (
+                <form
+                  className="flex gap-2 pt-1"
+                  onSubmit={(e) => {
+                    e.preventDefault();
+                    if (!comment.trim()) return;
+                    onComment(t.id, comment.trim());
+                    setComment("");
+                  }}
+                >
+                  <input
+                    value={comment}
+                    onChange={(e) => setComment(e.target.value)}
+                    placeholder="Add a comment"
+                    className="flex-1 rounded-md border border-neutral-200 bg-white px-2 py-1 text-xs dark:bg-neutral-900 dark:border-neutral-700"
+                  />
+                  <button
+                    type="submit"
+                    className="rounded-md px-2 py-1 text-[11px] ring-1 ring-neutral-300 dark:ring-neutral-700"
+                  >
+                    Comment
+                  </button>
+                </form>
+              )}
+            </div>
+          </td>
+        </tr>
+      )}
+    </>
+  );
+}
+
 /* ------------------ Live Fleet Map (real-time) ------------------ */
 
 function LiveFleetMap({ items = [], trailsRef, lastPointRef, onPick }) {
@@ -2491,13 +4190,25 @@ function ShopFinderModal({ state, onClose }) {
                       <div className="text-xs text-neutral-600 dark:text-neutral-300">
                         {r.address || "—"}
                       </div>
-                      {Array.isArray(q?.codes) && q.codes.length > 0 ? (
+                      {r.matchedCodes?.length > 0 ? (
                         <div className="mt-1 text-[11px] text-neutral-500 dark:text-neutral-400">
-                          Matches: {q.codes.join(", ")}
+                          Handles: {r.matchedCodes.join(", ")}
+                          {q?.codes?.length > r.matchedCodes.length
+                            ? ` (${r.matchedCodes.length} of ${q.codes.length} codes)`
+                            : ""}
+                        </div>
+                      ) : q?.codes?.length > 0 ? (
+                        <div className="mt-1 text-[11px] text-neutral-500 dark:text-neutral-400">
+                          No listed capability for these codes
                         </div>
                       ) : null}
                     </div>
                     <div className="flex items-center gap-2">
+                      {r.openNow != null && (
+                        <Badge tone={r.openNow ? "emerald" : "neutral"}>
+                          {r.openNow ? "Open now" : "Closed"}
+                        </Badge>
+                      )}
                       {Number.isFinite(r.distanceMi) && (
                         <Badge tone="emerald">
                           {r.distanceMi.toFixed(1)} mi
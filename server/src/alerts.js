@@ -0,0 +1,347 @@
+import crypto from "crypto";
+import { z } from "zod";
+import { createCheckpoint } from "./checkpoint.js";
+import { toMatcher } from "./routing.js";
+
+const Pattern = z.string().refine((p) => {
+  try {
+    toMatcher(p);
+    return true;
+  } catch {
+    return false;
+  }
+}, "invalid /regex/");
+
+// a new channel type needs an entry here and a sender (see notify.js)
+const Channel = z.discriminatedUnion("type", [
+  z.object({ type: z.literal("socket") }),
+  z.object({
+    type: z.literal("webhook"),
+    url: z.string().url(),
+    secret: z.string().optional(), // else ALERT_WEBHOOK_SECRET
+  }),
+  z.object({
+    type: z.literal("email"),
+    to: z.array(z.string().email()).min(1),
+  }),
+  z.object({ type: z.literal("slack"), url: z.string().url() }),
+]);
+
+const base = {
+  name: z.string().min(1),
+  enabled: z.boolean().default(true),
+  severity: z.enum(["critical", "warning", "info"]).default("warning"),
+  // asset ids or VINs; none = every asset in the org
+  assets: z.array(z.string()).default([]),
+  // the same rule and asset (and code / geofence) alert at most this often
+  cooldownMinutes: z.number().min(0).default(15),
+  channels: z
+    .array(Channel)
+    .min(1)
+    .default([{ type: "socket" }]),
+};
+
+const RuleSchema = z.discriminatedUnion("type", [
+  z.object({
+    ...base,
+    type: z.literal("speed"),
+    mphAbove: z.number().positive(),
+  }),
+  z.object({
+    ...base,
+    type: z.literal("fault"),
+    severities: z.array(z.enum(["critical", "warning", "info"])).default([]),
+    codes: z.array(Pattern).default([]), // exact codes or "/re/"
+  }),
+  z.object({
+    ...base,
+    type: z.literal("stale"),
+    minutes: z.number().positive(),
+  }),
+  z.object({
+    ...base,
+    type: z.literal("geofence"),
+    events: z.array(z.enum(["enter", "exit", "dwell"])).min(1),
+    geofenceIds: z.array(z.string()).default([]),
+    categories: z.array(z.string()).default([]),
+  }),
+  z.object({
+    ...base,
+    type: z.literal("idle"),
+    minutes: z.number().positive(),
+  }),
+]);
+
+// what every org starts with: the dashboard's old "beep on critical"
+const DEFAULT_RULES = [
+  {
+    name: "Critical faults",
+    type: "fault",
+    severity: "critical",
+    severities: ["critical"],
+    cooldownMinutes: 5,
+    channels: [{ type: "socket" }],
+  },
+];
+
+const GEOFENCE_VERBS = {
+  enter: "entered",
+  exit: "left",
+  dwell: "is dwelling at",
+};
+
+/**
+ * Per-org alert rules over speed, faults, staleness, geofence events and
+ * idle time, persisted in `file`. Conditions that hold for a while (speed,
+ * stale, idle, an active fault) alert once when they become true and again
+ * only after they cleared; every alert for the same rule and asset is also
+ * held back for the rule's cooldown. Alerts go to `senders[channel.type]`
+ * for each of the rule's channels.
+ */
+export function createAlertEngine({ file, orgs = [], senders, max = 500 }) {
+  const store = createCheckpoint({ file });
+  const rules = new Map(); // id -> { org, ...rule }
+  const saved = store.load();
+  for (const r of saved?.rules || []) rules.set(r.id, r);
+  const seeded = new Set(saved?.seeded || []); // orgs given DEFAULT_RULES
+
+  const latched = new Set(); // keys whose condition is currently true
+  const lastFired = new Map(); // key -> ms
+  const recent = new Map(); // org -> alerts, newest last
+  const counters = { fired: 0, suppressed: 0, failed: 0 };
+
+  function persist() {
+    return store
+      .save({ rules: [...rules.values()], seeded: [...seeded] })
+      .catch((err) => console.error("[alerts] save failed:", err));
+  }
+
+  const get = (org, id) => {
+    const r = rules.get(id);
+    return r && r.org === org ? r : null;
+  };
+  const list = (org) => [...rules.values()].filter((r) => r.org === org);
+
+  // throws a ZodError for bad input
+  function create(org, body) {
+    const at = new Date().toISOString();
+    const rule = {
+      id: crypto.randomUUID(),
+      org,
+      ...RuleSchema.parse(body),
+      createdAt: at,
+      updatedAt: at,
+    };
+    rules.set(rule.id, rule);
+    persist();
+    return rule;
+  }
+
+  // null when missing; throws a ZodError for bad input
+  function update(org, id, body) {
+    const cur = get(org, id);
+    if (!cur) return null;
+    const rule = {
+      id,
+      org,
+      ...RuleSchema.parse(body),
+      createdAt: cur.createdAt,
+      updatedAt: new Date().toISOString(),
+    };
+    rules.set(id, rule);
+    forget(id);
+    persist();
+    return rule;
+  }
+
+  function remove(org, id) {
+    if (!get(org, id)) return false;
+    rules.delete(id);
+    forget(id);
+    persist();
+    return true;
+  }
+
+  function forget(ruleId) {
+    for (const k of latched) if (k.startsWith(`${ruleId}|`)) latched.delete(k);
+    for (const k of lastFired.keys())
+      if (k.startsWith(`${ruleId}|`)) lastFired.delete(k);
+  }
+
+  // once per org, so deleting the defaults sticks
+  for (const org of orgs) {
+    if (seeded.has(org)) continue;
+    seeded.add(org);
+    for (const r of DEFAULT_RULES) create(org, r);
+  }
+
+  const recentFor = (org, limit = 100) =>
+    (recent.get(org) || []).slice(-limit).reverse();
+
+  const label = (asset) => asset.vin || asset.id;
+  const applies = (rule, org, asset) =>
+    rule.enabled &&
+    rule.org === org &&
+    (!rule.assets.length ||
+      rule.assets.includes(asset.id) ||
+      rule.assets.includes(asset.vin));
+
+  function fire(rule, asset, key, { message, time, details }) {
+    const now = Date.now();
+    const last = lastFired.get(key);
+    if (last != null && now - last < rule.cooldownMinutes * 60_000) {
+      counters.suppressed++;
+      return;
+    }
+    lastFired.set(key, now);
+    counters.fired++;
+    const alert = {
+      id: crypto.randomUUID(),
+      org: rule.org,
+      ruleId: rule.id,
+      ruleName: rule.name,
+      type: rule.type,
+      severity: rule.severity,
+      assetId: asset.id,
+      vin: asset.vin ?? null,
+      message,
+      time: time || new Date(now).toISOString(),
+      firedAt: new Date(now).toISOString(),
+      details: details || {},
+    };
+    const buf = recent.get(rule.org) || [];
+    buf.push(alert);
+    if (buf.length > max) buf.shift();
+    recent.set(rule.org, buf);
+
+    for (const channel of rule.channels) {
+      const send = senders[channel.type];
+      Promise.resolve()
+        .then(() => {
+          if (!send) throw new Error(`no sender for "${channel.type}"`);
+          return send(alert, channel);
+        })
+        .catch((err) => {
+          counters.failed++;
+          console.error(
+            `[alerts] ${channel.type} delivery failed for rule ${rule.id}:`,
+            err.message
+          );
+        });
+    }
+  }
+
+  // alert when `on` turns true; re-arm once it is false again
+  function level(rule, asset, key, on, make) {
+    const k = `${rule.id}|${asset.id}|${key}`;
+    if (!on) {
+      latched.delete(k);
+      return;
+    }
+    if (latched.has(k)) return;
+    latched.add(k);
+    fire(rule, asset, k, make());
+  }
+
+  // after every telemetry update of `asset`
+  function onTelemetry(org, asset) {
+    for (const rule of rules.values()) {
+      if (!applies(rule, org, asset)) continue;
+      if (rule.type === "speed") {
+        level(rule, asset, "speed", asset.mph > rule.mphAbove, () => ({
+          message: `${label(asset)} at ${Math.round(asset.mph)} mph (over ${
+            rule.mphAbove
+          })`,
+          time: asset.time,
+          details: { mph: asset.mph, lat: asset.lat, lon: asset.lon },
+        }));
+      } else if (rule.type === "idle") {
+        const idle = asset.idle?.started ? asset.idle : null;
+        const mins = idle
+          ? (Date.parse(asset.time) - Date.parse(idle.since)) / 60_000
+          : 0;
+        level(rule, asset, "idle", mins >= rule.minutes, () => ({
+          message: `${label(asset)} idling for ${Math.round(mins)} min`,
+          time: asset.time,
+          details: { since: idle.since, lat: idle.lat, lon: idle.lon },
+        }));
+      }
+    }
+  }
+
+  // for every fault episode change; `fault` as emitted to the dashboard
+  function onFault(org, asset, fault) {
+    for (const rule of rules.values()) {
+      if (rule.type !== "fault" || !applies(rule, org, asset)) continue;
+      const matches =
+        (!rule.severities.length || rule.severities.includes(fault.severity)) &&
+        (!rule.codes.length ||
+          rule.codes.some((p) => toMatcher(p)(fault.code || "")));
+      if (!matches) continue;
+      level(rule, asset, fault.episodeId || fault.code, fault.active, () => ({
+        message: `${label(asset)}: ${fault.code} ${
+          fault.description || ""
+        }`.trim(),
+        time: fault.time,
+        details: {
+          code: fault.code,
+          description: fault.description,
+          severity: fault.severity,
+          episodeId: fault.episodeId,
+        },
+      }));
+    }
+  }
+
+  // for each geofence enter / exit / dwell (see geofences.js)
+  function onGeofence(org, asset, ev) {
+    for (const rule of rules.values()) {
+      if (rule.type !== "geofence" || !applies(rule, org, asset)) continue;
+      const g = ev.geofence;
+      if (
+        !rule.events.includes(ev.type) ||
+        (rule.geofenceIds.length && !rule.geofenceIds.includes(g.id)) ||
+        (rule.categories.length && !rule.categories.includes(g.category))
+      )
+        continue;
+      fire(rule, asset, `${rule.id}|${asset.id}|${g.id}|${ev.type}`, {
+        message: `${label(asset)} ${GEOFENCE_VERBS[ev.type]} ${g.name}`,
+        time: ev.time,
+        details: { geofence: g, event: ev.type, durationMs: ev.durationMs },
+      });
+    }
+  }
+
+  // periodically, with every asset of `org`; stale = nothing received (offline)
+  function sweep(org, assets, now = Date.now()) {
+    for (const rule of rules.values()) {
+      if (rule.type !== "stale" || rule.org !== org || !rule.enabled) continue;
+      for (const asset of assets) {
+        if (!applies(rule, org, asset) || !asset.lastUpdateTs) continue;
+        const mins = (now - asset.lastUpdateTs) / 60_000;
+        level(rule, asset, "stale", mins >= rule.minutes, () => ({
+          message: `${label(asset)} offline for ${Math.round(mins)} min`,
+          details: {
+            lastUpdate: new Date(asset.lastUpdateTs).toISOString(),
+          },
+        }));
+      }
+    }
+  }
+
+  const stats = () => ({ rules: rules.size, ...counters });
+
+  return {
+    get,
+    list,
+    create,
+    update,
+    remove,
+    recent: recentFor,
+    onTelemetry,
+    onFault,
+    onGeofence,
+    sweep,
+    stats,
+  };
+}
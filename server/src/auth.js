@@ -0,0 +1,247 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { z } from "zod";
+
+// each role can do everything the ones before it can
+export const ROLES = ["viewer", "dispatcher", "maintenance", "admin"];
+
+const UserSchema = z
+  .object({
+    username: z.string().min(1),
+    role: z.enum(ROLES),
+    org: z.string().min(1), // see orgs.js; "*" = internal staff
+    password: z.string().min(1).optional(), // plain text, for local setups
+    passwordHash: z.string().startsWith("scrypt$").optional(),
+  })
+  .refine((u) => u.password || u.passwordHash, "password or passwordHash");
+
+const UsersFileSchema = z.array(UserSchema);
+
+const b64url = (buf) => Buffer.from(buf).toString("base64url");
+
+// "scrypt$<salt>$<key>", both base64url
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = crypto.scryptSync(String(password), salt, 32);
+  return `scrypt$${b64url(salt)}$${b64url(key)}`;
+}
+
+function checkPassword(user, password) {
+  if (user.passwordHash) {
+    const [, salt, key] = user.passwordHash.split("$");
+    const want = Buffer.from(key || "", "base64url");
+    const got = crypto.scryptSync(
+      String(password),
+      Buffer.from(salt || "", "base64url"),
+      want.length || 32
+    );
+    return want.length > 0 && crypto.timingSafeEqual(got, want);
+  }
+  const a = Buffer.from(String(password));
+  const b = Buffer.from(user.password);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+export const hasRole = (user, role) =>
+  !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+// failed logins per client address before it is locked out as well; higher
+// than per username since an office can share one address
+const IP_FAILURE_FACTOR = 4;
+
+/**
+ * Username/password login that hands out HMAC-signed bearer tokens
+ * (`<payload>.<signature>`, base64url) carrying the user's role. The same
+ * tokens are checked on REST routes and in the Socket.IO handshake. With
+ * `disabled`, every caller is treated as an admin of `anonymousOrg`.
+ *
+ * After `maxFailures` bad passwords for a username within `lockoutSec`,
+ * further logins for it are refused until the window runs out; a client
+ * address gets `IP_FAILURE_FACTOR` times as many.
+ */
+export function createAuth({
+  users = [],
+  secret,
+  ttlSec = 12 * 3600,
+  disabled,
+  anonymousOrg,
+  maxFailures = 5,
+  lockoutSec = 15 * 60,
+}) {
+  const byName = new Map(users.map((u) => [u.username.toLowerCase(), u]));
+  const ANONYMOUS = { username: null, role: "admin", org: anonymousOrg };
+  const failures = new Map(); // "user:<name>" | "ip:<addr>" -> { count, resetAt }
+
+  const sign = (body) =>
+    crypto.createHmac("sha256", secret).update(body).digest("base64url");
+
+  function issue(user) {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = {
+      sub: user.username,
+      role: user.role,
+      iat: now,
+      exp: now + ttlSec,
+    };
+    const body = b64url(JSON.stringify(payload));
+    return {
+      token: `${body}.${sign(body)}`,
+      user: { username: user.username, role: user.role, org: user.org },
+      expiresAt: new Date(payload.exp * 1000).toISOString(),
+    };
+  }
+
+  const throttleKeys = (username, ip) => [
+    [`user:${String(username || "").toLowerCase()}`, maxFailures],
+    [`ip:${ip}`, maxFailures * IP_FAILURE_FACTOR],
+  ];
+
+  // seconds until `username` may try again from `ip`; 0 when it may now
+  function retryAfter(username, ip) {
+    const now = Date.now();
+    let wait = 0;
+    for (const [key, max] of throttleKeys(username, ip)) {
+      const f = failures.get(key);
+      if (f && f.count >= max && f.resetAt > now)
+        wait = Math.max(wait, Math.ceil((f.resetAt - now) / 1000));
+    }
+    return wait;
+  }
+
+  function recordFailure(username, ip) {
+    const now = Date.now();
+    if (failures.size > 10_000) {
+      for (const [key, f] of failures)
+        if (f.resetAt <= now) failures.delete(key);
+    }
+    for (const [key] of throttleKeys(username, ip)) {
+      let f = failures.get(key);
+      if (!f || f.resetAt <= now) {
+        f = { count: 0, resetAt: now + lockoutSec * 1000 };
+        failures.set(key, f);
+      }
+      f.count++;
+    }
+  }
+
+  // { token, user, expiresAt } or null for a bad username/password; check
+  // retryAfter first
+  function login(username, password, ip) {
+    const user = byName.get(String(username || "").toLowerCase());
+    if (!user || !password || !checkPassword(user, password)) {
+      recordFailure(username, ip);
+      return null;
+    }
+    failures.delete(throttleKeys(username, ip)[0][0]);
+    return issue(user);
+  }
+
+  // { username, role } or null for a missing, forged or expired token
+  function verify(token) {
+    if (disabled) return ANONYMOUS;
+    const [body, sig] = String(token || "").split(".");
+    if (!body || !sig) return null;
+    const want = Buffer.from(sign(body));
+    const got = Buffer.from(sig);
+    if (want.length !== got.length || !crypto.timingSafeEqual(want, got))
+      return null;
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    } catch {
+      return null;
+    }
+    if (!payload?.exp || payload.exp * 1000 < Date.now()) return null;
+    // a user removed from the users file loses access right away
+    const user = byName.get(String(payload.sub).toLowerCase());
+    if (!user) return null;
+    return { username: user.username, role: user.role, org: user.org };
+  }
+
+  // "Authorization: Bearer <token>" only; tokens in URLs end up in logs
+  function tokenOf(req) {
+    const m = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+    return m ? m[1] : null;
+  }
+
+  // express: sets req.user, 401 without a valid token
+  function authenticate(req, res, next) {
+    const user = verify(tokenOf(req));
+    if (!user)
+      return res.status(401).json({ ok: false, error: "unauthorized" });
+    req.user = user;
+    next();
+  }
+
+  // express: 403 unless req.user has at least `role`
+  const requireRole = (role) => (req, res, next) => {
+    if (hasRole(req.user, role)) return next();
+    res.status(403).json({ ok: false, error: `requires ${role} role` });
+  };
+
+  // socket.io: token in the handshake `auth`, sets socket.data.user
+  function socketMiddleware(socket, next) {
+    const user = verify(socket.handshake.auth?.token);
+    if (!user) return next(new Error("unauthorized"));
+    socket.data.user = user;
+    next();
+  }
+
+  const stats = () => ({ enabled: !disabled, users: byName.size });
+
+  return {
+    login,
+    retryAfter,
+    verify,
+    authenticate,
+    requireRole,
+    socketMiddleware,
+    stats,
+  };
+}
+
+// `anonymousOrg`: the org callers work in while AUTH_DISABLED is set
+export function buildAuth({ anonymousOrg }) {
+  const disabled = /^(1|true|yes)$/i.test(process.env.AUTH_DISABLED || "");
+  const file = process.env.AUTH_USERS_FILE;
+  const users = file
+    ? UsersFileSchema.parse(
+        JSON.parse(fs.readFileSync(path.resolve(file), "utf8"))
+      )
+    : [];
+  let secret = process.env.AUTH_SECRET;
+  if (disabled) {
+    console.warn(
+      `[auth] AUTH_DISABLED is set; every caller is an admin of ${anonymousOrg}`
+    );
+  } else if (users.length === 0) {
+    console.error("[auth] no users; set AUTH_USERS_FILE to allow logins");
+  }
+  if (!secret) {
+    // fine for a single dev instance; tokens die with the process
+    secret = crypto.randomBytes(32).toString("hex");
+    if (!disabled)
+      console.warn("[auth] AUTH_SECRET not set; using a per-boot secret");
+  }
+  return createAuth({
+    users,
+    secret,
+    ttlSec: parseInt(process.env.AUTH_TOKEN_TTL_HOURS || "12", 10) * 3600,
+    disabled,
+    anonymousOrg,
+    maxFailures: parseInt(process.env.AUTH_MAX_FAILURES || "5", 10),
+    lockoutSec: parseInt(process.env.AUTH_LOCKOUT_MINUTES || "15", 10) * 60,
+  });
+}
+
+// `node src/auth.js hash <password>` prints a passwordHash for the users file
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const [cmd, password] = process.argv.slice(2);
+  if (cmd !== "hash" || !password) {
+    console.error("usage: node src/auth.js hash <password>");
+    process.exit(1);
+  }
+  console.log(hashPassword(password));
+}
@@ -0,0 +1,44 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Single-file JSON checkpoint of in-memory server state. Writes go to a temp
+ * file first and are renamed into place, so a crash mid-write never leaves a
+ * truncated checkpoint behind.
+ */
+export function createCheckpoint({ file }) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  let queue = Promise.resolve();
+
+  function load() {
+    try {
+      const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+      if (!raw || typeof raw !== "object" || !raw.savedAt) return null;
+      return raw;
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        console.warn(
+          "[checkpoint] ignoring unreadable checkpoint:",
+          err.message
+        );
+      }
+      return null;
+    }
+  }
+
+  function save(state) {
+    const body = JSON.stringify({
+      savedAt: new Date().toISOString(),
+      ...state,
+    });
+    // serialize writes; a periodic save and a shutdown save may overlap
+    const write = queue
+      .then(() => fs.promises.writeFile(tmp, body))
+      .then(() => fs.promises.rename(tmp, file));
+    queue = write.catch(() => {});
+    return write;
+  }
+
+  return { load, save };
+}
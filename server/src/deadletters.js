@@ -0,0 +1,81 @@
+import { toKafkaMessage } from "./replay.js";
+
+const b64 = (v) => (v == null ? null : Buffer.from(v).toString("base64"));
+
+/**
+ * Bounded store for messages the pipeline dropped. Entries keep the raw
+ * key/headers/value (base64, in the replay NDJSON layout) so they can be
+ * inspected and pushed through `eachMessage` again once mappings are fixed.
+ */
+export function createDeadLetterStore({ max = 1000 }) {
+  let items = []; // oldest first
+  let nextId = 1;
+  const totals = {}; // reason -> count since boot
+
+  function add({ topic, partition, message, reason, detail }) {
+    const headers = {};
+    for (const [k, v] of Object.entries(message.headers || {})) {
+      headers[k] = b64(Array.isArray(v) ? v[0] : v);
+    }
+    const entry = {
+      id: String(nextId++),
+      reason,
+      detail,
+      topic,
+      partition,
+      offset: message.offset,
+      key: b64(message.key),
+      keyEncoding: "base64",
+      headers,
+      headersEncoding: "base64",
+      value: b64(message.value),
+      valueEncoding: "base64",
+      timestamp: message.timestamp,
+      receivedAt: new Date().toISOString(),
+      attempts: 0,
+    };
+    items.push(entry);
+    if (items.length > max) items.shift();
+    totals[reason] = (totals[reason] || 0) + 1;
+    return entry;
+  }
+
+  const get = (id) => items.find((e) => e.id === String(id)) || null;
+
+  function remove(id) {
+    const before = items.length;
+    items = items.filter((e) => e.id !== String(id));
+    return items.length !== before;
+  }
+
+  // newest first, with a readable preview of the payload
+  function list({ reason, topic, limit = 100 } = {}) {
+    return items
+      .filter(
+        (e) => (!reason || e.reason === reason) && (!topic || e.topic === topic)
+      )
+      .slice(-limit)
+      .reverse()
+      .map((e) => ({
+        ...e,
+        preview:
+          e.value == null
+            ? null
+            : Buffer.from(e.value, "base64").toString("utf8").slice(0, 2000),
+      }));
+  }
+
+  // the message shape `eachMessage` expects
+  const toMessage = (entry) => toKafkaMessage(entry, entry.offset);
+
+  const stats = () => ({ size: items.length, max, totals });
+
+  const toJSON = () => ({ nextId, items });
+  function restore(saved) {
+    if (!saved || !Array.isArray(saved.items)) return;
+    items = saved.items.slice(-max);
+    nextId = Math.max(nextId, Number(saved.nextId) || 1);
+  }
+
+  return { add, get, remove, list, toMessage, stats, toJSON, restore };
+}
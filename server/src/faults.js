@@ -0,0 +1,130 @@
+const faultSource = (f) => f.meta?.sourceAddressName ?? f.meta?.txId ?? null;
+const faultKey = (f) => {
+  const source = faultSource(f);
+  return source != null ? `${f.code}/${source}` : f.code;
+};
+const msBetween = (a, b) => Math.max(0, Date.parse(b) - Date.parse(a)) || 0;
+
+function recountFaults(asset) {
+  const counters = { critical: 0, warning: 0, info: 0, unknown: 0 };
+  for (const f of asset.faults.active) {
+    const s = ["critical", "warning", "info"].includes(f.severity)
+      ? f.severity
+      : "unknown";
+    counters[s]++;
+  }
+  asset.faults.counts = counters;
+  asset.milOn = asset.faults.active.some((f) => f.meta?.milStatus === 1);
+}
+
+// keep one history row per episode, updated in place when it closes
+function recordEpisode(asset, episode) {
+  const hist = asset.faults.history;
+  const idx = hist.findIndex((f) => f.id === episode.id);
+  if (idx === -1) hist.push(episode);
+  else hist[idx] = episode;
+  if (hist.length > 600) hist.shift();
+}
+
+/**
+ * An active fault is an episode: it opens the first time a code is reported,
+ * counts every message that repeats it, and closes when the code is cleared.
+ * The same SPN/FMI from two ECUs is two episodes. Episodes live on
+ * `asset.faults` ({ active, history, counts }); every open, repeat and clear
+ * is also appended to `history`.
+ */
+export function createFaultEpisodes({ history }) {
+  function closeEpisode(asset, idx, clearedAt) {
+    const prev = asset.faults.active[idx];
+    asset.faults.active.splice(idx, 1);
+    const episode = {
+      ...prev,
+      active: false,
+      clearedAt,
+      durationMs: msBetween(prev.firstSeen ?? prev.time, clearedAt),
+    };
+    recordEpisode(asset, episode);
+    history.append(asset.org, {
+      kind: "fault",
+      id: asset.id,
+      time: clearedAt,
+      code: episode.code,
+      description: episode.description,
+      severity: episode.severity,
+      active: false,
+      episodeId: episode.id,
+      firstSeen: episode.firstSeen,
+      clearedAt,
+      durationMs: episode.durationMs,
+      occurrences: episode.occurrences,
+      meta: episode.meta,
+    });
+    return episode;
+  }
+
+  // Merges one fault report (active or an explicit clear) and returns the
+  // episode as it now stands, or null when a clear matched nothing.
+  function handleFaultMerge(asset, faultObj) {
+    if (!asset || !faultObj) return null;
+
+    const key = faultKey(faultObj);
+    const idx = asset.faults.active.findIndex((f) => faultKey(f) === key);
+    let episode = null;
+
+    if (!faultObj.active) {
+      if (idx !== -1) episode = closeEpisode(asset, idx, faultObj.time);
+    } else {
+      const prev = idx === -1 ? null : asset.faults.active[idx];
+      const firstSeen = prev ? prev.firstSeen ?? prev.time : faultObj.time;
+      episode = {
+        ...faultObj,
+        id: prev ? prev.id : `${key}@${faultObj.time}`,
+        firstSeen,
+        lastSeen: faultObj.time,
+        clearedAt: null,
+        durationMs: msBetween(firstSeen, faultObj.time),
+        occurrences: (prev?.occurrences || 0) + 1,
+      };
+      if (prev) asset.faults.active[idx] = episode;
+      else asset.faults.active.push(episode);
+      recordEpisode(asset, episode);
+      history.append(asset.org, {
+        kind: "fault",
+        id: asset.id,
+        time: faultObj.time,
+        code: episode.code,
+        description: episode.description,
+        severity: episode.severity,
+        active: true,
+        episodeId: episode.id,
+        firstSeen,
+        occurrences: episode.occurrences,
+        meta: episode.meta,
+      });
+    }
+
+    recountFaults(asset);
+    return episode;
+  }
+
+  // A fault message is the complete set of codes each reporting source (J1939
+  // source address, OBD-II ECU) currently has; active codes of that protocol
+  // from those sources that are missing have cleared. An empty set clears
+  // every fault of the protocol on the asset.
+  function applyFaultSet(asset, faults, time, protocol) {
+    const sources = new Set(faults.map(faultSource));
+    const reported = new Set(faults.map(faultKey));
+    const episodes = faults.map((f) => handleFaultMerge(asset, f));
+
+    for (const f of [...asset.faults.active]) {
+      if (f.protocol !== protocol || reported.has(faultKey(f))) continue;
+      if (faults.length > 0 && !sources.has(faultSource(f))) continue;
+      const idx = asset.faults.active.indexOf(f);
+      episodes.push(closeEpisode(asset, idx, time));
+    }
+    recountFaults(asset);
+    return episodes;
+  }
+
+  return { handleFaultMerge, applyFaultSet };
+}
@@ -0,0 +1,14 @@
+const EARTH_RADIUS_MI = 3958.8;
+
+export const METERS_PER_MILE = 1609.344;
+
+// great-circle distance between two points, in miles
+export function haversineMi(lat1, lon1, lat2, lon2) {
+  const rad = (d) => (d * Math.PI) / 180;
+  const dLat = rad(lat2 - lat1);
+  const dLon = rad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_MI * Math.asin(Math.sqrt(a));
+}
@@ -0,0 +1,170 @@
+import crypto from "crypto";
+import { z } from "zod";
+import { createCheckpoint } from "./checkpoint.js";
+import { haversineMi, METERS_PER_MILE } from "./geo.js";
+
+const Point = z.object({
+  lat: z.number().min(-90).max(90),
+  lon: z.number().min(-180).max(180),
+});
+
+const Shape = z.discriminatedUnion("type", [
+  z.object({
+    type: z.literal("circle"),
+    center: Point,
+    radiusMeters: z.number().positive(),
+  }),
+  z.object({
+    type: z.literal("polygon"),
+    points: z.array(Point).min(3),
+  }),
+]);
+
+const GeofenceSchema = z.object({
+  name: z.string().min(1),
+  category: z.enum(["depot", "customer", "shop", "other"]).default("other"),
+  shape: Shape,
+  // geofence:dwell fires once a visit has lasted this long
+  dwellMinutes: z.number().positive().optional(),
+});
+
+// ray casting; fine for yard- and city-sized polygons away from the poles
+function inPolygon(points, { lat, lon }) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if (
+      a.lat > lat !== b.lat > lat &&
+      lon < ((b.lon - a.lon) * (lat - a.lat)) / (b.lat - a.lat) + a.lon
+    )
+      inside = !inside;
+  }
+  return inside;
+}
+
+function contains(shape, p) {
+  if (shape.type === "circle") {
+    const mi = haversineMi(shape.center.lat, shape.center.lon, p.lat, p.lon);
+    return mi * METERS_PER_MILE <= shape.radiusMeters;
+  }
+  return inPolygon(shape.points, p);
+}
+
+/**
+ * Per-org circles and polygons (depots, customer sites, shops), persisted in
+ * `file`. `track` moves an asset's `zones` (the geofences it is inside, most
+ * recent first) to a new position and returns the enter/exit/dwell events
+ * that caused.
+ */
+export function createGeofences({ file, dwellMinutes = 30 }) {
+  const store = createCheckpoint({ file });
+  const fences = new Map(); // id -> { org, ...geofence }
+  for (const f of store.load()?.geofences || []) fences.set(f.id, f);
+
+  function persist() {
+    return store
+      .save({ geofences: [...fences.values()] })
+      .catch((err) => console.error("[geofences] save failed:", err));
+  }
+
+  const get = (org, id) => {
+    const f = fences.get(id);
+    return f && f.org === org ? f : null;
+  };
+
+  const list = (org) => [...fences.values()].filter((f) => f.org === org);
+
+  // throws a ZodError for bad input
+  function create(org, body) {
+    const at = new Date().toISOString();
+    const fence = {
+      id: crypto.randomUUID(),
+      org,
+      ...GeofenceSchema.parse(body),
+      createdAt: at,
+      updatedAt: at,
+    };
+    fences.set(fence.id, fence);
+    persist();
+    return fence;
+  }
+
+  // null when missing; throws a ZodError for bad input
+  function update(org, id, body) {
+    const cur = get(org, id);
+    if (!cur) return null;
+    const fence = {
+      ...cur,
+      ...GeofenceSchema.parse(body),
+      updatedAt: new Date().toISOString(),
+    };
+    fences.set(id, fence);
+    persist();
+    return fence;
+  }
+
+  function remove(org, id) {
+    if (!get(org, id)) return false;
+    fences.delete(id);
+    persist();
+    return true;
+  }
+
+  /**
+   * Updates `asset.zones` for a position at `time` and returns
+   * [{ type: "enter" | "exit" | "dwell", geofence, time, durationMs }].
+   * Zones of deleted geofences are dropped without an exit.
+   */
+  function track(asset, { lat, lon, time }) {
+    const events = [];
+    const t = Date.parse(time) || Date.now();
+    const inside = new Set(
+      list(asset.org)
+        .filter((f) => contains(f.shape, { lat, lon }))
+        .map((f) => f.id)
+    );
+    const ref = (f) => ({ id: f.id, name: f.name, category: f.category });
+
+    const zones = [];
+    for (const zone of asset.zones || []) {
+      const fence = fences.get(zone.geofenceId);
+      if (!fence) continue;
+      const durationMs = Math.max(0, t - Date.parse(zone.enteredAt));
+      if (!inside.has(fence.id)) {
+        events.push({ type: "exit", geofence: ref(fence), time, durationMs });
+        continue;
+      }
+      inside.delete(fence.id);
+      const dwellMs = (fence.dwellMinutes ?? dwellMinutes) * 60_000;
+      let { dwellAt } = zone;
+      if (!dwellAt && durationMs >= dwellMs) {
+        dwellAt = time;
+        events.push({ type: "dwell", geofence: ref(fence), time, durationMs });
+      }
+      zones.push({
+        ...zone,
+        name: fence.name,
+        category: fence.category,
+        dwellAt,
+      });
+    }
+    for (const id of inside) {
+      const fence = fences.get(id);
+      zones.unshift({
+        geofenceId: id,
+        name: fence.name,
+        category: fence.category,
+        enteredAt: time,
+        dwellAt: null,
+      });
+      events.push({ type: "enter", geofence: ref(fence), time, durationMs: 0 });
+    }
+    asset.zones = zones;
+    return events;
+  }
+
+  const stats = () => ({ total: fences.size });
+
+  return { get, list, create, update, remove, track, stats };
+}
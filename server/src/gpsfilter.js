@@ -0,0 +1,141 @@
+import { haversineMi, METERS_PER_MILE } from "./geo.js";
+
+// what a location fix brings; a rejected fix leaves all of it behind
+const FIX_FIELDS = [
+  "lat",
+  "lon",
+  "heading",
+  "accuracyMeters",
+  "city",
+  "state",
+  "country",
+  "postalCode",
+  "street",
+];
+
+const emptyCounts = () => ({
+  accepted: 0,
+  outOfOrder: 0,
+  jump: 0,
+  inaccurate: 0,
+  lastRejected: null, // { reason, time, lat, lon }
+});
+
+/**
+ * Screens location fixes before they move an asset. A fix is rejected when
+ * it is not newer than the asset's current one (late or replayed), when its
+ * `accuracyMeters` is above `maxAccuracyMeters`, or when getting there from
+ * the current position would take more than `maxMph`. Moves shorter than
+ * `toleranceMeters` never count as jumps, so GPS jitter between close fixes
+ * is not mistaken for speed. `resyncAfter` jumps in a row that agree with
+ * each other are taken as the truth (the old fix was the bad one, or the
+ * unit was hauled), and the last of them is accepted.
+ *
+ * Fixes are judged against the last accepted one; right after a restart
+ * that is the asset's position as of `fixTime`, the time of its last
+ * accepted fix (not `time`, which stats and speed messages move on too).
+ * Decisions are counted per asset ("org/id"); counters start over with the
+ * process, like the normalizer stats.
+ */
+export function createGpsFilter({
+  maxMph = 150,
+  maxAccuracyMeters = 200,
+  toleranceMeters = 500,
+  resyncAfter = 3,
+}) {
+  const counts = new Map(); // "org/id" -> emptyCounts()
+  const fixes = new Map(); // "org/id" -> last accepted { lat, lon, t }
+  const jumps = new Map(); // "org/id" -> { streak, lat, lon, t }
+  const totals = { accepted: 0, outOfOrder: 0, jump: 0, inaccurate: 0 };
+
+  // mph needed to cover a -> b; Infinity when b isn't later
+  function impliedMph(a, b) {
+    const mi = haversineMi(a.lat, a.lon, b.lat, b.lon);
+    if (mi * METERS_PER_MILE <= toleranceMeters) return 0;
+    const hours = (b.t - a.t) / 3_600_000;
+    return hours > 0 ? mi / hours : Infinity;
+  }
+
+  function judge(key, prev, fix) {
+    if (prev.t != null && fix.t != null && fix.t <= prev.t) return "outOfOrder";
+    if (fix.accuracyMeters != null && fix.accuracyMeters > maxAccuracyMeters)
+      return "inaccurate";
+    if (prev.lat == null || prev.t == null || fix.t == null) return "accepted";
+    if (impliedMph(prev, fix) <= maxMph) return "accepted";
+    // a run of jumps that are consistent with one another wins eventually
+    const last = jumps.get(key);
+    const streak =
+      last && impliedMph(last, fix) <= maxMph ? last.streak + 1 : 1;
+    if (streak >= resyncAfter) return "accepted";
+    jumps.set(key, { streak, lat: fix.lat, lon: fix.lon, t: fix.t });
+    return "jump";
+  }
+
+  /**
+   * `rec` for the asset `prev` (as it stands, or undefined). Returns
+   * the record to apply, without its fix fields when the fix was rejected,
+   * and the decision ("accepted", "outOfOrder", "jump", "inaccurate"), or
+   * null when `rec` carries no fix.
+   */
+  function screen(org, id, prev, rec) {
+    if (rec.lat == null || rec.lon == null) return { rec, decision: null };
+    const key = `${org}/${id}`;
+    const fix = {
+      lat: rec.lat,
+      lon: rec.lon,
+      t: Date.parse(rec.time) || null,
+      accuracyMeters: rec.accuracyMeters,
+    };
+    const decision = judge(
+      key,
+      fixes.get(key) ?? {
+        lat: prev?.lat,
+        lon: prev?.lon,
+        t: Date.parse(prev?.fixTime) || null,
+      },
+      fix
+    );
+
+    const c = counts.get(key) || emptyCounts();
+    c[decision]++;
+    totals[decision]++;
+    counts.set(key, c);
+    if (decision === "accepted") {
+      fixes.set(key, fix);
+      jumps.delete(key);
+      return { rec, decision };
+    }
+
+    c.lastRejected = {
+      reason: decision,
+      time: rec.time ?? null,
+      lat: rec.lat,
+      lon: rec.lon,
+    };
+    const kept = { ...rec };
+    for (const f of FIX_FIELDS) delete kept[f];
+    // a late fix's speed is just as stale as its position
+    if (decision === "outOfOrder") delete kept.mph;
+    return { rec: kept, decision };
+  }
+
+  const countsOf = (org, id) => counts.get(`${org}/${id}`) ?? null;
+
+  const stats = () => ({
+    maxMph,
+    maxAccuracyMeters,
+    resyncAfter,
+    ...totals,
+  });
+
+  return { screen, countsOf, stats };
+}
+
+export function buildGpsFilter() {
+  return createGpsFilter({
+    maxMph: parseFloat(process.env.GPS_MAX_MPH || "150"),
+    maxAccuracyMeters: parseFloat(process.env.GPS_MAX_ACCURACY_METERS || "200"),
+    toleranceMeters: parseFloat(process.env.GPS_JUMP_TOLERANCE_METERS || "500"),
+    resyncAfter: parseInt(process.env.GPS_RESYNC_AFTER || "3", 10),
+  });
+}
@@ -0,0 +1,167 @@
+import { createCheckpoint } from "./checkpoint.js";
+
+// forward-only workflow; a resolved ticket may be reopened
+export const HELP_STATUSES = [
+  "open",
+  "acknowledged",
+  "assigned",
+  "en_route",
+  "resolved",
+];
+
+const now = () => new Date().toISOString();
+
+/**
+ * Help tickets raised from the dashboard. Each ticket belongs to an org
+ * (`defaultOrg` when none is given), is linked to an asset (and optionally
+ * a fault episode), moves through HELP_STATUSES, and keeps its comments and
+ * a change log. Every change is written to `file` right away so tickets
+ * survive restarts. Oldest resolved tickets are trimmed beyond `max`.
+ */
+export function createHelpDesk({ file, max = 5000, defaultOrg = null }) {
+  const store = createCheckpoint({ file });
+  let tickets = []; // oldest first
+  let nextId = 1;
+
+  const saved = store.load();
+  if (saved) {
+    tickets = Array.isArray(saved.tickets) ? saved.tickets : [];
+    for (const t of tickets) t.org ??= defaultOrg; // saved before orgs
+    nextId = Math.max(1, Number(saved.nextId) || 1);
+  }
+
+  function persist() {
+    if (tickets.length > max) {
+      const excess = tickets.length - max;
+      let dropped = 0;
+      tickets = tickets.filter(
+        (t) => t.status !== "resolved" || dropped++ >= excess
+      );
+    }
+    return store
+      .save({ nextId, tickets })
+      .catch((err) => console.error("[help] save failed:", err));
+  }
+
+  const get = (id) => tickets.find((t) => t.id === String(id)) || null;
+
+  function create({ org, assetId, vin, faultId, code, note, location, by }) {
+    const at = now();
+    const ticket = {
+      id: String(nextId++),
+      org: org ?? defaultOrg,
+      assetId: assetId ?? null,
+      vin: vin ?? null,
+      faultId: faultId || null,
+      code: code || null,
+      note: note || "",
+      location: location || null,
+      status: "open",
+      assignee: null,
+      createdBy: by || null,
+      createdAt: at,
+      updatedAt: at,
+      resolvedAt: null,
+      comments: [],
+      log: [{ at, by: by || null, field: "status", from: null, to: "open" }],
+    };
+    tickets.push(ticket);
+    persist();
+    return ticket;
+  }
+
+  // newest first; `status` may be a list, `open` hides resolved tickets
+  function list({ org, status, assetId, assignee, open, limit = 200 } = {}) {
+    const statuses = status ? [].concat(status) : null;
+    return tickets
+      .filter(
+        (t) =>
+          (!org || t.org === org) &&
+          (!statuses || statuses.includes(t.status)) &&
+          (!assetId || t.assetId === assetId || t.vin === assetId) &&
+          (!assignee || t.assignee === assignee) &&
+          (!open || t.status !== "resolved")
+      )
+      .slice(-limit)
+      .reverse();
+  }
+
+  function canMove(from, to) {
+    if (from === to) return true;
+    if (from === "resolved") return to === "open";
+    return HELP_STATUSES.indexOf(to) > HELP_STATUSES.indexOf(from);
+  }
+
+  // null when the ticket does not exist; throws on an invalid change
+  function update(id, { status, assignee, note }, by) {
+    const t = get(id);
+    if (!t) return null;
+    if (status != null && !HELP_STATUSES.includes(status)) {
+      throw new Error(`invalid status "${status}"`);
+    }
+    // naming an assignee on a fresh ticket implies "assigned"
+    let next = status ?? t.status;
+    if (status == null && assignee && ["open", "acknowledged"].includes(next))
+      next = "assigned";
+    if (!canMove(t.status, next)) {
+      throw new Error(`cannot move from ${t.status} to ${next}`);
+    }
+
+    const at = now();
+    const change = (field, to) => {
+      if (to === undefined || t[field] === to) return;
+      t.log.push({ at, by: by || null, field, from: t[field], to });
+      t[field] = to;
+    };
+    change("status", next);
+    change("assignee", assignee === "" ? null : assignee);
+    change("note", note);
+    t.resolvedAt = t.status === "resolved" ? t.resolvedAt || at : null;
+    t.updatedAt = at;
+    persist();
+    return t;
+  }
+
+  function comment(id, { text, author }) {
+    const t = get(id);
+    if (!t) return null;
+    if (!text || !String(text).trim()) throw new Error("text required");
+    const c = {
+      id: String(t.comments.length + 1),
+      author: author || null,
+      text: String(text).trim(),
+      at: now(),
+    };
+    t.comments.push(c);
+    t.updatedAt = c.at;
+    persist();
+    return t;
+  }
+
+  // tickets from the old in-memory `helpRequests` array in the checkpoint
+  function importLegacy(requests) {
+    if (tickets.length > 0 || !Array.isArray(requests) || !requests.length)
+      return 0;
+    for (const r of requests) {
+      const t = create({
+        assetId: r.id,
+        vin: r.vin,
+        faultId: r.faultId,
+        code: r.code,
+        note: r.note,
+      });
+      t.createdAt = r.createdAt || t.createdAt;
+    }
+    persist();
+    return requests.length;
+  }
+
+  function stats(org) {
+    const scoped = org ? tickets.filter((t) => t.org === org) : tickets;
+    const byStatus = Object.fromEntries(HELP_STATUSES.map((s) => [s, 0]));
+    for (const t of scoped) byStatus[t.status]++;
+    return { total: scoped.length, byStatus };
+  }
+
+  return { create, get, list, update, comment, importLegacy, stats };
+}
@@ -0,0 +1,114 @@
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const dayKey = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+/**
+ * Append-only telemetry history: one NDJSON file per UTC day (by event time),
+ * one normalized event per line ({ org, kind, id, time, ... }). Lines written
+ * before orgs existed have no `org` and belong to `defaultOrg`.
+ */
+export function createHistoryStore({
+  dir,
+  retentionDays = 30,
+  defaultOrg = "default",
+}) {
+  fs.mkdirSync(dir, { recursive: true });
+  const streams = new Map(); // day -> WriteStream
+
+  function streamFor(day) {
+    let s = streams.get(day);
+    if (!s) {
+      // keep at most a couple of days open (late events reopen on demand);
+      // the oldest day goes first, the current one stays
+      if (streams.size >= 2) {
+        const oldest = [...streams.keys()].sort()[0];
+        streams.get(oldest).end();
+        streams.delete(oldest);
+      }
+      s = fs.createWriteStream(path.join(dir, `${day}.ndjson`), {
+        flags: "a",
+      });
+      s.on("error", (err) => console.error("[history] write failed:", err));
+      streams.set(day, s);
+    }
+    return s;
+  }
+
+  function append(org, event) {
+    if (!org || !event?.id || !event?.kind) return;
+    const t = Date.parse(event.time);
+    const ms = Number.isFinite(t) ? t : Date.now();
+    const line = JSON.stringify({
+      ...event,
+      org,
+      time: new Date(ms).toISOString(),
+    });
+    streamFor(dayKey(ms)).write(line + "\n");
+  }
+
+  /**
+   * The first `limit` events of `id` in `org` from `from` on, oldest first.
+   * Reading stops at the day that fills the limit; `truncated` says there
+   * may be more, to be fetched again from the last event's time.
+   */
+  async function query({ org, id, from, to, kinds, limit = 5000 }) {
+    const fromMs = Number.isFinite(from) ? from : Date.now() - DAY_MS;
+    const toMs = Number.isFinite(to) ? to : Date.now();
+    const kindSet = kinds?.length ? new Set(kinds) : null;
+    const out = [];
+
+    const firstDay = Date.parse(dayKey(fromMs));
+    for (let d = firstDay; d <= toMs && out.length <= limit; d += DAY_MS) {
+      const file = path.join(dir, `${dayKey(d)}.ndjson`);
+      if (!fs.existsSync(file)) continue;
+      const rl = readline.createInterface({
+        input: fs.createReadStream(file),
+        crlfDelay: Infinity,
+      });
+      const day = []; // a file is in arrival order; late events sort in
+      for await (const line of rl) {
+        if (!line.includes(id)) continue; // cheap pre-filter before parsing
+        let ev;
+        try {
+          ev = JSON.parse(line);
+        } catch {
+          continue;
+        }
+        if (ev.id !== id || (ev.org ?? defaultOrg) !== org) continue;
+        if (kindSet && !kindSet.has(ev.kind)) continue;
+        const t = Date.parse(ev.time);
+        if (t < fromMs || t > toMs) continue;
+        day.push(ev);
+      }
+      day.sort((a, b) => Date.parse(a.time) - Date.parse(b.time));
+      for (const ev of day) out.push(ev);
+    }
+
+    return { items: out.slice(0, limit), truncated: out.length > limit };
+  }
+
+  function prune() {
+    const cutoff = dayKey(Date.now() - retentionDays * DAY_MS);
+    for (const f of fs.readdirSync(dir)) {
+      const m = /^(\d{4}-\d{2}-\d{2})\.ndjson$/.exec(f);
+      if (m && m[1] < cutoff && !streams.has(m[1])) {
+        fs.rmSync(path.join(dir, f), { force: true });
+      }
+    }
+  }
+  prune();
+  const pruneTimer = setInterval(prune, 60 * 60 * 1000);
+  pruneTimer.unref();
+
+  async function close() {
+    clearInterval(pruneTimer);
+    const open = Array.from(streams.values());
+    streams.clear();
+    await Promise.all(open.map((s) => new Promise((r) => s.end(r))));
+  }
+
+  return { append, query, close };
+}
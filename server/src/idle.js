@@ -0,0 +1,236 @@
+import path from "path";
+import { createCheckpoint } from "./checkpoint.js";
+import { haversineMi, METERS_PER_MILE } from "./geo.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const dayKey = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+/**
+ * Is the asset idling right now? With an engine state that is "idle", or
+ * "on" while standing still; "off" means parked. Without one, standing still
+ * near the same spot is the best we have.
+ */
+function idleSignal(asset, maxMph) {
+  const still = asset.mph == null || asset.mph < maxMph;
+  if (asset.engineState === "idle") return "engine";
+  if (asset.engineState === "on") return still ? "engine" : null;
+  if (asset.engineState === "off") return null;
+  return still && asset.mph != null ? "motion" : null;
+}
+
+/**
+ * Idle episodes per asset. A candidate starts when the asset stops with its
+ * engine running (see idleSignal) and becomes an episode once it has lasted
+ * `minMinutes` without drifting more than `driftMeters`. `asset.idle` holds
+ * the live state ({ since, started, source, lat, lon }, or null) and rides
+ * along in the snapshot; finished episodes are kept in `file`, newest
+ * `max`, for reports.
+ */
+export function createIdleTracker({
+  file,
+  minMinutes = 5,
+  maxMph = 1,
+  driftMeters = 50,
+  max = 20000,
+}) {
+  const store = createCheckpoint({ file });
+  let episodes = store.load()?.episodes || []; // oldest first
+
+  function save() {
+    if (episodes.length > max) episodes = episodes.slice(-max);
+    return store
+      .save({ episodes })
+      .catch((err) => console.error("[idle] save failed:", err));
+  }
+
+  // a yard of trucks pulling out ends episodes in bursts; write at most once
+  // a second
+  let saveTimer = null;
+  function persist() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      save();
+    }, 1000);
+    saveTimer.unref();
+  }
+
+  // writes what is still waiting for the timer, on shutdown
+  function flush() {
+    if (!saveTimer) return Promise.resolve();
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    return save();
+  }
+
+  // ongoing when `endMs` is null, measured up to `atMs`
+  const episodeOf = (asset, idle, endMs, atMs = endMs ?? Date.now()) => ({
+    org: asset.org,
+    assetId: asset.id,
+    vin: asset.vin ?? null,
+    source: idle.source,
+    startedAt: idle.since,
+    endedAt: endMs == null ? null : new Date(endMs).toISOString(),
+    durationMs: Math.max(0, atMs - Date.parse(idle.since)),
+    lat: idle.lat,
+    lon: idle.lon,
+    city: asset.city ?? null,
+    state: asset.state ?? null,
+  });
+
+  /**
+   * Updates `asset.idle` for an update at `time` (the asset already merged)
+   * and returns [{ type: "started" | "ended", episode }].
+   */
+  function track(asset, { time }) {
+    const t = Date.parse(time) || Date.now();
+    const source = idleSignal(asset, maxMph);
+    let idle = asset.idle || null;
+    const events = [];
+
+    // crept off the spot: that visit is over, a new one may start here
+    if (idle && source && asset.lat != null && idle.lat != null) {
+      const mi = haversineMi(idle.lat, idle.lon, asset.lat, asset.lon);
+      if (mi * METERS_PER_MILE > driftMeters) {
+        events.push(...end(asset, idle, t));
+        idle = null;
+      }
+    }
+
+    if (!source) {
+      if (idle) events.push(...end(asset, idle, t));
+      asset.idle = null;
+      return events;
+    }
+    if (!idle) {
+      asset.idle = {
+        since: new Date(t).toISOString(),
+        started: false,
+        source,
+        lat: asset.lat ?? null,
+        lon: asset.lon ?? null,
+      };
+      return events;
+    }
+    // engine state beats a motion-only guess once it shows up
+    if (source === "engine") idle.source = "engine";
+    if (!idle.started && t - Date.parse(idle.since) >= minMinutes * 60_000) {
+      idle.started = true;
+      events.push({
+        type: "started",
+        episode: episodeOf(asset, idle, null, t),
+      });
+    }
+    return events;
+  }
+
+  function end(asset, idle, t) {
+    if (!idle.started) return [];
+    const episode = episodeOf(asset, idle, t);
+    episodes.push(episode);
+    persist();
+    return [{ type: "ended", episode }];
+  }
+
+  /**
+   * Idle time in [from, to] for `org`, by asset or by UTC day. Ongoing
+   * episodes (from `assets`) count up to the asset's last report; episodes
+   * spanning midnight are split between the days.
+   */
+  function report({ org, assets = [], from, to, groupBy = "asset" }) {
+    const toMs = Number.isFinite(to) ? to : Date.now();
+    const fromMs = Number.isFinite(from) ? from : toMs - 7 * DAY_MS;
+    const live = assets
+      .filter((a) => a.idle?.started)
+      .map((a) => episodeOf(a, a.idle, null, Date.parse(a.time) || Date.now()));
+    const groups = new Map();
+
+    for (const ep of [...episodes, ...live]) {
+      if (ep.org !== org) continue;
+      const start = Math.max(fromMs, Date.parse(ep.startedAt));
+      const stop = Math.min(toMs, Date.parse(ep.startedAt) + ep.durationMs);
+      if (stop <= start) continue;
+      // by day, each slice between midnights counts toward its own day
+      const slices = [];
+      if (groupBy === "day") {
+        for (let s = start; s < stop; ) {
+          const midnight = Date.parse(dayKey(s)) + DAY_MS;
+          slices.push([dayKey(s), Math.min(stop, midnight) - s]);
+          s = midnight;
+        }
+      } else {
+        slices.push([ep.assetId, stop - start]);
+      }
+      for (const [key, ms] of slices) {
+        let g = groups.get(key);
+        if (!g) {
+          g =
+            groupBy === "day"
+              ? { day: key, assets: new Set(), episodes: 0, idleMs: 0 }
+              : {
+                  assetId: ep.assetId,
+                  vin: ep.vin,
+                  episodes: 0,
+                  idleMs: 0,
+                  longestMs: 0,
+                };
+          groups.set(key, g);
+        }
+        g.episodes++;
+        g.idleMs += ms;
+        if (groupBy === "day") g.assets.add(ep.assetId);
+        else g.longestMs = Math.max(g.longestMs, ms);
+      }
+    }
+
+    const rows = [...groups.values()].map((g) =>
+      groupBy === "day" ? { ...g, assets: g.assets.size } : g
+    );
+    if (groupBy === "day") rows.sort((a, b) => a.day.localeCompare(b.day));
+    else rows.sort((a, b) => b.idleMs - a.idleMs);
+    return {
+      from: new Date(fromMs).toISOString(),
+      to: new Date(toMs).toISOString(),
+      groupBy,
+      totalIdleMs: rows.reduce((n, r) => n + r.idleMs, 0),
+      rows,
+    };
+  }
+
+  const stats = () => ({ episodes: episodes.length });
+
+  return { track, report, stats, flush };
+}
+
+// a leading =, +, - or @ would make a spreadsheet run the cell as a formula
+const csvCell = (v) => {
+  let s = v == null ? "" : String(v);
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// report() rows as CSV, idle time in minutes
+export function idleReportCsv({ groupBy, rows }) {
+  const cols =
+    groupBy === "day"
+      ? ["day", "assets", "episodes", "idleMinutes"]
+      : ["assetId", "vin", "episodes", "idleMinutes", "longestMinutes"];
+  const lines = rows.map((r) => {
+    const row = {
+      ...r,
+      idleMinutes: Math.round(r.idleMs / 60_000),
+      longestMinutes: Math.round((r.longestMs || 0) / 60_000),
+    };
+    return cols.map((c) => csvCell(row[c])).join(",");
+  });
+  return [cols.join(","), ...lines].join("\n") + "\n";
+}
+
+export function buildIdleTracker({ dataDir }) {
+  return createIdleTracker({
+    file: path.join(dataDir, "idle.json"),
+    minMinutes: parseFloat(process.env.IDLE_MIN_MINUTES || "5"),
+    maxMph: parseFloat(process.env.IDLE_MAX_MPH || "1"),
+    driftMeters: parseFloat(process.env.IDLE_DRIFT_METERS || "50"),
+  });
+}
@@ -2,23 +2,72 @@
 import "dotenv/config.js";
 import express from "express";
 import http from "http";
+import path from "path";
 import { Server as IOServer } from "socket.io";
-import { buildKafka } from "./kafka.js";
+import { buildSource } from "./ingest.js";
+import { createHistoryStore } from "./history.js";
+import { buildTripSegmenter } from "./trips.js";
+import { buildIdleTracker, idleReportCsv } from "./idle.js";
+import { createAlertEngine } from "./alerts.js";
+import { buildNotifiers } from "./notify.js";
+import { buildWebhooks } from "./webhooks.js";
+import { buildOfflineTracker } from "./offline.js";
+import { buildGpsFilter } from "./gpsfilter.js";
+import { createMetrics, metricsAccess } from "./metrics.js";
+import { createCheckpoint } from "./checkpoint.js";
+import { buildRecorder } from "./recorder.js";
+import { createDeadLetterStore } from "./deadletters.js";
+import { createRouter, loadRoutingConfig } from "./routing.js";
+import { buildSeverityRules } from "./severity.js";
+import { createFaultEpisodes } from "./faults.js";
+import { buildKnowledgeBase } from "./kb.js";
+import { buildShopDirectory, makeFromVin } from "./shops.js";
+import { buildAuth } from "./auth.js";
+import { buildOrgs } from "./orgs.js";
+import { createGeofences } from "./geofences.js";
+import { createHelpDesk, HELP_STATUSES } from "./help.js";
+import {
+  normalize,
+  normalizeFaultPayload,
+  normalizerStats,
+  resolveIdentity,
+} from "./normalize.js";
 
 /** ---------- Env ---------- */
 const PORT = parseInt(process.env.PORT || "8080", 10);
-const topics = (process.env.TOPICS || "")
-  .split(",")
-  .map((t) => t.trim())
-  .filter(Boolean);
-if (topics.length === 0) {
+const INGEST_SOURCE = (process.env.INGEST_SOURCE || "kafka").toLowerCase();
+const orgs = buildOrgs(); // tenants; ORGS_FILE may add topics of their own
+const topics = [
+  ...new Set([
+    ...(process.env.TOPICS || "")
+      .split(",")
+      .map((t) => t.trim())
+      .filter(Boolean),
+    ...orgs.topics(),
+  ]),
+];
+// replay without TOPICS plays every topic found in the recordings
+if (topics.length === 0 && INGEST_SOURCE === "kafka") {
   console.error("No topics provided. Set TOPICS=topic1,topic2 in your .env");
   process.exit(1);
 }
-const groupId =
-  process.env.KAFKA_GROUP_ID ||
-  process.env.GROUP_ID ||
-  `atsiai-realtime-${Math.random().toString(36).slice(2, 8)}`;
+// resolved in run(): env, else the id from the restored checkpoint, else random
+let groupId = process.env.KAFKA_GROUP_ID || process.env.GROUP_ID || null;
+const DATA_DIR = path.resolve(process.env.DATA_DIR || "data");
+const DEADLETTER_MAX = parseInt(process.env.DEADLETTER_MAX || "1000", 10);
+const CHECKPOINT_INTERVAL_MS = parseInt(
+  process.env.CHECKPOINT_INTERVAL_MS || "30000",
+  10
+);
+const HISTORY_RETENTION_DAYS = parseInt(
+  process.env.HISTORY_RETENTION_DAYS || "30",
+  10
+);
+const GEOFENCE_DWELL_MIN = parseInt(process.env.GEOFENCE_DWELL_MIN || "30", 10);
+// how often offline assets and stale-data alert rules are checked
+const SWEEP_MS = parseInt(process.env.SWEEP_MS || "60000", 10);
+// bearer token for Prometheus scrapes of /metrics; unset = staff login
+const METRICS_TOKEN = process.env.METRICS_TOKEN || "";
 
 /** ---------- HTTP + WS ---------- */
 const app = express();
@@ -30,12 +79,68 @@ const io = new IOServer(server, {
   },
 });
 app.use(express.json({ limit: "2mb" }));
+const auth = buildAuth({ anonymousOrg: orgs.defaultOrg() });
+io.use(auth.socketMiddleware);
+// staff pick a tenant with `auth.org` in the handshake
+io.use((socket, next) => {
+  const org = orgs.scopeFor(socket.data.user, socket.handshake.auth?.org);
+  if (!org) return next(new Error("forbidden org"));
+  socket.data.org = org;
+  next();
+});
 
 /** ---------- State ---------- */
-const latestById = new Map(); // id -> asset snapshot
-const helpRequests = [];
-const partitionLastId = new Map(); // partition -> last seen id from location
+const assetsByOrg = new Map(); // org -> Map(id -> asset snapshot)
+const assetsOf = (org) => {
+  if (!assetsByOrg.has(org)) assetsByOrg.set(org, new Map());
+  return assetsByOrg.get(org);
+};
+const allAssets = () =>
+  [...assetsByOrg.values()].flatMap((assets) => [...assets.values()]);
+const partitionLastId = new Map(); // "org/partition" -> last id from location
 const NOW = () => Date.now();
+const checkpoint = createCheckpoint({
+  file: path.join(DATA_DIR, "checkpoint.json"),
+});
+let restoredSnapshot = null; // { savedAt, ageMs, assets } when booted warm
+const deadLetters = createDeadLetterStore({ max: DEADLETTER_MAX });
+const recorder = buildRecorder(); // null unless RECORD_DIR is set
+const severityRules = buildSeverityRules(); // hot-reloads SEVERITY_RULES_FILE
+const kb = buildKnowledgeBase({ dataDir: DATA_DIR });
+const shops = buildShopDirectory({ dataDir: DATA_DIR, kb });
+const helpDesk = createHelpDesk({
+  file: path.join(DATA_DIR, "help.json"),
+  defaultOrg: orgs.defaultOrg(),
+});
+const geofences = createGeofences({
+  file: path.join(DATA_DIR, "geofences.json"),
+  dwellMinutes: GEOFENCE_DWELL_MIN,
+});
+const trips = buildTripSegmenter();
+const idle = buildIdleTracker({ dataDir: DATA_DIR });
+const webhooks = buildWebhooks({ dataDir: DATA_DIR });
+const offline = buildOfflineTracker({ dataDir: DATA_DIR });
+const gpsFilter = buildGpsFilter();
+const alerts = createAlertEngine({
+  file: path.join(DATA_DIR, "alerts.json"),
+  orgs: orgs.ids(),
+  senders: buildNotifiers({
+    emit: (org, alert) => publish(org, "alert", alert),
+  }),
+});
+const history = createHistoryStore({
+  dir: path.join(DATA_DIR, "history"),
+  retentionDays: HISTORY_RETENTION_DAYS,
+  defaultOrg: orgs.defaultOrg(),
+});
+
+/** ---------- Sync (snapshot + resumable deltas) ---------- */
+// Every emitted update/fault carries a monotonically increasing `seq`. The
+// epoch changes with every process start so a client holding a seq from a
+// previous run gets a full snapshot instead of a (meaningless) delta.
+const syncEpoch = NOW().toString(36);
+let seq = 0;
+const nextSeq = () => ++seq;
 
 const safeJson = (buf) => {
   try {
@@ -55,217 +160,424 @@ const pickHeader = (headers, ...names) => {
   return undefined;
 };
 
-/** ---------- Identity helpers ---------- */
-function extractIdentity(obj) {
-  if (!obj || typeof obj !== "object") return {};
-  const id = obj?.asset?.id ?? obj?.vehicle?.id ?? null;
-  const vin =
-    obj?.asset?.externalIds?.["samsara.vin"] ||
-    obj?.vehicle?.externalIds?.["samsara.vin"];
-  const serial =
-    obj?.asset?.externalIds?.["samsara.serial"] ||
-    obj?.vehicle?.externalIds?.["samsara.serial"];
-  return { id, vin, serial };
-}
-
-function resolveIdentityFromObj(obj) {
-  if (!obj || typeof obj !== "object") return {};
-  const env = extractIdentity(obj);
-  let id = env.id ?? obj.id ?? obj.vehicleId ?? obj.assetId ?? null;
-  let vin =
-    env.vin ??
-    obj.vin ??
-    obj.VIN ??
-    obj?.vehicle?.vin ??
-    obj?.asset?.vin ??
-    null;
-  let serial =
-    env.serial ??
-    obj.serial ??
-    obj?.vehicle?.serial ??
-    obj?.asset?.serial ??
-    null;
-  return { id, vin, serial };
-}
-
-/** ---------- Normalize: location / speed ---------- */
-function normalizeLocation(obj, fallbackIso) {
-  const { id, vin, serial } = extractIdentity(obj);
-  let mph;
-  if (obj?.ecuSpeedMph?.value != null) mph = Number(obj.ecuSpeedMph.value);
-  if (obj?.speed?.ecuSpeedMetersPerSecond != null) {
-    mph = Number(obj.speed.ecuSpeedMetersPerSecond) * 2.2369362920544;
-  }
-  const loc = obj?.location || {};
-  const addr = loc?.address || {};
-  const time =
-    obj?.happenedAtTime || obj?.ecuSpeedMph?.time || obj?.time || fallbackIso;
-
-  return {
-    id,
-    vin,
-    serial,
-    time,
-    lat: loc?.latitude,
-    lon: loc?.longitude,
-    heading: loc?.headingDegrees,
-    city: addr?.city,
-    state: addr?.state,
-    mph: Number.isFinite(mph) ? mph : undefined,
-  };
-}
-
-/** ---------- Normalize: J1939 SPN/FMI faults ---------- */
-function normalizeJ1939FaultItem(item, whenIso) {
-  const spnId = item?.spnId;
-  const fmiId = item?.fmiId;
-  const code = [
-    spnId != null ? `SPN ${spnId}` : null,
-    fmiId != null ? `FMI ${fmiId}` : null,
-  ]
-    .filter(Boolean)
-    .join(" ");
-
-  const src = item?.sourceAddressName;
-  const descBits = [
-    item?.spnDescription || "",
-    item?.fmiDescription ? ` — ${item.fmiDescription}` : "",
-    src ? ` (${src})` : "",
-  ];
-  const description = descBits.join("").trim();
-
-  const misfire =
-    /misfire/i.test(item?.spnDescription || "") ||
-    [1322, 1327, 1328].includes(Number(spnId));
-  let severity = "info";
-  if (Number(item?.milStatus) === 1) severity = "warning";
-  if (Number(item?.milStatus) === 1 && misfire) severity = "critical";
-
-  return {
-    id: `${code || "UNKNOWN"}@${whenIso}`,
-    code: code || "UNKNOWN",
-    description: description || "Diagnostic fault",
-    severity,
-    active: true,
-    time: whenIso,
-    meta: {
-      spn: spnId ?? null,
-      fmi: fmiId ?? null,
-      spnDescription: item?.spnDescription,
-      fmiDescription: item?.fmiDescription,
-      milStatus: item?.milStatus,
-      occurrenceCount: item?.occurrenceCount,
-      sourceAddressName: src,
-      txId: item?.txId,
-    },
-  };
-}
-
-function deepFindSpnArray(root, maxDepth = 5) {
-  if (!root || typeof root !== "object" || maxDepth < 0) return null;
-  if (Array.isArray(root)) {
-    if (
-      root.length > 0 &&
-      typeof root[0] === "object" &&
-      (root[0].spnId != null || root[0].fmiId != null)
-    ) {
-      return root;
-    }
-  }
-  for (const k of Object.keys(root)) {
-    const v = root[k];
-    if (!v) continue;
-    if (Array.isArray(v)) {
-      const arr = deepFindSpnArray(v, maxDepth - 1);
-      if (arr) return arr;
-    } else if (typeof v === "object") {
-      const arr = deepFindSpnArray(v, maxDepth - 1);
-      if (arr) return arr;
-    }
-  }
-  return null;
-}
+/** ---------- Upsert / Merge ---------- */
+const assetIdOf = (record) => record.id || record.vin || record.serial;
+// the later of two ISO times, so a late message can't turn the clock back
+const laterTime = (a, b) =>
+  a == null ? b : b == null ? a : Date.parse(a) >= Date.parse(b) ? a : b;
 
-function normalizeFaultPayload(body, whenIso) {
-  let list = [];
-  if (Array.isArray(body)) list = body;
-  else if (Array.isArray(body?.faults)) list = body.faults;
-  else if (Array.isArray(body?.items)) list = body.items;
-  else if (Array.isArray(body?.j1939)) list = body.j1939;
-  else if (body && (body.spnId != null || body.fmiId != null)) list = [body];
-  else {
-    const found = deepFindSpnArray(body);
-    if (found) list = found;
-  }
-  return list.map((it) => normalizeJ1939FaultItem(it, whenIso)).filter(Boolean);
+// a late, inaccurate or teleporting fix loses its location (see gpsfilter.js)
+function screenFix(org, record) {
+  const id = assetIdOf(record);
+  if (!id) return record;
+  return gpsFilter.screen(org, id, assetsOf(org).get(id), record).rec;
 }
 
-/** ---------- Upsert / Merge ---------- */
-function upsertAssetBase(record, topic) {
-  const id = record.id || record.vin || record.serial;
+function upsertAssetBase(org, record, topic) {
+  const id = assetIdOf(record);
   if (!id) return null;
 
-  const prev = latestById.get(id) || {};
+  const assets = assetsOf(org);
+  const prev = assets.get(id) || {};
   const merged = {
     id,
+    org,
     vin: record.vin ?? prev.vin,
     serial: record.serial ?? prev.serial,
-    time: record.time ?? prev.time,
+    time: laterTime(record.time, prev.time),
+    // last accepted location fix; a screened-out fix has no lat/lon left
+    fixTime:
+      record.lat != null && record.lon != null
+        ? record.time ?? prev.fixTime
+        : prev.fixTime ?? null,
     lat: record.lat ?? prev.lat,
     lon: record.lon ?? prev.lon,
     heading: record.heading ?? prev.heading,
     city: record.city ?? prev.city,
     state: record.state ?? prev.state,
     mph: record.mph ?? prev.mph,
+    engineState: record.engineState ?? prev.engineState,
+    fuelPercent: record.fuelPercent ?? prev.fuelPercent,
+    odometerMeters: record.odometerMeters ?? prev.odometerMeters,
+    gpsOdometerMeters: record.gpsOdometerMeters ?? prev.gpsOdometerMeters,
+    engineHours: record.engineHours ?? prev.engineHours,
+    defPercent: record.defPercent ?? prev.defPercent,
+    batteryVolts: record.batteryVolts ?? prev.batteryVolts,
+    coolantTempC: record.coolantTempC ?? prev.coolantTempC,
     faults: prev.faults || { active: [], history: [], counts: {} },
+    zones: prev.zones || [], // geofences the asset is in, see geofences.js
+    idle: prev.idle ?? null, // current idle visit, see idle.js
+    offline: prev.offline ?? null, // see offline.js
+    dataQuality: gpsFilter.countsOf(org, id), // see gpsfilter.js
     lastTopic: topic,
     lastUpdateTs: NOW(),
   };
-  latestById.set(id, merged);
+  assets.set(id, merged);
+  if (merged.offline) markOnline(merged);
   return merged;
 }
 
-function handleFaultMerge(asset, faultObj) {
-  if (!asset || !faultObj) return;
+function recordTelemetry(asset, rec) {
+  if (rec.lat != null && rec.lon != null) {
+    history.append(asset.org, {
+      kind: "location",
+      id: asset.id,
+      time: rec.time,
+      lat: rec.lat,
+      lon: rec.lon,
+      heading: rec.heading,
+      city: rec.city,
+      state: rec.state,
+    });
+  }
+  if (rec.mph != null) {
+    history.append(asset.org, {
+      kind: "speed",
+      id: asset.id,
+      time: rec.time,
+      mph: rec.mph,
+    });
+  }
+  if (rec.kind === "vehicleStats") {
+    const { kind, schema, vin, serial, ...stats } = rec;
+    history.append(asset.org, { ...stats, kind: "stats", id: asset.id });
+  }
+}
+
+/** ---------- Geofences ---------- */
+// emits geofence:enter / geofence:exit / geofence:dwell to the asset's org
+function trackZones(asset, rec) {
+  if (rec.lat == null || rec.lon == null) return;
+  for (const ev of geofences.track(asset, rec)) {
+    const payload = {
+      id: asset.id,
+      vin: asset.vin,
+      geofenceId: ev.geofence.id,
+      name: ev.geofence.name,
+      category: ev.geofence.category,
+      time: ev.time,
+      durationMs: ev.durationMs,
+    };
+    history.append(asset.org, { ...payload, kind: "geofence", event: ev.type });
+    publish(asset.org, `geofence:${ev.type}`, payload);
+    alerts.onGeofence(asset.org, asset, ev);
+  }
+}
+
+/** ---------- Idle ---------- */
+// emits idle:started / idle:ended to the asset's org
+function trackIdle(asset, rec) {
+  for (const ev of idle.track(asset, rec)) {
+    const { org, assetId, ...episode } = ev.episode;
+    const payload = { id: asset.id, time: rec.time, ...episode };
+    history.append(asset.org, { ...payload, kind: "idle", event: ev.type });
+    publish(asset.org, `idle:${ev.type}`, payload);
+  }
+}
+
+/** ---------- Offline ---------- */
+// emits asset:offline for assets silent past their type's threshold
+function sweepOffline() {
+  const now = NOW();
+  for (const [org, assets] of assetsByOrg) {
+    for (const asset of offline.sweep(assets.values(), now)) {
+      const payload = {
+        id: asset.id,
+        vin: asset.vin,
+        assetType: asset.offline.assetType,
+        lastSeen: asset.offline.since,
+        time: asset.offline.detectedAt,
+        gapMs: now - asset.lastUpdateTs,
+        thresholdMinutes: asset.offline.thresholdMinutes,
+      };
+      history.append(org, { ...payload, kind: "outage", event: "offline" });
+      publish(org, "asset:offline", payload);
+      emitUpdate(org, asset.id);
+    }
+  }
+}
+
+// a message from an offline asset closes its outage
+function markOnline(asset) {
+  const outage = offline.backOnline(asset, NOW());
+  const payload = {
+    id: asset.id,
+    vin: asset.vin,
+    assetType: outage.assetType,
+    lastSeen: outage.from,
+    time: outage.to,
+    gapMs: outage.durationMs,
+  };
+  history.append(asset.org, { ...payload, kind: "outage", event: "online" });
+  publish(asset.org, "asset:online", payload);
+}
 
-  asset.faults.history.push(faultObj);
-  if (asset.faults.history.length > 600) asset.faults.history.shift();
+/** ---------- Fault episodes ---------- */
+const { handleFaultMerge, applyFaultSet } = createFaultEpisodes({ history });
 
-  const idx = asset.faults.active.findIndex((f) => f.code === faultObj.code);
-  if (faultObj.active) {
-    if (idx === -1) asset.faults.active.push(faultObj);
-    else asset.faults.active[idx] = faultObj;
-  } else if (idx !== -1) {
-    asset.faults.active.splice(idx, 1);
+/** ---------- Checkpoint (warm restart) ---------- */
+function restoreState() {
+  const saved = checkpoint.load();
+  if (!saved) return null;
+  // seq values belong to the previous process's epoch; assets saved before
+  // orgs existed belong to the first org
+  for (const a of saved.assets || []) {
+    const org = a?.org ?? orgs.defaultOrg();
+    if (a?.id) assetsOf(org).set(a.id, { ...a, org, seq: 0 });
   }
+  // older checkpoints kept help requests in memory only
+  const migrated = helpDesk.importLegacy(saved.helpRequests);
+  if (migrated) console.log(`[help] imported ${migrated} legacy requests`);
+  deadLetters.restore(saved.deadLetters);
+  restoredSnapshot = {
+    savedAt: saved.savedAt,
+    ageMs: NOW() - Date.parse(saved.savedAt),
+    assets: allAssets().length,
+  };
+  console.log("[checkpoint] restored", JSON.stringify(restoredSnapshot));
+  return saved;
+}
 
-  const counters = { critical: 0, warning: 0, info: 0, unknown: 0 };
-  for (const f of asset.faults.active) {
-    const s = ["critical", "warning", "info"].includes(f.severity)
-      ? f.severity
-      : "unknown";
-    counters[s]++;
+async function saveCheckpoint() {
+  try {
+    await checkpoint.save({
+      groupId,
+      assets: allAssets(),
+      deadLetters: deadLetters.toJSON(),
+    });
+  } catch (err) {
+    console.error("[checkpoint] save failed:", err);
   }
-  asset.faults.counts = counters;
-  asset.milOn = asset.faults.active.some((f) => f.meta?.milStatus === 1);
 }
 
+/** ---------- Metrics ---------- */
+// Prometheus series for GET /metrics; the rest is read when scraped
+const metrics = createMetrics({ prefix: "bridge_" });
+const consumedTotal = metrics.counter(
+  "messages_consumed_total",
+  "Messages handed to eachMessage, by topic and partition"
+);
+const droppedTotal = metrics.counter(
+  "messages_dropped_total",
+  "Consumed messages dead-lettered instead of applied, by reason"
+);
+const messageSeconds = metrics.histogram(
+  "message_duration_seconds",
+  "Time spent handling one message in eachMessage, by topic"
+);
+const consumerLag = metrics.gauge(
+  "consumer_lag",
+  "Messages behind the partition's high watermark after the last batch (Kafka only)"
+);
+const emittedTotal = metrics.counter(
+  "events_emitted_total",
+  "Socket.IO events sent to dashboard rooms or sockets, by event"
+);
+metrics.collect(
+  "normalize_total",
+  "Payloads each normalizer schema accepted or rejected",
+  "counter",
+  () =>
+    Object.entries(normalizerStats()).flatMap(([schema, st]) => [
+      [{ schema, result: "accepted" }, st.accepted],
+      [{ schema, result: "rejected" }, st.rejected],
+    ])
+);
+metrics.collect(
+  "socket_clients",
+  "Connected Socket.IO clients",
+  "gauge",
+  () => [[{}, io.engine.clientsCount]]
+);
+metrics.collect("assets", "Assets held in memory, by org", "gauge", () =>
+  [...assetsByOrg].map(([org, assets]) => [{ org }, assets.size])
+);
+
+/** ---------- Emit ---------- */
+// each org's dashboards share one Socket.IO room
+const toOrg = (org) => io.to(`org:${org}`);
+
+// every event goes to the org's room and to its webhook subscriptions
+function publish(org, event, payload) {
+  toOrg(org).emit(event, payload);
+  emittedTotal.inc({ event });
+  webhooks.dispatch(org, event, payload);
+}
+
+function emitUpdate(org, id) {
+  const asset = assetsOf(org).get(id);
+  if (!asset) return;
+  asset.seq = nextSeq();
+  publish(org, "update", asset);
+}
+
+function emitFault(org, payload) {
+  publish(org, "fault", { ...payload, seq: nextSeq() });
+  alerts.onFault(org, { id: payload.id, vin: payload.vin }, payload);
+}
+
+io.on("connection", (socket) => {
+  const { org } = socket.data;
+  socket.join(`org:${org}`);
+  const assets = assetsOf(org);
+  const { epoch, sinceSeq } = socket.handshake.auth || {};
+  const since = Number(sinceSeq);
+  if (epoch === syncEpoch && Number.isFinite(since) && since <= seq) {
+    const items = [];
+    for (const a of assets.values()) if ((a.seq || 0) > since) items.push(a);
+    socket.emit("delta", { epoch: syncEpoch, seq, since, items });
+    emittedTotal.inc({ event: "delta" });
+    return;
+  }
+  socket.emit("snapshot", {
+    epoch: syncEpoch,
+    seq,
+    items: Array.from(assets.values()),
+  });
+  emittedTotal.inc({ event: "snapshot" });
+});
+
 /** ---------- Routes ---------- */
+// open to probes: ingest health that names no tenant, its assets or users;
+// the rest needs a staff login (/health/details)
 app.get("/health", (_, res) =>
-  res.json({ ok: true, topics, groupId, size: latestById.size })
+  res.json({
+    ok: true,
+    source: INGEST_SOURCE,
+    routing: { unrouted: router.stats().unrouted },
+    normalizers: normalizerStats(),
+    restoredSnapshot: restoredSnapshot && {
+      savedAt: restoredSnapshot.savedAt,
+      ageMs: restoredSnapshot.ageMs,
+      ageNowMs: NOW() - Date.parse(restoredSnapshot.savedAt),
+    },
+  })
+);
+
+// series span every org, so only a scraper with METRICS_TOKEN or staff
+const metricsGuard = metricsAccess({
+  token: METRICS_TOKEN,
+  authenticate: auth.authenticate,
+  isStaff: orgs.isStaff,
+});
+app.get("/metrics", metricsGuard, (_, res) =>
+  res.type("text/plain; version=0.0.4").send(metrics.render())
+);
+
+/** ---------- Auth ---------- */
+app.post("/auth/login", (req, res) => {
+  const { username, password } = req.body || {};
+  const wait = auth.retryAfter(username, req.ip);
+  if (wait)
+    return res
+      .status(429)
+      .set("Retry-After", String(wait))
+      .json({ ok: false, error: "too many failed logins, try again later" });
+  const session = auth.login(username, password, req.ip);
+  if (!session)
+    return res
+      .status(401)
+      .json({ ok: false, error: "invalid username or password" });
+  res.json({ ok: true, ...session });
+});
+
+// every route below needs a token; /health stays open for probes
+app.use(auth.authenticate);
+
+// tenant for every route below: the user's own org, or for staff the one
+// named by X-Org-Id / ?org= (default: the first org)
+app.use((req, res, next) => {
+  req.org = orgs.scopeFor(req.user, req.get("x-org-id") || req.query.org);
+  if (!req.org)
+    return res
+      .status(403)
+      .json({ ok: false, error: "unknown or forbidden org" });
+  next();
+});
+
+app.get("/auth/me", (req, res) =>
+  res.json({ ok: true, user: req.user, org: req.org })
 );
 
-app.get("/state", (_, res) =>
+// the orgs the fleet switcher may offer
+app.get("/orgs", (req, res) =>
+  res.json({ current: req.org, items: orgs.visibleTo(req.user) })
+);
+
+const dispatcherOnly = auth.requireRole("dispatcher");
+const maintenanceOnly = auth.requireRole("maintenance");
+const adminOnly = auth.requireRole("admin");
+// the KB, shop directory and dead letters are shared by every tenant
+const staffOnly = (req, res, next) => {
+  if (orgs.isStaff(req.user)) return next();
+  res.status(403).json({ ok: false, error: "requires internal staff" });
+};
+// staff maintain the shared KB; a fleet's admins keep entries of their own
+const kbScope = (req) => (orgs.isStaff(req.user) ? null : req.org);
+const kbWriter = (req, res, next) =>
+  kbScope(req) ? adminOnly(req, res, next) : maintenanceOnly(req, res, next);
+
+// a bad body's first zod issue as "path: message"; other errors as they are
+const zodError = (err) => {
+  const issue = err.issues?.[0];
+  return issue ? `${issue.path.join(".")}: ${issue.message}` : err.message;
+};
+
+// topics, dead letters, users and orgs span every tenant
+app.get("/health/details", adminOnly, staffOnly, (_, res) =>
   res.json({
-    size: latestById.size,
-    items: Array.from(latestById.values()).slice(0, 200),
+    ok: true,
+    source: INGEST_SOURCE,
+    topics,
+    groupId,
+    size: allAssets().length,
+    seq,
+    recorder: recorder?.stats ?? null,
+    deadLetters: deadLetters.stats(),
+    routing: router.stats(),
+    normalizers: normalizerStats(),
+    severityRules: severityRules.stats(),
+    kb: kb.stats(),
+    shops: shops.stats(),
+    help: helpDesk.stats(),
+    geofences: geofences.stats(),
+    idle: idle.stats(),
+    alerts: alerts.stats(),
+    webhooks: webhooks.stats(),
+    offline: offline.stats(),
+    gpsFilter: gpsFilter.stats(),
+    auth: auth.stats(),
+    orgs: orgs.stats(),
+    restoredSnapshot: restoredSnapshot && {
+      ...restoredSnapshot,
+      ageNowMs: NOW() - Date.parse(restoredSnapshot.savedAt),
+    },
   })
 );
 
-app.get("/faults", (_, res) => {
+app.get("/state", (req, res) => {
+  const assets = assetsOf(req.org);
+  res.json({
+    org: req.org,
+    size: assets.size,
+    items: Array.from(assets.values()).slice(0, 200),
+  });
+});
+
+// ?status=active (default) | cleared | all
+app.get("/faults", (req, res) => {
+  const status = String(req.query.status || "active");
+  if (!["active", "cleared", "all"].includes(status))
+    return res.status(400).json({ ok: false, error: "invalid status" });
   const all = [];
-  for (const a of latestById.values()) {
-    for (const f of a.faults?.active || []) {
+  for (const a of assetsOf(req.org).values()) {
+    const episodes = [
+      ...(status !== "cleared" ? a.faults?.active || [] : []),
+      ...(status !== "active"
+        ? (a.faults?.history || []).filter((f) => !f.active)
+        : []),
+    ];
+    for (const f of episodes) {
       all.push({
         id: a.id,
         vin: a.vin,
@@ -281,26 +593,547 @@ app.get("/faults", (_, res) => {
   res.json({ count: all.length, items: all });
 });
 
-app.post("/help", (req, res) => {
-  const { id, vin, faultId, code, note } = req.body || {};
+// ?from=&to= accept ISO strings or epoch ms
+const parseTime = (v) => {
+  if (v == null || v === "") return undefined;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : Date.parse(v);
+};
+
+app.get("/assets/:id/history", async (req, res) => {
+  if (!assetsOf(req.org).has(req.params.id))
+    return res.status(404).json({ ok: false, error: "not found" });
+  const from = parseTime(req.query.from);
+  const to = parseTime(req.query.to);
+  if (Number.isNaN(from) || Number.isNaN(to))
+    return res.status(400).json({ ok: false, error: "invalid from/to" });
+  const kinds = String(req.query.kinds || "")
+    .split(",")
+    .map((k) => k.trim())
+    .filter(Boolean);
+  const limit = Math.min(
+    parseInt(req.query.limit || "5000", 10) || 5000,
+    50000
+  );
+  try {
+    const { items, truncated } = await history.query({
+      org: req.org,
+      id: req.params.id,
+      from,
+      to,
+      kinds,
+      limit,
+    });
+    res.json({ id: req.params.id, count: items.length, truncated, items });
+  } catch (err) {
+    console.error("[history] query failed:", err);
+    res.status(500).json({ ok: false, error: "history query failed" });
+  }
+});
+
+// trips are segmented from stored history on each request; ?from=&to= as above
+app.get("/assets/:id/trips", async (req, res) => {
+  if (!assetsOf(req.org).has(req.params.id))
+    return res.status(404).json({ ok: false, error: "not found" });
+  const from = parseTime(req.query.from);
+  const to = parseTime(req.query.to);
+  if (Number.isNaN(from) || Number.isNaN(to))
+    return res.status(400).json({ ok: false, error: "invalid from/to" });
+  try {
+    const { items: events } = await history.query({
+      org: req.org,
+      id: req.params.id,
+      from,
+      to,
+      kinds: ["location", "speed"],
+      limit: 50000,
+    });
+    const items = trips.segment(events, {
+      until: Number.isFinite(to) ? Math.min(to, NOW()) : NOW(),
+    });
+    res.json({ id: req.params.id, count: items.length, items });
+  } catch (err) {
+    console.error("[trips] query failed:", err);
+    res.status(500).json({ ok: false, error: "trips query failed" });
+  }
+});
+
+// ?status=open,assigned &assetId= &assignee= &open=true &limit=
+app.get("/help", (req, res) => {
+  const status = req.query.status
+    ? String(req.query.status).split(",").filter(Boolean)
+    : undefined;
+  const limit = Math.min(parseInt(req.query.limit || "200", 10) || 200, 5000);
+  const items = helpDesk.list({
+    org: req.org,
+    status,
+    assetId: req.query.assetId,
+    assignee: req.query.assignee,
+    open: req.query.open === "true",
+    limit,
+  });
+  res.json({ ...helpDesk.stats(req.org), count: items.length, items });
+});
+
+// tickets of other orgs look like missing ones
+const orgTicket = (req) => {
+  const ticket = helpDesk.get(req.params.id);
+  return ticket?.org === req.org ? ticket : null;
+};
+
+app.get("/help/:id", (req, res) => {
+  const ticket = orgTicket(req);
+  if (!ticket) return res.status(404).json({ ok: false, error: "not found" });
+  res.json(ticket);
+});
+
+app.post("/help", dispatcherOnly, (req, res) => {
+  const { id, vin, faultId, code, note, by } = req.body || {};
   if (!id && !vin)
     return res.status(400).json({ ok: false, error: "id or vin required" });
-  const createdAt = new Date().toISOString();
-  const reqObj = {
-    id,
+  const assets = assetsOf(req.org);
+  const asset = assets.get(id) || assets.get(vin);
+  const ticket = helpDesk.create({
+    org: req.org,
+    assetId: asset?.id ?? id ?? vin,
+    vin: vin ?? asset?.vin,
+    faultId,
+    code,
+    note,
+    by: req.user.username ?? by,
+    location: asset && {
+      lat: asset.lat,
+      lon: asset.lon,
+      city: asset.city,
+      state: asset.state,
+    },
+  });
+  publish(req.org, "help", ticket); // a new ticket; later changes are help:updated
+  res.json({ ok: true, request: ticket });
+});
+
+// { status?, assignee?, note?, by? }
+app.patch("/help/:id", dispatcherOnly, (req, res) => {
+  const { status, assignee, note, by } = req.body || {};
+  if (!orgTicket(req))
+    return res.status(404).json({ ok: false, error: "not found" });
+  try {
+    const ticket = helpDesk.update(
+      req.params.id,
+      { status, assignee, note },
+      req.user.username ?? by
+    );
+    if (!ticket) return res.status(404).json({ ok: false, error: "not found" });
+    publish(req.org, "help:updated", ticket);
+    res.json({ ok: true, ticket });
+  } catch (err) {
+    res
+      .status(400)
+      .json({ ok: false, error: err.message, statuses: HELP_STATUSES });
+  }
+});
+
+app.post("/help/:id/comments", dispatcherOnly, (req, res) => {
+  if (!orgTicket(req))
+    return res.status(404).json({ ok: false, error: "not found" });
+  try {
+    const ticket = helpDesk.comment(req.params.id, {
+      text: req.body?.text,
+      author: req.user.username ?? req.body?.author,
+    });
+    if (!ticket) return res.status(404).json({ ok: false, error: "not found" });
+    publish(req.org, "help:updated", ticket);
+    res.json({ ok: true, ticket });
+  } catch (err) {
+    res.status(400).json({ ok: false, error: err.message });
+  }
+});
+
+/** ---------- Geofences ---------- */
+app.get("/geofences", (req, res) => {
+  const items = geofences.list(req.org);
+  res.json({ count: items.length, items });
+});
+
+app.get("/geofences/:id", (req, res) => {
+  const fence = geofences.get(req.org, req.params.id);
+  if (!fence) return res.status(404).json({ ok: false, error: "not found" });
+  res.json(fence);
+});
+
+// { name, category?, shape: { type: "circle", center, radiusMeters } |
+//   { type: "polygon", points: [{ lat, lon }, ...] }, dwellMinutes? }
+app.post("/geofences", dispatcherOnly, (req, res) => {
+  try {
+    res.json({ ok: true, geofence: geofences.create(req.org, req.body) });
+  } catch (err) {
+    res.status(400).json({ ok: false, error: zodError(err) });
+  }
+});
+
+app.put("/geofences/:id", dispatcherOnly, (req, res) => {
+  try {
+    const fence = geofences.update(req.org, req.params.id, req.body);
+    if (!fence) return res.status(404).json({ ok: false, error: "not found" });
+    res.json({ ok: true, geofence: fence });
+  } catch (err) {
+    res.status(400).json({ ok: false, error: zodError(err) });
+  }
+});
+
+app.delete("/geofences/:id", dispatcherOnly, (req, res) => {
+  if (!geofences.remove(req.org, req.params.id))
+    return res.status(404).json({ ok: false, error: "not found" });
+  res.json({ ok: true });
+});
+
+/** ---------- Outages ---------- */
+// closed offline periods, newest first; ?assetId= &limit=
+app.get("/outages", (req, res) => {
+  const items = offline.list({
+    org: req.org,
+    assetId: req.query.assetId || undefined,
+    limit: Math.min(parseInt(req.query.limit || "200", 10) || 200, 5000),
+  });
+  res.json({ count: items.length, items });
+});
+
+/** ---------- Alerts ---------- */
+// recent alerts fired for the org, newest first
+app.get("/alerts", (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit || "100", 10) || 100, 500);
+  const items = alerts.recent(req.org, limit);
+  res.json({ count: items.length, items });
+});
+
+app.get("/alerts/rules", (req, res) => {
+  const items = alerts.list(req.org);
+  res.json({ count: items.length, items });
+});
+
+app.get("/alerts/rules/:id", (req, res) => {
+  const rule = alerts.get(req.org, req.params.id);
+  if (!rule) return res.status(404).json({ ok: false, error: "not found" });
+  res.json(rule);
+});
+
+// webhook, email and Slack channels send data to wherever they name, so
+// rules with one (before or after the change) are admin-only like /webhooks
+const sendsOut = (rule) =>
+  Array.isArray(rule?.channels) &&
+  rule.channels.some((c) => c?.type !== "socket");
+const ruleWriter = (req, res, next) => {
+  const cur = req.params.id ? alerts.get(req.org, req.params.id) : null;
+  return sendsOut(req.body) || sendsOut(cur)
+    ? adminOnly(req, res, next)
+    : dispatcherOnly(req, res, next);
+};
+
+// { name, type: speed|fault|stale|geofence|idle, ...conditions, severity?,
+//   assets?, cooldownMinutes?, channels: [{ type: socket|webhook|email|slack }] }
+app.post("/alerts/rules", ruleWriter, (req, res) => {
+  try {
+    res.json({ ok: true, rule: alerts.create(req.org, req.body) });
+  } catch (err) {
+    res.status(400).json({ ok: false, error: zodError(err) });
+  }
+});
+
+app.put("/alerts/rules/:id", ruleWriter, (req, res) => {
+  try {
+    const rule = alerts.update(req.org, req.params.id, req.body);
+    if (!rule) return res.status(404).json({ ok: false, error: "not found" });
+    res.json({ ok: true, rule });
+  } catch (err) {
+    res.status(400).json({ ok: false, error: zodError(err) });
+  }
+});
+
+app.delete("/alerts/rules/:id", ruleWriter, (req, res) => {
+  if (!alerts.remove(req.org, req.params.id))
+    return res.status(404).json({ ok: false, error: "not found" });
+  res.json({ ok: true });
+});
+
+/** ---------- Webhooks ---------- */
+app.get("/webhooks", adminOnly, (req, res) => {
+  const items = webhooks.list(req.org);
+  res.json({ count: items.length, items });
+});
+
+app.get("/webhooks/:id", adminOnly, (req, res) => {
+  const sub = webhooks.get(req.org, req.params.id);
+  if (!sub) return res.status(404).json({ ok: false, error: "not found" });
+  res.json(sub);
+});
+
+// { url, events: ["fault", "geofence:*", ...], description?, enabled?,
+//   secret? }; the response is the only one that includes the secret
+app.post("/webhooks", adminOnly, (req, res) => {
+  try {
+    res.json({ ok: true, webhook: webhooks.create(req.org, req.body) });
+  } catch (err) {
+    res.status(400).json({ ok: false, error: zodError(err) });
+  }
+});
+
+app.put("/webhooks/:id", adminOnly, (req, res) => {
+  try {
+    const sub = webhooks.update(req.org, req.params.id, req.body);
+    if (!sub) return res.status(404).json({ ok: false, error: "not found" });
+    res.json({ ok: true, webhook: sub });
+  } catch (err) {
+    res.status(400).json({ ok: false, error: zodError(err) });
+  }
+});
+
+app.delete("/webhooks/:id", adminOnly, (req, res) => {
+  if (!webhooks.remove(req.org, req.params.id))
+    return res.status(404).json({ ok: false, error: "not found" });
+  res.json({ ok: true });
+});
+
+app.post("/webhooks/:id/test", adminOnly, (req, res) => {
+  const delivery = webhooks.sendTest(req.org, req.params.id);
+  if (!delivery) return res.status(404).json({ ok: false, error: "not found" });
+  res.json({ ok: true, delivery });
+});
+
+// ?status=pending|succeeded|failed &limit=
+app.get("/webhooks/:id/deliveries", adminOnly, (req, res) => {
+  if (!webhooks.get(req.org, req.params.id))
+    return res.status(404).json({ ok: false, error: "not found" });
+  const items = webhooks.deliveries(req.org, req.params.id, {
+    status: req.query.status || undefined,
+    limit: Math.min(parseInt(req.query.limit || "100", 10) || 100, 1000),
+  });
+  res.json({ count: items.length, items });
+});
+
+/** ---------- Idle report ---------- */
+// ?from=&to= (default last 7 days) &groupBy=asset|day &format=csv
+app.get("/reports/idle", (req, res) => {
+  const from = parseTime(req.query.from);
+  const to = parseTime(req.query.to);
+  if (Number.isNaN(from) || Number.isNaN(to))
+    return res.status(400).json({ ok: false, error: "invalid from/to" });
+  const groupBy = req.query.groupBy || "asset";
+  if (!["asset", "day"].includes(groupBy))
+    return res.status(400).json({ ok: false, error: "groupBy: asset or day" });
+  const report = idle.report({
+    org: req.org,
+    assets: [...assetsOf(req.org).values()],
+    from,
+    to,
+    groupBy,
+  });
+  if (req.query.format !== "csv") return res.json(report);
+  res
+    .type("text/csv")
+    .attachment(`idle-by-${groupBy}-${report.to.slice(0, 10)}.csv`)
+    .send(idleReportCsv(report));
+});
+
+/** ---------- Dead letters ---------- */
+app.get("/deadletters", adminOnly, staffOnly, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit || "100", 10) || 100, 1000);
+  const items = deadLetters.list({
+    reason: req.query.reason,
+    topic: req.query.topic,
+    limit,
+  });
+  res.json({ ...deadLetters.stats(), count: items.length, items });
+});
+
+app.post(
+  "/deadletters/:id/reprocess",
+  adminOnly,
+  staffOnly,
+  async (req, res) => {
+    const entry = deadLetters.get(req.params.id);
+    if (!entry) return res.status(404).json({ ok: false, error: "not found" });
+    entry.attempts++;
+    entry.lastAttemptAt = new Date().toISOString();
+    try {
+      const dropped = await handleMessage({
+        topic: entry.topic,
+        partition: entry.partition,
+        message: deadLetters.toMessage(entry),
+      });
+      if (dropped) {
+        entry.lastResult = dropped;
+        return res.status(422).json({ ok: false, id: entry.id, dropped });
+      }
+    } catch (err) {
+      entry.lastResult = { reason: "error", detail: err.message };
+      return res
+        .status(500)
+        .json({ ok: false, id: entry.id, error: err.message });
+    }
+    deadLetters.remove(entry.id);
+    res.json({ ok: true, id: entry.id });
+  }
+);
+
+app.delete("/deadletters/:id", adminOnly, staffOnly, (req, res) => {
+  if (!deadLetters.remove(req.params.id))
+    return res.status(404).json({ ok: false, error: "not found" });
+  res.json({ ok: true });
+});
+
+/** ---------- Knowledge base (SPN / FMI) ---------- */
+const KB_TYPES = ["spn", "fmi"];
+const kbId = (v) => (/^\d+$/.test(v) ? Number(v) : null);
+
+app.get("/kb", (req, res) => {
+  const type = KB_TYPES.includes(req.query.type) ? req.query.type : undefined;
+  const items = kb.list({ type, org: req.org });
+  res.json({ stats: kb.stats(req.org), count: items.length, items });
+});
+
+for (const type of KB_TYPES) {
+  app.get(`/kb/${type}/:id`, (req, res) => {
+    const id = kbId(req.params.id);
+    const entry = id == null ? null : kb.get(type, id, req.org);
+    if (!entry)
+      return res
+        .status(404)
+        .json({ ok: false, error: `no ${type.toUpperCase()} entry` });
+    res.json(entry);
+  });
+
+  // custom entry; overrides built-in and imported ones (for the caller's
+  // org only, unless staff)
+  app.put(`/kb/${type}/:id`, kbWriter, (req, res) => {
+    const id = kbId(req.params.id);
+    if (id == null)
+      return res.status(400).json({ ok: false, error: "invalid id" });
+    try {
+      res.json({
+        ok: true,
+        entry: kb.put(type, id, req.body, { org: kbScope(req) }),
+      });
+    } catch (err) {
+      res.status(400).json({ ok: false, error: zodError(err) });
+    }
+  });
+
+  app.delete(`/kb/${type}/:id`, kbWriter, (req, res) => {
+    const id = kbId(req.params.id);
+    if (id == null || !kb.remove(type, id, { org: kbScope(req) }))
+      return res.status(404).json({ ok: false, error: "not found" });
+    res.json({ ok: true });
+  });
+}
+
+// text/csv body, or JSON: [...rows] | { entries: [...] } | { csv: "..." }
+app.post(
+  "/kb/import",
+  kbWriter,
+  express.text({ type: "text/csv", limit: "5mb" }),
+  (req, res) => {
+    const scope = { org: kbScope(req) };
+    try {
+      const body = req.body;
+      const result =
+        typeof body === "string"
+          ? kb.importRows(body, "csv", scope)
+          : typeof body?.csv === "string"
+          ? kb.importRows(body.csv, "csv", scope)
+          : kb.importRows(
+              Array.isArray(body) ? body : body?.entries,
+              "json",
+              scope
+            );
+      res.json({ ok: true, ...result });
+    } catch (err) {
+      res.status(400).json({ ok: false, error: err.message });
+    }
+  }
+);
+
+/** ---------- Service shops ---------- */
+app.get("/shops", (req, res) => {
+  const items = shops.list();
+  res.json({ count: items.length, items });
+});
+
+app.get("/shops/:id", (req, res) => {
+  const shop = shops.get(req.params.id);
+  if (!shop) return res.status(404).json({ ok: false, error: "not found" });
+  res.json(shop);
+});
+
+app.put("/shops/:id", maintenanceOnly, staffOnly, (req, res) => {
+  try {
+    res.json({ ok: true, shop: shops.put(req.params.id, req.body) });
+  } catch (err) {
+    res.status(400).json({ ok: false, error: zodError(err) });
+  }
+});
+
+app.delete("/shops/:id", maintenanceOnly, staffOnly, (req, res) => {
+  if (!shops.remove(req.params.id))
+    return res.status(404).json({ ok: false, error: "not found" });
+  res.json({ ok: true });
+});
+
+// same body shapes as /kb/import
+app.post(
+  "/shops/import",
+  maintenanceOnly,
+  staffOnly,
+  express.text({ type: "text/csv", limit: "5mb" }),
+  (req, res) => {
+    try {
+      const body = req.body;
+      const result =
+        typeof body === "string"
+          ? shops.importRows(body, "csv")
+          : typeof body?.csv === "string"
+          ? shops.importRows(body.csv, "csv")
+          : shops.importRows(Array.isArray(body) ? body : body?.shops, "json");
+      res.json({ ok: true, ...result });
+    } catch (err) {
+      res.status(400).json({ ok: false, error: err.message });
+    }
+  }
+);
+
+// body: { id?, vin?, lat?, lon?, codes?, make?, radiusMi?, limit? }; location
+// and codes default to the asset's last position and active faults
+app.post("/ai/shops", (req, res) => {
+  const b = req.body || {};
+  const assets = assetsOf(req.org);
+  const asset = assets.get(b.id) || assets.get(b.vin) || null;
+  const lat = Number(b.lat ?? asset?.lat);
+  const lon = Number(b.lon ?? asset?.lon);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon))
+    return res.status(400).json({ ok: false, error: "lat/lon required" });
+
+  const codes = Array.isArray(b.codes)
+    ? b.codes.map(String)
+    : (asset?.faults?.active || []).map((f) => f.code);
+  const vin = b.vin || asset?.vin || null;
+  const radiusMi = Number(b.radiusMi);
+  const limit = parseInt(b.limit, 10);
+  const result = shops.search({
+    lat,
+    lon,
+    codes,
     vin,
-    faultId: faultId || null,
-    code: code || null,
-    note: note || "",
-    createdAt,
-    status: "open",
-  };
-  helpRequests.push(reqObj);
-  io.emit("help", reqObj);
-  res.json({ ok: true, request: reqObj });
+    make: b.make || makeFromVin(vin),
+    org: req.org,
+    ...(radiusMi > 0 && { radiusMi }),
+    ...(limit > 0 && { limit: Math.min(limit, 50) }),
+  });
+  res.json({ ok: true, ...result });
 });
 
 /** ---------- Debug injectors (for testing) ---------- */
+// these set off alarms in every open dashboard
+app.use("/debug", adminOnly);
+
 app.post("/debug/push", (req, res) => {
   const now = new Date().toISOString();
   const id = req.body?.id || `debug-${Date.now()}`;
@@ -315,9 +1148,14 @@ app.post("/debug/push", (req, res) => {
     lon: -122.4194,
     time: now,
   };
-  const asset = upsertAssetBase(mock, "debug");
-  latestById.set(asset.id, { ...asset, lastUpdateTs: NOW() });
-  io.emit("update", latestById.get(asset.id));
+  const rec = screenFix(req.org, mock);
+  const asset = upsertAssetBase(req.org, rec, "debug");
+  recordTelemetry(asset, rec);
+  trackZones(asset, rec);
+  trackIdle(asset, rec);
+  alerts.onTelemetry(req.org, asset);
+  assetsOf(req.org).set(asset.id, { ...asset, lastUpdateTs: NOW() });
+  emitUpdate(req.org, asset.id);
   res.json({ ok: true, id: asset.id });
 });
 
@@ -332,17 +1170,19 @@ app.post("/debug/fault", (req, res) => {
     description:
       req.body?.description || "Engine Cylinder 5 Misfire Rate (Engine #1)",
     severity: req.body?.severity || "critical",
-    active: true,
+    active: req.body?.active ?? true,
     time: now,
   };
 
-  const base = latestById.get(id) || { id, vin, time: now };
-  const asset = upsertAssetBase(base, "debug");
-  handleFaultMerge(asset, payload);
-  latestById.set(id, { ...asset, lastUpdateTs: NOW() });
+  const assets = assetsOf(req.org);
+  const base = assets.get(id) || { id, vin, time: now };
+  const asset = upsertAssetBase(req.org, base, "debug");
+  const episode = handleFaultMerge(asset, payload);
+  assets.set(id, { ...asset, lastUpdateTs: NOW() });
 
-  io.emit("fault", { ...payload, id, vin });
-  io.emit("update", latestById.get(id));
+  if (episode)
+    emitFault(req.org, { ...episode, episodeId: episode.id, id, vin });
+  emitUpdate(req.org, id);
   res.json({ ok: true, injected: payload });
 });
 
@@ -365,128 +1205,243 @@ app.post("/debug/faultcodes", (req, res) => {
         },
       ];
 
-  const items = normalizeFaultPayload(codes, now);
-  const base = latestById.get(id) || { id, vin, time: now };
-  const asset = upsertAssetBase(base, "debug");
-  for (const f of items) handleFaultMerge(asset, f);
-  latestById.set(id, { ...asset, lastUpdateTs: NOW() });
+  const items = normalizeFaultPayload(codes, now).map(severityRules.apply);
+  const assets = assetsOf(req.org);
+  const base = assets.get(id) || { id, vin, time: now };
+  const asset = upsertAssetBase(req.org, base, "debug");
+  const protocol = items[0]?.protocol ?? "j1939";
+  const episodes = applyFaultSet(asset, items, now, protocol);
+  assets.set(id, { ...asset, lastUpdateTs: NOW() });
 
-  io.emit("faultcodes", { id, vin, codes });
-  for (const f of items) io.emit("fault", { ...f, id, vin });
-  io.emit("update", latestById.get(id));
+  publish(req.org, "faultcodes", { id, vin, codes });
+  for (const f of episodes)
+    emitFault(req.org, { ...f, episodeId: f.id, id, vin });
+  emitUpdate(req.org, id);
   res.json({ ok: true, injected: { id, vin, count: items.length } });
 });
 
-/** ---------- Kafka ---------- */
-const kafka = buildKafka();
-const consumer = kafka.consumer({ groupId });
+/** ---------- Pipeline ---------- */
+// Handlers get the parsed message context and return null when the message
+// was applied, or { reason, detail } when it was dropped.
+const FAULT_PROTOCOLS = { j1939Faults: "j1939", obdDtcs: "obd2" };
+
+function handleFaults(
+  kind,
+  { org, topic, partition, ts, keyStr, hdrVin, hdrId, obj }
+) {
+  const assets = assetsOf(org);
+  const r = normalize([kind], obj, { ts });
+  const codes = r.ok ? r.event.faults.map(severityRules.apply) : [];
+
+  let { id, vin, serial } = r.ok ? r.event : resolveIdentity(obj);
+  if (!id)
+    id =
+      keyStr ||
+      hdrId ||
+      hdrVin ||
+      partitionLastId.get(`${org}/${partition}`) ||
+      null;
+  if (!vin) vin = hdrVin || id || null;
+
+  if (!id) {
+    if (assets.size === 1) {
+      id = Array.from(assets.keys())[0];
+      vin = vin || assets.get(id)?.vin || id;
+    }
+  }
+
+  if (!id || !r.ok) {
+    const drop = {
+      reason: !id ? "missing id/vin" : "no codes found",
+      detail: {
+        partition,
+        key: keyStr,
+        hdrVin,
+        hdrId,
+        objKeys: obj && typeof obj === "object" ? Object.keys(obj) : typeof obj,
+        issues: r.issues,
+      },
+    };
+    console.warn("[faults] dropped message", JSON.stringify(drop));
+    return drop;
+  }
+
+  const base = upsertAssetBase(org, { id, vin, serial }, topic);
+  const protocol = FAULT_PROTOCOLS[kind];
+  for (const episode of applyFaultSet(base, codes, r.event.time, protocol)) {
+    emitFault(org, {
+      ...episode,
+      episodeId: episode.id,
+      id: base.id,
+      vin: base.vin,
+      serial: base.serial,
+    });
+  }
+  assets.set(base.id, { ...base, lastUpdateTs: NOW() });
+
+  // send normalized batch to client (with raw SPN/FMI or DTC fields)
+  const rawForUi = codes.map((f) => ({
+    spnId: f.meta?.spn ?? null,
+    fmiId: f.meta?.fmi ?? null,
+    spnDescription: f.meta?.spnDescription,
+    fmiDescription: f.meta?.fmiDescription,
+    milStatus: f.meta?.milStatus,
+    occurrenceCount: f.meta?.occurrenceCount,
+    sourceAddressName: f.meta?.sourceAddressName,
+    txId: f.meta?.txId,
+    dtc: f.meta?.dtc,
+    dtcStatus: f.meta?.dtcStatus,
+  }));
+  publish(org, "faultcodes", {
+    id: base.id,
+    vin: base.vin,
+    codes: rawForUi,
+  });
+
+  emitUpdate(org, base.id);
+  return null;
+}
+
+// location, speed and vehicle stats share one path; `kinds` sets which
+// schemas go first
+function handleTelemetry(kinds, { org, topic, partition, ts, keyStr, obj }) {
+  const r = normalize(kinds, obj, { ts });
+  if (!r.ok) {
+    return {
+      reason: "schema rejected",
+      detail: { partition, key: keyStr, issues: r.issues },
+    };
+  }
+  const rec = screenFix(org, r.event);
+  const asset = upsertAssetBase(org, rec, topic);
+  recordTelemetry(asset, rec);
+  trackZones(asset, rec);
+  trackIdle(asset, rec);
+  alerts.onTelemetry(org, asset);
+  assetsOf(org).set(asset.id, { ...asset, lastUpdateTs: NOW() });
+
+  partitionLastId.set(`${org}/${partition}`, asset.id);
+
+  emitUpdate(org, asset.id);
+  return null;
+}
+
+const handlers = {
+  location: (ctx) => handleTelemetry(["location", "speed"], ctx),
+  speed: (ctx) => handleTelemetry(["speed", "location"], ctx),
+  vehicleStats: (ctx) => handleTelemetry(["vehicleStats"], ctx),
+  j1939Faults: (ctx) => handleFaults("j1939Faults", ctx),
+  obdDtcs: (ctx) => handleFaults("obdDtcs", ctx),
+};
+const router = createRouter({
+  ...loadRoutingConfig(),
+  handlers: Object.keys(handlers),
+});
+
+// Returns null when the message was applied, or { reason, detail } when it
+// was dropped (the caller dead-letters it).
+async function handleMessage({ topic, partition, message }) {
+  const ts = message.timestamp
+    ? new Date(Number(message.timestamp)).toISOString()
+    : new Date().toISOString();
+  const keyStr = message.key?.toString() || null;
+  const headers = message.headers || {};
+  const hdrVin = pickHeader(headers, "vin", "VIN");
+  const hdrId = pickHeader(headers, "id", "vehicleId", "assetId");
+  const obj = safeJson(message.value?.toString());
+  if (obj === null) {
+    return { reason: "unparseable json", detail: { partition, key: keyStr } };
+  }
+
+  console.log(
+    JSON.stringify(
+      {
+        topic,
+        partition,
+        offset: message.offset,
+        ts,
+        key: keyStr,
+        hdrVin,
+        hdrId,
+        valueShape: Array.isArray(obj)
+          ? "array"
+          : obj && typeof obj === "object"
+          ? "object"
+          : typeof obj,
+      },
+      null,
+      0
+    )
+  );
+
+  const org = orgs.resolve({ topic, key: keyStr ?? hdrId ?? hdrVin });
+  if (!org) {
+    return { reason: "no org", detail: { partition, key: keyStr } };
+  }
+
+  const handler = router.resolve(topic, obj);
+  if (!handler) {
+    return { reason: "unrouted", detail: { partition, key: keyStr } };
+  }
+  return handlers[handler]({
+    org,
+    topic,
+    partition,
+    ts,
+    keyStr,
+    hdrVin,
+    hdrId,
+    obj,
+  });
+}
+
+/** ---------- Ingest (Kafka or replay) ---------- */
+let consumer = null;
 
 async function run() {
+  const saved = restoreState();
+  groupId =
+    groupId ||
+    saved?.groupId ||
+    `atsiai-realtime-${Math.random().toString(36).slice(2, 8)}`;
+  setInterval(saveCheckpoint, CHECKPOINT_INTERVAL_MS).unref();
+  // going silent has no message to trigger it
+  setInterval(() => {
+    sweepOffline();
+    for (const [org, assets] of assetsByOrg)
+      alerts.sweep(org, [...assets.values()]);
+  }, SWEEP_MS).unref();
+
+  consumer = buildSource({ kind: INGEST_SOURCE, groupId });
   await consumer.connect();
   for (const topic of topics) {
     await consumer.subscribe({ topic, fromBeginning: false });
   }
 
+  // kafkajs reports lag per fetched batch; the replay source has no events
+  if (consumer.events?.END_BATCH_PROCESS) {
+    consumer.on(consumer.events.END_BATCH_PROCESS, ({ payload }) =>
+      consumerLag.set(
+        { topic: payload.topic, partition: payload.partition },
+        Number(payload.offsetLag)
+      )
+    );
+  }
+
   await consumer.run({
     eachMessage: async ({ topic, partition, message }) => {
-      const ts = message.timestamp
-        ? new Date(Number(message.timestamp)).toISOString()
-        : new Date().toISOString();
-      const keyStr = message.key?.toString() || null;
-      const headers = message.headers || {};
-      const hdrVin = pickHeader(headers, "vin", "VIN");
-      const hdrId = pickHeader(headers, "id", "vehicleId", "assetId");
-      const obj = safeJson(message.value?.toString()) ?? {};
-
-      console.log(
-        JSON.stringify(
-          {
-            topic,
-            partition,
-            offset: message.offset,
-            ts,
-            key: keyStr,
-            hdrVin,
-            hdrId,
-            valueShape: Array.isArray(obj)
-              ? "array"
-              : obj && typeof obj === "object"
-              ? "object"
-              : typeof obj,
-          },
-          null,
-          0
-        )
-      );
-
-      if (topic.toLowerCase().includes("fault")) {
-        const codes = normalizeFaultPayload(obj, ts);
-
-        let { id, vin, serial } = resolveIdentityFromObj(obj);
-        if (!id)
-          id =
-            keyStr || hdrId || hdrVin || partitionLastId.get(partition) || null;
-        if (!vin) vin = hdrVin || id || null;
-
-        if (!id) {
-          if (latestById.size === 1) {
-            id = Array.from(latestById.keys())[0];
-            vin = vin || latestById.get(id)?.vin || id;
-          }
-        }
-
-        if (!id || codes.length === 0) {
-          console.warn(
-            "[faults] dropped message",
-            JSON.stringify({
-              reason: !id ? "missing id/vin" : "no codes found",
-              partition,
-              key: keyStr,
-              hdrVin,
-              hdrId,
-              objKeys:
-                obj && typeof obj === "object" ? Object.keys(obj) : typeof obj,
-            })
-          );
-          return;
-        }
-
-        const base = upsertAssetBase({ id, vin, serial }, topic);
-        for (const f of codes) {
-          handleFaultMerge(base, f);
-          io.emit("fault", {
-            ...f,
-            id: base.id,
-            vin: base.vin,
-            serial: base.serial,
-          });
-        }
-        latestById.set(base.id, { ...base, lastUpdateTs: NOW() });
-
-        // send normalized batch to client (with raw SPN/FMI fields)
-        const rawForUi = codes.map((f) => ({
-          spnId: f.meta?.spn ?? null,
-          fmiId: f.meta?.fmi ?? null,
-          spnDescription: f.meta?.spnDescription,
-          fmiDescription: f.meta?.fmiDescription,
-          milStatus: f.meta?.milStatus,
-          occurrenceCount: f.meta?.occurrenceCount,
-          sourceAddressName: f.meta?.sourceAddressName,
-          txId: f.meta?.txId,
-        }));
-        io.emit("faultcodes", { id: base.id, vin: base.vin, codes: rawForUi });
-
-        io.emit("update", latestById.get(base.id));
-      } else {
-        const rec = normalizeLocation(obj, ts);
-        if (!rec.id) return;
-        const asset = upsertAssetBase(rec, topic);
-        latestById.set(asset.id, { ...asset, lastUpdateTs: NOW() });
-
-        partitionLastId.set(partition, asset.id);
-
-        io.emit("update", latestById.get(asset.id));
+      const started = process.hrtime.bigint();
+      consumedTotal.inc({ topic, partition });
+      recorder?.record({ topic, partition, message });
+      const dropped = await handleMessage({ topic, partition, message });
+      if (dropped) {
+        deadLetters.add({ topic, partition, message, ...dropped });
+        droppedTotal.inc({ reason: dropped.reason });
       }
+      messageSeconds.observe(
+        { topic },
+        Number(process.hrtime.bigint() - started) / 1e9
+      );
     },
   });
 
@@ -498,8 +1453,12 @@ async function run() {
 const shutdown = async (sig) => {
   console.log(`\n${sig} received; closing...`);
   try {
-    await consumer.disconnect();
+    await consumer?.disconnect();
   } finally {
+    await saveCheckpoint();
+    await idle.flush();
+    await recorder?.close();
+    await history.close();
     process.exit(0);
   }
 };
@@ -509,7 +1468,7 @@ process.on("SIGTERM", shutdown);
 run().catch(async (err) => {
   console.error("Fatal:", err);
   try {
-    await consumer.disconnect();
+    await consumer?.disconnect();
   } finally {
     process.exit(1);
   }
@@ -0,0 +1,19 @@
+import { buildKafka } from "./kafka.js";
+import { buildReplaySource } from "./replay.js";
+
+/**
+ * Ingest sources expose the part of the kafkajs consumer API that run() uses:
+ * connect(), subscribe({ topic, fromBeginning }), run({ eachMessage }) and
+ * disconnect(). Kafka consumers also have `events` / on() for
+ * instrumentation (consumer lag in /metrics); other sources may not.
+ */
+export function buildSource({ kind, groupId }) {
+  switch (kind) {
+    case "kafka":
+      return buildKafka().consumer({ groupId });
+    case "replay":
+      return buildReplaySource();
+    default:
+      throw new Error(`Unknown INGEST_SOURCE "${kind}" (use kafka or replay).`);
+  }
+}
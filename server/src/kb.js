@@ -0,0 +1,441 @@
+import fs from "fs";
+import path from "path";
+import { z } from "zod";
+import { createCheckpoint } from "./checkpoint.js";
+
+const TYPES = ["spn", "fmi"];
+
+const EntrySchema = z.object({
+  name: z.string().min(1),
+  likely: z.string().optional(), // likely causes
+  impact: z.string().optional(),
+  action: z.string().optional(), // recommended action
+  downtimeRisk: z.enum(["low", "medium", "high"]).optional(),
+  repairCategory: z.string().optional(),
+});
+
+const ImportRowSchema = EntrySchema.extend({
+  type: z.preprocess(
+    (v) => (typeof v === "string" ? v.trim().toLowerCase() : v),
+    z.enum(["spn", "fmi"])
+  ),
+  id: z.coerce.number().int().nonnegative(),
+});
+
+/** ---------- Built-in catalogue ---------- */
+const BUILTIN_SPN = {
+  91: {
+    name: "Accelerator Pedal Position 1",
+    likely: "Pedal sensor wiring, connector corrosion or failed pedal sensor.",
+    impact: "Engine may fall back to idle; vehicle limited or undriveable.",
+    action: "Check pedal connector and harness; compare both pedal tracks.",
+    downtimeRisk: "high",
+    repairCategory: "Electrical",
+  },
+  100: {
+    name: "Engine Oil Pressure",
+    likely: "Low oil level, oil pump wear, sensor or wiring fault.",
+    impact: "Risk of severe engine damage if pressure is genuinely low.",
+    action: "Stop safely, check oil level; verify with a mechanical gauge.",
+    downtimeRisk: "high",
+    repairCategory: "Engine",
+  },
+  102: {
+    name: "Engine Intake Manifold #1 Pressure (Boost)",
+    likely: "Boost leak, turbocharger fault, sensor or wiring fault.",
+    impact: "Power loss, higher fuel use and soot load.",
+    action: "Inspect charge air piping and clamps; test boost sensor.",
+    downtimeRisk: "medium",
+    repairCategory: "Air intake / Turbo",
+  },
+  110: {
+    name: "Engine Coolant Temperature",
+    likely: "Low coolant, thermostat, fan drive, radiator blockage or sensor.",
+    impact: "Overheating and engine protection derate or shutdown.",
+    action: "Check coolant level and fan operation; pressure test system.",
+    downtimeRisk: "high",
+    repairCategory: "Cooling",
+  },
+  157: {
+    name: "Engine Injector Metering Rail 1 Pressure",
+    likely: "Fuel supply restriction, filters, high-pressure pump or sensor.",
+    impact: "Hard start, misfire, power loss or shutdown.",
+    action: "Replace fuel filters, check supply pressure and rail sensor.",
+    downtimeRisk: "high",
+    repairCategory: "Fuel system",
+  },
+  168: {
+    name: "Battery Potential / Power Input 1",
+    likely: "Weak batteries, alternator output, loose or corroded cables.",
+    impact: "No-start risk; erratic ECU behaviour.",
+    action: "Load test batteries, check charging voltage and grounds.",
+    downtimeRisk: "medium",
+    repairCategory: "Electrical",
+  },
+  190: {
+    name: "Engine Speed",
+    likely: "Crank/cam speed sensor, tone wheel or wiring fault.",
+    impact: "Stalling, no-start or rough running.",
+    action: "Inspect speed sensor gap and harness; check tone wheel.",
+    downtimeRisk: "high",
+    repairCategory: "Engine",
+  },
+  1322: {
+    name: "Engine Misfire (Multiple Cylinders)",
+    likely: "Random/multiple misfire; fuel quality/air/ignition.",
+    impact: "Rough running, power loss, possible catalyst damage.",
+    action: "Check misfire counts, fuel/air, coils/plugs, compression.",
+    downtimeRisk: "high",
+    repairCategory: "Engine",
+  },
+  1327: {
+    name: "Engine Cylinder 5 Misfire Rate",
+    likely: "Coil/plug, injector, compression on cylinder 5.",
+    impact: "Vibration, MIL likely on.",
+    action: "Swap test coil/plug/injector; balance, compression/leakdown.",
+    downtimeRisk: "medium",
+    repairCategory: "Engine",
+  },
+  1328: {
+    name: "Engine Cylinder 6 Misfire Rate",
+    likely: "Coil/plug, injector, compression on cylinder 6.",
+    impact: "Vibration and power loss under load.",
+    action: "Swap test parts, verify mechanical integrity.",
+    downtimeRisk: "medium",
+    repairCategory: "Engine",
+  },
+  1569: {
+    name: "Engine Protection Torque Derate",
+    likely: "Another active fault triggered engine protection.",
+    impact: "Reduced power until the underlying fault is fixed.",
+    action: "Diagnose the other active codes first; this one follows them.",
+    downtimeRisk: "medium",
+    repairCategory: "Engine",
+  },
+  1761: {
+    name: "Aftertreatment 1 DEF Tank Level",
+    likely: "Low DEF, level sensor or tank heater fault.",
+    impact: "SCR inducement: progressive derate and speed limit.",
+    action: "Refill DEF; if level is fine, test the tank sensor.",
+    downtimeRisk: "medium",
+    repairCategory: "Aftertreatment",
+  },
+  3251: {
+    name: "Aftertreatment 1 DPF Differential Pressure",
+    likely: "Soot/ash loading, failed regeneration, sensor lines or sensor.",
+    impact: "Derate; forced regeneration or DPF service needed.",
+    action: "Check sensor hoses, run a parked regen, inspect DPF for ash.",
+    downtimeRisk: "high",
+    repairCategory: "Aftertreatment",
+  },
+  4364: {
+    name: "Aftertreatment 1 SCR Conversion Efficiency",
+    likely: "Poor DEF quality, dosing valve, NOx sensors or SCR catalyst.",
+    impact: "Emissions fault; SCR inducement derate follows.",
+    action: "Test DEF concentration, run dosing quantity test, check NOx.",
+    downtimeRisk: "high",
+    repairCategory: "Aftertreatment",
+  },
+  5246: {
+    name: "Aftertreatment SCR Operator Inducement Severity",
+    likely: "Unresolved DEF / SCR fault escalated to inducement.",
+    impact: "Speed limit, severe derate at the final level.",
+    action: "Fix the underlying DEF/SCR code, then clear inducement.",
+    downtimeRisk: "high",
+    repairCategory: "Aftertreatment",
+  },
+};
+
+// SAE J1939-73 failure mode identifiers (22-30 are reserved)
+const BUILTIN_FMI = {
+  0: { name: "Data valid but above normal range (most severe)" },
+  1: { name: "Data valid but below normal range (most severe)" },
+  2: {
+    name: "Data erratic, intermittent or incorrect",
+    likely: "Intermittent wiring, loose connector or noisy signal.",
+  },
+  3: {
+    name: "Voltage above normal, or shorted to high source",
+    likely: "Signal wire shorted to supply or open ground.",
+    repairCategory: "Electrical",
+  },
+  4: {
+    name: "Voltage below normal, or shorted to low source",
+    likely: "Signal wire shorted to ground or open supply.",
+    repairCategory: "Electrical",
+  },
+  5: {
+    name: "Current below normal or open circuit",
+    likely: "Open circuit, unplugged connector or failed coil.",
+    repairCategory: "Electrical",
+  },
+  6: {
+    name: "Current above normal or grounded circuit",
+    likely: "Short to ground or shorted actuator coil.",
+    repairCategory: "Electrical",
+  },
+  7: { name: "Mechanical system not responding or out of adjustment" },
+  8: { name: "Abnormal frequency, pulse width or period" },
+  9: { name: "Abnormal update rate" },
+  10: { name: "Abnormal rate of change" },
+  11: { name: "Root cause not known" },
+  12: { name: "Bad intelligent device or component" },
+  13: { name: "Out of calibration" },
+  14: { name: "Special instructions" },
+  15: { name: "Data valid but above normal range (least severe)" },
+  16: { name: "Data valid but above normal range (moderately severe)" },
+  17: { name: "Data valid but below normal range (least severe)" },
+  18: { name: "Data valid but below normal range (moderately severe)" },
+  19: {
+    name: "Received network data in error",
+    likely: "Another ECU reported bad data or the CAN bus is faulty.",
+  },
+  20: { name: "Data drifted high" },
+  21: { name: "Data drifted low" },
+  31: { name: "Condition exists" },
+};
+
+/** ---------- CSV ---------- */
+// RFC 4180-ish: quoted fields may hold commas, newlines and "" escapes
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  const nonEmpty = rows.filter((r) => r.some((v) => v.trim() !== ""));
+  const [header, ...body] = nonEmpty;
+  if (!header) return [];
+  const keys = header.map((h) => h.trim());
+  return body.map((r) =>
+    Object.fromEntries(
+      keys.map((k, i) => [k, r[i]?.trim() || undefined]) // "" -> unset
+    )
+  );
+}
+
+/**
+ * J1939 SPN/FMI catalogue. Built-in entries ship with the server; imported
+ * (CSV/JSON) and custom entries override them and persist in `file`.
+ * Imports never replace an entry written by hand. Besides the shared
+ * catalogue every org may keep entries of its own (pass `org`), which only
+ * that org sees and which win over the shared ones.
+ */
+export function createKnowledgeBase({ file }) {
+  const store = createCheckpoint({ file });
+  const entries = { spn: new Map(), fmi: new Map() }; // id -> entry
+  for (const [id, e] of Object.entries(BUILTIN_SPN)) {
+    entries.spn.set(Number(id), { ...e, source: "builtin" });
+  }
+  for (const [id, e] of Object.entries(BUILTIN_FMI)) {
+    entries.fmi.set(Number(id), { ...e, source: "builtin" });
+  }
+  const builtin = {
+    spn: new Map(entries.spn),
+    fmi: new Map(entries.fmi),
+  };
+  const orgEntries = new Map(); // org -> { spn: Map, fmi: Map }
+  const ownOf = (org) => {
+    let own = orgEntries.get(org);
+    if (!own) orgEntries.set(org, (own = { spn: new Map(), fmi: new Map() }));
+    return own;
+  };
+
+  const saved = store.load();
+  for (const type of TYPES) {
+    for (const [id, e] of Object.entries(saved?.[type] || {})) {
+      entries[type].set(Number(id), e);
+    }
+  }
+  for (const [org, own] of Object.entries(saved?.orgs || {})) {
+    for (const type of TYPES) {
+      for (const [id, e] of Object.entries(own[type] || {})) {
+        ownOf(org)[type].set(Number(id), e);
+      }
+    }
+  }
+
+  function persist() {
+    const out = { spn: {}, fmi: {}, orgs: {} };
+    for (const type of TYPES) {
+      for (const [id, e] of entries[type]) {
+        if (e.source !== "builtin") out[type][id] = e;
+      }
+    }
+    for (const [org, own] of orgEntries) {
+      out.orgs[org] = {
+        spn: Object.fromEntries(own.spn),
+        fmi: Object.fromEntries(own.fmi),
+      };
+    }
+    return store
+      .save(out)
+      .catch((err) => console.error("[kb] save failed:", err));
+  }
+
+  // the shared catalogue when `org` is null
+  const tableOf = (type, org) => (org ? ownOf(org)[type] : entries[type]);
+
+  // `org`'s own entry first, then the shared one
+  function get(type, id, org = null) {
+    if (!TYPES.includes(type)) return null;
+    const e =
+      (org && orgEntries.get(org)?.[type].get(Number(id))) ||
+      entries[type].get(Number(id));
+    return e ? { type, id: Number(id), ...e } : null;
+  }
+
+  function list({ type, org = null } = {}) {
+    const out = [];
+    for (const t of type ? [type] : TYPES) {
+      const ids = new Set(entries[t].keys());
+      for (const id of orgEntries.get(org)?.[t].keys() || []) ids.add(id);
+      for (const id of [...ids].sort((a, b) => a - b)) {
+        out.push(get(t, id, org));
+      }
+    }
+    return out;
+  }
+
+  // throws a ZodError for bad input
+  function put(type, id, body, { org = null } = {}) {
+    const entry = {
+      ...EntrySchema.parse(body),
+      source: "custom",
+      ...(org ? { org } : {}),
+      updatedAt: new Date().toISOString(),
+    };
+    tableOf(type, org).set(Number(id), entry);
+    persist();
+    return get(type, id, org);
+  }
+
+  // drops an override; whatever it shadowed becomes visible again
+  function remove(type, id, { org = null } = {}) {
+    if (org) {
+      if (!orgEntries.get(org)?.[type].delete(Number(id))) return false;
+      persist();
+      return true;
+    }
+    const cur = entries[type].get(Number(id));
+    if (!cur || cur.source === "builtin") return false;
+    const base = builtin[type].get(Number(id));
+    if (base) entries[type].set(Number(id), base);
+    else entries[type].delete(Number(id));
+    persist();
+    return true;
+  }
+
+  /**
+   * Rows of { type, id, name, likely, impact, action, downtimeRisk,
+   * repairCategory }, from parsed JSON or CSV text with that header, into
+   * the shared catalogue or `org`'s own entries.
+   * Returns { imported, skipped, errors } (errors capped at 50).
+   */
+  function importRows(input, format = "json", { org = null } = {}) {
+    const rows = format === "csv" ? parseCsv(String(input)) : input;
+    if (!Array.isArray(rows)) throw new Error("expected an array of entries");
+    const result = { imported: 0, skipped: 0, errors: [] };
+    const now = new Date().toISOString();
+    rows.forEach((row, i) => {
+      const r = ImportRowSchema.safeParse(row);
+      if (!r.success) {
+        if (result.errors.length < 50) {
+          const issue = r.error.issues[0];
+          result.errors.push({
+            row: i + 1,
+            issue: `${issue.path.join(".")}: ${issue.message}`,
+          });
+        }
+        return;
+      }
+      const { type, id, ...entry } = r.data;
+      const table = tableOf(type, org);
+      if (table.get(id)?.source === "custom") {
+        result.skipped++;
+        return;
+      }
+      table.set(id, {
+        ...entry,
+        source: "import",
+        ...(org ? { org } : {}),
+        updatedAt: now,
+      });
+      result.imported++;
+    });
+    if (result.imported > 0) persist();
+    return result;
+  }
+
+  function importFile(p) {
+    const text = fs.readFileSync(p, "utf8");
+    return path.extname(p).toLowerCase() === ".csv"
+      ? importRows(text, "csv")
+      : importRows(JSON.parse(text), "json");
+  }
+
+  // shared catalogue counts, plus `org`'s own entries when given
+  function stats(org = null) {
+    const count = (type, source) =>
+      [...entries[type].values()].filter((e) => e.source === source).length;
+    return Object.fromEntries(
+      TYPES.map((t) => [
+        t,
+        {
+          total: entries[t].size,
+          builtin: count(t, "builtin"),
+          import: count(t, "import"),
+          custom: count(t, "custom"),
+          ...(org ? { own: orgEntries.get(org)?.[t].size ?? 0 } : {}),
+        },
+      ])
+    );
+  }
+
+  return { get, list, put, remove, importRows, importFile, stats };
+}
+
+export function buildKnowledgeBase({ dataDir }) {
+  const kb = createKnowledgeBase({ file: path.join(dataDir, "kb.json") });
+  // KB_IMPORT=/path/spn.csv,/path/extra.json is (re)applied at every boot
+  for (const p of (process.env.KB_IMPORT || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)) {
+    const r = kb.importFile(path.resolve(p));
+    console.log(
+      `[kb] imported ${p}: ${r.imported} entries, ${r.skipped} skipped, ` +
+        `${r.errors.length} errors`
+    );
+  }
+  return kb;
+}
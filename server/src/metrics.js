@@ -0,0 +1,148 @@
+import crypto from "crypto";
+
+// seconds; eachMessage is mostly sub-millisecond, history writes are not
+const DEFAULT_BUCKETS = [
+  0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5,
+];
+
+const escapeLabel = (v) =>
+  String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+const fmtLabels = (labels) => {
+  const parts = Object.entries(labels).map(
+    ([k, v]) => `${k}="${escapeLabel(v)}"`
+  );
+  return parts.length ? `{${parts.join(",")}}` : "";
+};
+
+const fmtValue = (v) =>
+  v === Infinity ? "+Inf" : v === -Infinity ? "-Inf" : String(v);
+
+/**
+ * A small Prometheus registry rendering the text exposition format (0.0.4).
+ * Counters and histograms are updated as things happen; `collect` series
+ * (counters or gauges) are read when scraped, for numbers other modules
+ * already keep. Every name gets `prefix`.
+ */
+export function createMetrics({ prefix = "" } = {}) {
+  const families = []; // { name, help, type, lines() }
+
+  function register(name, help, type, lines) {
+    families.push({ name: prefix + name, help, type, lines });
+  }
+
+  // labels -> value, keyed by the labels' JSON
+  function series() {
+    const map = new Map();
+    const entry = (labels) => {
+      const key = JSON.stringify(labels);
+      let e = map.get(key);
+      if (!e) map.set(key, (e = { labels, value: 0 }));
+      return e;
+    };
+    return { map, entry };
+  }
+
+  function counter(name, help) {
+    const s = series();
+    register(name, help, "counter", (full) =>
+      [...s.map.values()].map(
+        (e) => `${full}${fmtLabels(e.labels)} ${fmtValue(e.value)}`
+      )
+    );
+    return {
+      inc: (labels = {}, n = 1) => {
+        s.entry(labels).value += n;
+      },
+    };
+  }
+
+  function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const s = new Map(); // labels JSON -> { labels, counts, sum, count }
+    register(name, help, "histogram", (full) =>
+      [...s.values()].flatMap((h) => [
+        ...buckets.map(
+          (le, i) =>
+            `${full}_bucket${fmtLabels({ ...h.labels, le })} ${h.counts[i]}`
+        ),
+        `${full}_bucket${fmtLabels({ ...h.labels, le: "+Inf" })} ${h.count}`,
+        `${full}_sum${fmtLabels(h.labels)} ${h.sum}`,
+        `${full}_count${fmtLabels(h.labels)} ${h.count}`,
+      ])
+    );
+    return {
+      observe: (labels, v) => {
+        const key = JSON.stringify(labels);
+        let h = s.get(key);
+        if (!h) {
+          h = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+          s.set(key, h);
+        }
+        buckets.forEach((le, i) => {
+          if (v <= le) h.counts[i]++;
+        });
+        h.sum += v;
+        h.count++;
+      },
+    };
+  }
+
+  // `read()` returns [[labels, value], ...] at scrape time
+  function collect(name, help, type, read) {
+    register(name, help, type, (full) =>
+      read().map(
+        ([labels, value]) => `${full}${fmtLabels(labels)} ${fmtValue(value)}`
+      )
+    );
+  }
+
+  // a gauge set as things happen, e.g. from kafkajs instrumentation events
+  function gauge(name, help) {
+    const s = series();
+    register(name, help, "gauge", (full) =>
+      [...s.map.values()].map(
+        (e) => `${full}${fmtLabels(e.labels)} ${fmtValue(e.value)}`
+      )
+    );
+    return {
+      set: (labels, v) => {
+        s.entry(labels).value = v;
+      },
+    };
+  }
+
+  function render() {
+    const out = [];
+    for (const f of families) {
+      out.push(`# HELP ${f.name} ${f.help}`, `# TYPE ${f.name} ${f.type}`);
+      out.push(...f.lines(f.name));
+    }
+    return out.join("\n") + "\n";
+  }
+
+  return { counter, gauge, histogram, collect, render };
+}
+
+const digest = (v) => crypto.createHash("sha256").update(String(v)).digest();
+
+/**
+ * Express guard for the scrape endpoint. With `token`, the scraper sends it
+ * as "Authorization: Bearer <token>" (compared in constant time); without
+ * one, the caller needs a login that `isStaff` accepts.
+ */
+export function metricsAccess({ token, authenticate, isStaff }) {
+  return (req, res, next) => {
+    if (!token) {
+      return authenticate(req, res, () =>
+        isStaff(req.user)
+          ? next()
+          : res
+              .status(403)
+              .json({ ok: false, error: "requires internal staff" })
+      );
+    }
+    const m = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+    if (m && crypto.timingSafeEqual(digest(m[1]), digest(token))) return next();
+    res.status(401).json({ ok: false, error: "unauthorized" });
+  };
+}
@@ -1,15 +1,148 @@
 import { z } from "zod";
+import { DTC_RE, describeDtc, dtcSystem } from "./obd.js";
 
+const MPS_TO_MPH = 2.2369362920544;
+
+/**
+ * Normalizer registry. Every payload type registers one or more versioned
+ * zod schemas with a mapper into the canonical event shape:
+ *
+ *   { kind, schema: "name@version", id, vin, serial, time, ...fields }
+ *
+ *   location    lat, lon, heading, accuracyMeters, city, state, country,
+ *               postalCode, street, mph?
+ *   speed       mph
+ *   vehicleStats engineState, fuelPercent, odometerMeters,
+ *               gpsOdometerMeters, engineHours, defPercent, batteryVolts,
+ *               coolantTempC (whichever the payload carried)
+ *   j1939Faults faults: [fault objects, see normalizeJ1939FaultItem]; an
+ *               empty list means the asset reports no active codes
+ *   obdDtcs     faults: [fault objects, see normalizeObdDtcItem], same rule
+ *
+ * Within a kind the highest version is tried first, so when Samsara changes a
+ * payload shape the strict schema's `rejected` count climbs in /health
+ * while the looser fallback keeps data flowing (or the message is
+ * dead-lettered).
+ */
+const registry = [];
+const stats = new Map(); // "name@version" -> { kind, accepted, rejected, ... }
+const keyOf = (n) => `${n.name}@${n.version}`;
+
+export function registerNormalizer(def) {
+  const { kind, name, version, schema, map } = def;
+  if (!kind || !name || !version || !schema || !map) {
+    throw new Error(`Invalid normalizer ${name}@${version}`);
+  }
+  registry.push(def);
+  registry.sort((a, b) => b.version - a.version); // stable: keeps reg. order
+  stats.set(keyOf(def), {
+    kind,
+    accepted: 0,
+    rejected: 0,
+    lastRejectedAt: null,
+    lastIssue: null,
+  });
+}
+
+const fmtIssue = (issue) =>
+  issue ? `${issue.path.join(".") || "(root)"}: ${issue.message}` : null;
+
+/**
+ * Run `obj` through the normalizers of the given kinds (in that order).
+ * Returns { ok: true, event } or { ok: false, issues }. Rejections are only
+ * charged to the kind that finally accepted the message, or to every tried
+ * schema when nothing did.
+ */
+export function normalize(kinds, obj, ctx = {}) {
+  const failed = [];
+  for (const kind of kinds) {
+    for (const n of registry) {
+      if (n.kind !== kind) continue;
+      const r = n.schema.safeParse(obj);
+      if (r.success) {
+        stats.get(keyOf(n)).accepted++;
+        for (const f of failed) if (f.n.kind === kind) reject(f);
+        return {
+          ok: true,
+          event: { ...n.map(r.data, { ...ctx, obj }), kind, schema: keyOf(n) },
+        };
+      }
+      failed.push({ n, issue: fmtIssue(r.error.issues[0]) });
+    }
+  }
+  failed.forEach(reject);
+  return {
+    ok: false,
+    issues: failed.map((f) => ({ schema: keyOf(f.n), issue: f.issue })),
+  };
+}
+
+function reject({ n, issue }) {
+  const st = stats.get(keyOf(n));
+  st.rejected++;
+  st.lastRejectedAt = new Date().toISOString();
+  st.lastIssue = issue;
+}
+
+/**
+ * Guess the payload type from its shape. Returns the pipeline handler name
+ * ("location" | "speed" | "vehicleStats" | "j1939Faults" | "obdDtcs") or null
+ * when nothing matches.
+ * Does not touch the accepted/rejected counters.
+ */
+export function detectPayloadKind(obj) {
+  if (!obj || typeof obj !== "object") return null;
+  return registry.find((n) => n.schema.safeParse(obj).success)?.kind ?? null;
+}
+
+export const normalizerStats = () => Object.fromEntries(stats);
+
+/** ---------- Identity ---------- */
+const ExternalIdsSchema = z
+  .object({
+    "samsara.serial": z.string().optional(),
+    "samsara.vin": z.string().optional(),
+  })
+  .partial()
+  .optional();
+
+function extractIdentity(obj) {
+  if (!obj || typeof obj !== "object") return {};
+  const id = obj?.asset?.id ?? obj?.vehicle?.id ?? null;
+  const vin =
+    obj?.asset?.externalIds?.["samsara.vin"] ||
+    obj?.vehicle?.externalIds?.["samsara.vin"];
+  const serial =
+    obj?.asset?.externalIds?.["samsara.serial"] ||
+    obj?.vehicle?.externalIds?.["samsara.serial"];
+  return { id, vin, serial };
+}
+
+export function resolveIdentity(obj) {
+  if (!obj || typeof obj !== "object") return {};
+  const env = extractIdentity(obj);
+  let id = env.id ?? obj.id ?? obj.vehicleId ?? obj.assetId ?? null;
+  let vin =
+    env.vin ??
+    obj.vin ??
+    obj.VIN ??
+    obj?.vehicle?.vin ??
+    obj?.asset?.vin ??
+    null;
+  let serial =
+    env.serial ??
+    obj.serial ??
+    obj?.vehicle?.serial ??
+    obj?.asset?.serial ??
+    null;
+  return { id, vin, serial };
+}
+
+/** ---------- Location / speed ---------- */
 const AssetLocationSchema = z.object({
   asset: z.object({
     id: z.string(),
-    externalIds: z
-      .object({
-        "samsara.serial": z.string().optional(),
-        "samsara.vin": z.string().optional(),
-      })
-      .partial()
-      .optional(),
+    externalIds: ExternalIdsSchema,
   }),
   happenedAtTime: z.string(),
   location: z.object({
@@ -42,13 +175,7 @@ const AssetLocationSchema = z.object({
 const VehicleSpeedSchema = z.object({
   vehicle: z.object({
     id: z.string(),
-    externalIds: z
-      .object({
-        "samsara.serial": z.string().optional(),
-        "samsara.vin": z.string().optional(),
-      })
-      .partial()
-      .optional(),
+    externalIds: ExternalIdsSchema,
   }),
   ecuSpeedMph: z.object({
     time: z.string(),
@@ -56,6 +183,467 @@ const VehicleSpeedSchema = z.object({
   }),
 });
 
+// What the bridge accepted before the registry: an asset or vehicle envelope
+// with an id, plus coordinates and/or a speed reading.
+const LooseEntitySchema = z
+  .object({ id: z.union([z.string(), z.number()]) })
+  .passthrough();
+const LooseEnvelopeSchema = z
+  .object({
+    asset: LooseEntitySchema.optional(),
+    vehicle: LooseEntitySchema.optional(),
+  })
+  .passthrough()
+  .refine((o) => o.asset || o.vehicle, "asset or vehicle required");
+const LooseLocationSchema = LooseEnvelopeSchema.refine(
+  (o) =>
+    Number.isFinite(o.location?.latitude) &&
+    Number.isFinite(o.location?.longitude),
+  "location.latitude/longitude required"
+);
+const LooseSpeedSchema = LooseEnvelopeSchema.refine(
+  (o) =>
+    Number.isFinite(o.ecuSpeedMph?.value) ||
+    Number.isFinite(o.speed?.ecuSpeedMetersPerSecond),
+  "ecuSpeedMph.value or speed.ecuSpeedMetersPerSecond required"
+);
+
+function mapLooseTelemetry(obj, { ts }) {
+  const { id, vin, serial } = extractIdentity(obj);
+  let mph;
+  if (obj?.ecuSpeedMph?.value != null) mph = Number(obj.ecuSpeedMph.value);
+  if (obj?.speed?.ecuSpeedMetersPerSecond != null) {
+    mph = Number(obj.speed.ecuSpeedMetersPerSecond) * MPS_TO_MPH;
+  }
+  const loc = obj?.location || {};
+  const addr = loc?.address || {};
+  const time = obj?.happenedAtTime || obj?.ecuSpeedMph?.time || obj?.time || ts;
+
+  return {
+    id: id != null ? String(id) : null,
+    vin,
+    serial,
+    time,
+    lat: loc?.latitude,
+    lon: loc?.longitude,
+    heading: loc?.headingDegrees,
+    accuracyMeters: loc?.accuracyMeters,
+    city: addr?.city,
+    state: addr?.state,
+    mph: Number.isFinite(mph) ? mph : undefined,
+  };
+}
+
+registerNormalizer({
+  kind: "location",
+  name: "samsara.assetLocation",
+  version: 2,
+  schema: AssetLocationSchema,
+  map: ({ asset, happenedAtTime, location, speed }) => ({
+    id: asset.id,
+    vin: asset.externalIds?.["samsara.vin"],
+    serial: asset.externalIds?.["samsara.serial"],
+    time: happenedAtTime,
+    lat: location.latitude,
+    lon: location.longitude,
+    heading: location.headingDegrees,
+    accuracyMeters: location.accuracyMeters,
+    city: location.address?.city,
+    state: location.address?.state,
+    country: location.address?.country,
+    postalCode: location.address?.postalCode,
+    street: location.address?.street,
+    mph:
+      speed?.ecuSpeedMetersPerSecond != null
+        ? speed.ecuSpeedMetersPerSecond * MPS_TO_MPH
+        : undefined,
+  }),
+});
+
+registerNormalizer({
+  kind: "speed",
+  name: "samsara.vehicleSpeed",
+  version: 2,
+  schema: VehicleSpeedSchema,
+  map: ({ vehicle, ecuSpeedMph }) => ({
+    id: vehicle.id,
+    vin: vehicle.externalIds?.["samsara.vin"],
+    serial: vehicle.externalIds?.["samsara.serial"],
+    time: ecuSpeedMph.time,
+    mph: ecuSpeedMph.value,
+  }),
+});
+
+registerNormalizer({
+  kind: "location",
+  name: "samsara.location.loose",
+  version: 1,
+  schema: LooseLocationSchema,
+  map: mapLooseTelemetry,
+});
+
+registerNormalizer({
+  kind: "speed",
+  name: "samsara.speed.loose",
+  version: 1,
+  schema: LooseSpeedSchema,
+  map: mapLooseTelemetry,
+});
+
+/** ---------- Vehicle stats (engine, fuel, odometer, ...) ---------- */
+// Samsara stat key(s) -> asset field. Streams send `{ time, value }`, the
+// stats feed sends arrays of them (plural key); the latest point wins.
+const VEHICLE_STATS = [
+  {
+    keys: ["engineState", "engineStates"],
+    field: "engineState",
+    value: z.string(),
+    convert: (v) => v.toLowerCase(), // "on" | "off" | "idle"
+  },
+  {
+    keys: ["fuelPercent", "fuelPercents"],
+    field: "fuelPercent",
+    value: z.number(),
+  },
+  {
+    keys: ["obdOdometerMeters"],
+    field: "odometerMeters",
+    value: z.number(),
+  },
+  {
+    keys: ["gpsOdometerMeters"],
+    field: "gpsOdometerMeters",
+    value: z.number(),
+  },
+  {
+    keys: ["obdEngineSeconds"],
+    field: "engineHours",
+    value: z.number(),
+    convert: (v) => v / 3600,
+  },
+  {
+    keys: ["defLevelMilliPercent"],
+    field: "defPercent",
+    value: z.number(),
+    convert: (v) => v / 1000,
+  },
+  {
+    keys: ["batteryMilliVolts"],
+    field: "batteryVolts",
+    value: z.number(),
+    convert: (v) => v / 1000,
+  },
+  {
+    keys: ["engineCoolantTemperatureMilliC"],
+    field: "coolantTempC",
+    value: z.number(),
+    convert: (v) => v / 1000,
+  },
+];
+const STAT_KEYS = VEHICLE_STATS.flatMap((s) => s.keys);
+
+const statPoint = (value) =>
+  z.object({ time: z.string(), value }).passthrough();
+const VehicleStatsSchema = VEHICLE_STATS.reduce(
+  (schema, stat) =>
+    schema.extend(
+      Object.fromEntries(
+        stat.keys.map((k) => [
+          k,
+          z
+            .union([statPoint(stat.value), z.array(statPoint(stat.value))])
+            .optional(),
+        ])
+      )
+    ),
+  z
+    .object({
+      asset: LooseEntitySchema.optional(),
+      vehicle: LooseEntitySchema.optional(),
+    })
+    .passthrough()
+)
+  .refine((o) => o.asset || o.vehicle, "asset or vehicle required")
+  .refine(
+    (o) => STAT_KEYS.some((k) => o[k] != null),
+    `one of ${STAT_KEYS.join(", ")} required`
+  );
+
+registerNormalizer({
+  kind: "vehicleStats",
+  name: "samsara.vehicleStats",
+  version: 1,
+  schema: VehicleStatsSchema,
+  map: (obj, { ts }) => {
+    const { id, vin, serial } = extractIdentity(obj);
+    const out = { id: id != null ? String(id) : null, vin, serial };
+    let latest = null;
+    for (const stat of VEHICLE_STATS) {
+      for (const k of stat.keys) {
+        const raw = obj[k];
+        const pt = Array.isArray(raw) ? raw[raw.length - 1] : raw;
+        if (!pt) continue;
+        out[stat.field] = stat.convert ? stat.convert(pt.value) : pt.value;
+        if (!latest || pt.time > latest) latest = pt.time;
+      }
+    }
+    out.time = latest || ts;
+    return out;
+  },
+});
+
+/** ---------- J1939 SPN/FMI faults ---------- */
+// Message-level lamp state (`checkEngineLights`), used for codes that don't
+// carry their own lamp statuses.
+function findLamps(body) {
+  const l = body?.checkEngineLights ?? body?.j1939?.checkEngineLights;
+  if (!l || typeof l !== "object") return {};
+  const bit = (v) => (v == null ? undefined : v ? 1 : 0);
+  return {
+    milStatus: bit(l.emissionsIsOn),
+    redLampStatus: bit(l.stopIsOn),
+    amberLampStatus: bit(l.warningIsOn),
+    protectLampStatus: bit(l.protectIsOn),
+  };
+}
+
+// Severity is not decided here; index.js rates every fault with the rules in
+// severity.js, which read the lamp statuses kept in `meta`.
+export function normalizeJ1939FaultItem(item, whenIso, lamps = {}) {
+  const spnId = item?.spnId;
+  const fmiId = item?.fmiId;
+  const code = [
+    spnId != null ? `SPN ${spnId}` : null,
+    fmiId != null ? `FMI ${fmiId}` : null,
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+  const src = item?.sourceAddressName;
+  const descBits = [
+    item?.spnDescription || "",
+    item?.fmiDescription ? ` — ${item.fmiDescription}` : "",
+    src ? ` (${src})` : "",
+  ];
+  const description = descBits.join("").trim();
+
+  return {
+    id: `${code || "UNKNOWN"}@${whenIso}`,
+    code: code || "UNKNOWN",
+    description: description || "Diagnostic fault",
+    active: true,
+    protocol: "j1939",
+    time: whenIso,
+    meta: {
+      spn: spnId ?? null,
+      fmi: fmiId ?? null,
+      spnDescription: item?.spnDescription,
+      fmiDescription: item?.fmiDescription,
+      milStatus: item?.milStatus ?? lamps.milStatus,
+      redLampStatus: item?.redLampStatus ?? lamps.redLampStatus,
+      amberLampStatus: item?.amberLampStatus ?? lamps.amberLampStatus,
+      protectLampStatus: item?.protectLampStatus ?? lamps.protectLampStatus,
+      occurrenceCount: item?.occurrenceCount,
+      sourceAddressName: src,
+      txId: item?.txId,
+    },
+  };
+}
+
+function deepFindSpnArray(root, maxDepth = 5) {
+  if (!root || typeof root !== "object" || maxDepth < 0) return null;
+  if (Array.isArray(root)) {
+    if (
+      root.length > 0 &&
+      typeof root[0] === "object" &&
+      (root[0].spnId != null || root[0].fmiId != null)
+    ) {
+      return root;
+    }
+  }
+  for (const k of Object.keys(root)) {
+    const v = root[k];
+    if (!v) continue;
+    if (Array.isArray(v)) {
+      const arr = deepFindSpnArray(v, maxDepth - 1);
+      if (arr) return arr;
+    } else if (typeof v === "object") {
+      const arr = deepFindSpnArray(v, maxDepth - 1);
+      if (arr) return arr;
+    }
+  }
+  return null;
+}
+
+// An explicitly empty list (e.g. `{ faults: [] }`) is a valid "no active
+// codes" report; null means the body holds no fault list at all.
+function findFaultList(body) {
+  if (Array.isArray(body)) return body;
+  if (Array.isArray(body?.faults)) return body.faults;
+  if (Array.isArray(body?.items)) return body.items;
+  if (Array.isArray(body?.j1939)) return body.j1939;
+  if (Array.isArray(body?.j1939?.diagnosticTroubleCodes))
+    return body.j1939.diagnosticTroubleCodes;
+  if (body && (body.spnId != null || body.fmiId != null)) return [body];
+  return deepFindSpnArray(body);
+}
+
+/** ---------- OBD-II DTCs ---------- */
+// most to least serious; a code listed under several keeps the first
+const DTC_STATUSES = ["permanent", "confirmed", "pending"];
+
+const dtcCodeOf = (d) =>
+  typeof d === "string"
+    ? d
+    : d?.dtcShortCode ?? d?.shortCode ?? d?.dtc ?? d?.code;
+
+// Samsara `obdii.diagnosticTroubleCodes`: one entry per ECU (txId) with
+// pendingDtcs / confirmedDtcs / permanentDtcs lists -> one item per code
+function flattenObdEcus(ecus, checkEngineLightIsOn) {
+  const byKey = new Map();
+  for (const ecu of ecus) {
+    for (const status of DTC_STATUSES) {
+      for (const d of ecu?.[`${status}Dtcs`] || []) {
+        const code = String(dtcCodeOf(d) || "").toUpperCase();
+        const key = `${code}|${ecu.txId ?? ""}`;
+        const prev = byKey.get(key);
+        if (prev) {
+          prev.statuses.push(status);
+          continue;
+        }
+        byKey.set(key, {
+          code,
+          status,
+          statuses: [status],
+          description: d?.dtcDescription ?? d?.description,
+          txId: ecu.txId,
+          milStatus:
+            ecu.milStatus ??
+            (checkEngineLightIsOn == null
+              ? undefined
+              : checkEngineLightIsOn
+              ? 1
+              : 0),
+        });
+      }
+    }
+  }
+  return [...byKey.values()];
+}
+
+// null when the body holds no DTC list; flat lists of "P0301" strings or
+// { code | dtc | dtcShortCode, status, description } objects also work
+function findDtcList(body) {
+  const obd = body?.obdii ?? body?.obd2 ?? body?.obd;
+  if (Array.isArray(obd?.diagnosticTroubleCodes)) {
+    return flattenObdEcus(obd.diagnosticTroubleCodes, obd.checkEngineLightIsOn);
+  }
+  const flat = Array.isArray(body)
+    ? body
+    : Array.isArray(body?.dtcs)
+    ? body.dtcs
+    : Array.isArray(body?.faults)
+    ? body.faults
+    : null;
+  if (!flat) return null;
+  return flat.map((d) =>
+    d && (typeof d === "string" || typeof d === "object")
+      ? {
+          ...(typeof d === "object" ? d : {}),
+          code: String(dtcCodeOf(d) || "").toUpperCase(),
+          status: String(d.status || d.dtcStatus || "confirmed").toLowerCase(),
+          description: d.dtcDescription ?? d.description,
+        }
+      : d
+  );
+}
+
+export function normalizeObdDtcItem(item, whenIso) {
+  const code = item.code;
+  const status = item.status || "confirmed";
+  const dtcDescription = item.description || describeDtc(code);
+  return {
+    id: `${code}@${whenIso}`,
+    code,
+    description: dtcDescription || "Diagnostic trouble code",
+    active: true,
+    protocol: "obd2",
+    time: whenIso,
+    meta: {
+      dtc: code,
+      dtcStatus: status,
+      dtcStatuses: item.statuses || [status],
+      dtcDescription,
+      system: dtcSystem(code),
+      milStatus: item.milStatus,
+      txId: item.txId,
+    },
+  };
+}
+
+// J1939 when the body carries SPN/FMI codes, otherwise OBD-II DTCs
+export function normalizeFaultPayload(body, whenIso) {
+  const lamps = findLamps(body);
+  const j1939 = findFaultList(body) || [];
+  if (j1939.some((it) => it?.spnId != null || it?.fmiId != null)) {
+    return j1939.map((it) => normalizeJ1939FaultItem(it, whenIso, lamps));
+  }
+  const r = z.array(ObdDtcItemSchema).safeParse(findDtcList(body));
+  return r.success ? r.data.map((it) => normalizeObdDtcItem(it, whenIso)) : [];
+}
+
+const J1939FaultItemSchema = z
+  .object({
+    spnId: z.number().optional(),
+    fmiId: z.number().optional(),
+    milStatus: z.number().optional(),
+    occurrenceCount: z.number().optional(),
+  })
+  .passthrough()
+  .refine((i) => i.spnId != null || i.fmiId != null, "spnId or fmiId required");
+
+registerNormalizer({
+  kind: "j1939Faults",
+  name: "samsara.j1939Faults",
+  version: 1,
+  schema: z.preprocess(findFaultList, z.array(J1939FaultItemSchema)),
+  map: (items, { obj, ts }) => ({
+    ...resolveIdentity(obj),
+    time: ts,
+    faults: items.map((it) => normalizeJ1939FaultItem(it, ts, findLamps(obj))),
+  }),
+});
+
+const ObdDtcItemSchema = z
+  .object({
+    code: z.string().regex(DTC_RE, "OBD-II code like P0301 required"),
+    status: z.enum(DTC_STATUSES),
+    statuses: z.array(z.enum(DTC_STATUSES)).optional(),
+    description: z.string().optional(),
+    milStatus: z.number().optional(),
+  })
+  .passthrough();
+
+registerNormalizer({
+  kind: "obdDtcs",
+  name: "samsara.obdDtcs",
+  version: 1,
+  schema: z.preprocess(findDtcList, z.array(ObdDtcItemSchema)),
+  map: (items, { obj, ts }) => ({
+    ...resolveIdentity(obj),
+    time: ts,
+    faults: items.map((it) => normalizeObdDtcItem(it, ts)),
+  }),
+});
+
+export {
+  AssetLocationSchema,
+  VehicleSpeedSchema,
+  J1939FaultItemSchema,
+  ObdDtcItemSchema,
+};
+
+/** ---------- Raw value helper ---------- */
 function tryJSON(v) {
   if (v == null) return null;
   if (typeof v === "object") return v;
@@ -69,47 +657,12 @@ function tryJSON(v) {
   }
 }
 
+// the kinds this helper has always returned, before the registry's names
+const LEGACY_KINDS = { location: "assetLocation", speed: "vehicleSpeed" };
+
 export function normalizeKafkaMessage(rawValue) {
   const obj = tryJSON(rawValue);
   if (!obj) return null;
-
-  const a = AssetLocationSchema.safeParse(obj);
-  if (a.success) {
-    const { asset, happenedAtTime, location, speed } = a.data;
-    const mph =
-      speed?.ecuSpeedMetersPerSecond != null
-        ? speed.ecuSpeedMetersPerSecond * 2.2369362920544
-        : undefined;
-
-    return {
-      kind: "assetLocation",
-      id: asset.id,
-      vin: asset.externalIds?.["samsara.vin"],
-      serial: asset.externalIds?.["samsara.serial"],
-      time: happenedAtTime,
-      lat: location.latitude,
-      lon: location.longitude,
-      heading: location.headingDegrees,
-      city: location.address?.city,
-      state: location.address?.state,
-      country: location.address?.country,
-      postalCode: location.address?.postalCode,
-      street: location.address?.street,
-      mph,
-    };
-  }
-
-  const v = VehicleSpeedSchema.safeParse(obj);
-  if (v.success) {
-    const { vehicle, ecuSpeedMph } = v.data;
-    return {
-      kind: "vehicleSpeed",
-      id: vehicle.id,
-      vin: vehicle.externalIds?.["samsara.vin"],
-      serial: vehicle.externalIds?.["samsara.serial"],
-      time: ecuSpeedMph.time,
-      mph: ecuSpeedMph.value,
-    };
-  }
-  return null;
+  const r = normalize(["location", "speed"], obj);
+  return r.ok ? { ...r.event, kind: LEGACY_KINDS[r.event.kind] } : null;
 }
@@ -0,0 +1,78 @@
+import crypto from "crypto";
+import nodemailer from "nodemailer";
+
+const TIMEOUT_MS = 10_000;
+
+async function postJson(url, body, headers = {}) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "content-type": "application/json", ...headers },
+    body,
+    signal: AbortSignal.timeout(TIMEOUT_MS),
+  });
+  if (!res.ok) throw new Error(`${url} answered HTTP ${res.status}`);
+}
+
+// "sha256=<hex>" over `<timestamp>.<body>`, so a captured request can't be
+// replayed later with a fresh timestamp
+export function signPayload(secret, timestamp, body) {
+  const mac = crypto.createHmac("sha256", secret);
+  mac.update(`${timestamp}.${body}`);
+  return `sha256=${mac.digest("hex")}`;
+}
+
+const subjectOf = (a) => `[${a.severity}] ${a.ruleName}: ${a.vin || a.assetId}`;
+
+/**
+ * Alert senders by channel type, as used by alerts.js: each takes
+ * (alert, channel) and resolves once the alert was handed off. `emit`
+ * delivers to an org's dashboards.
+ */
+export function createNotifiers({ emit, webhookSecret, smtpUrl, emailFrom }) {
+  let transport = null;
+
+  return {
+    socket: (alert) => emit(alert.org, alert),
+
+    // X-Alert-Signature lets the receiver check the body came from us
+    webhook: (alert, { url, secret }) => {
+      const key = secret || webhookSecret;
+      if (!key) throw new Error("no webhook secret; set ALERT_WEBHOOK_SECRET");
+      const body = JSON.stringify(alert);
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      return postJson(url, body, {
+        "x-alert-timestamp": timestamp,
+        "x-alert-signature": signPayload(key, timestamp, body),
+      });
+    },
+
+    email: async (alert, { to }) => {
+      if (!smtpUrl) throw new Error("SMTP_URL is not set");
+      transport ??= nodemailer.createTransport(smtpUrl);
+      await transport.sendMail({
+        from: emailFrom,
+        to: to.join(", "),
+        subject: subjectOf(alert),
+        text: `${alert.message}\n\nRule: ${alert.ruleName}\nAsset: ${
+          alert.vin || alert.assetId
+        }\nTime: ${alert.time}\n`,
+      });
+    },
+
+    // Slack-style incoming webhooks (Slack, Mattermost, ...) take { text }
+    slack: (alert, { url }) =>
+      postJson(
+        url,
+        JSON.stringify({ text: `*${subjectOf(alert)}*\n${alert.message}` })
+      ),
+  };
+}
+
+export function buildNotifiers({ emit }) {
+  return createNotifiers({
+    emit,
+    webhookSecret: process.env.ALERT_WEBHOOK_SECRET,
+    smtpUrl: process.env.SMTP_URL, // smtp(s)://user:pass@host:port
+    emailFrom: process.env.ALERT_EMAIL_FROM || "alerts@atsi.ai",
+  });
+}
@@ -0,0 +1,102 @@
+// OBD-II diagnostic trouble codes (SAE J2012): P/C/B/U + 4 characters
+export const DTC_RE = /^[PCBU][0-3][0-9A-F]{3}$/;
+
+const SYSTEMS = { P: "Powertrain", C: "Chassis", B: "Body", U: "Network" };
+
+// third character of a P-code
+const P_SUBSYSTEMS = {
+  0: "fuel, air metering and auxiliary emission controls",
+  1: "fuel and air metering",
+  2: "fuel and air metering (injector circuit)",
+  3: "ignition system or misfire",
+  4: "auxiliary emission controls",
+  5: "vehicle speed, idle control and auxiliary inputs",
+  6: "computer output circuit",
+  7: "transmission",
+  8: "transmission",
+  9: "transmission",
+  A: "hybrid propulsion",
+  B: "hybrid propulsion",
+  C: "hybrid propulsion",
+};
+
+// generic codes we see most often on light- and medium-duty units
+const DESCRIPTIONS = {
+  P0101: "Mass or Volume Air Flow Circuit Range/Performance",
+  P0102: "Mass or Volume Air Flow Circuit Low Input",
+  P0113: "Intake Air Temperature Sensor 1 Circuit High",
+  P0117: "Engine Coolant Temperature Circuit Low",
+  P0118: "Engine Coolant Temperature Circuit High",
+  P0128: "Coolant Temperature Below Thermostat Regulating Temperature",
+  P0133: "O2 Sensor Circuit Slow Response (Bank 1 Sensor 1)",
+  P0135: "O2 Sensor Heater Circuit Malfunction (Bank 1 Sensor 1)",
+  P0171: "System Too Lean (Bank 1)",
+  P0172: "System Too Rich (Bank 1)",
+  P0174: "System Too Lean (Bank 2)",
+  P0175: "System Too Rich (Bank 2)",
+  P0300: "Random/Multiple Cylinder Misfire Detected",
+  P0401: "Exhaust Gas Recirculation Flow Insufficient Detected",
+  P0420: "Catalyst System Efficiency Below Threshold (Bank 1)",
+  P0430: "Catalyst System Efficiency Below Threshold (Bank 2)",
+  P0440: "Evaporative Emission Control System Malfunction",
+  P0442: "Evaporative Emission System Leak Detected (Small Leak)",
+  P0455: "Evaporative Emission System Leak Detected (Large Leak)",
+  P0456: "Evaporative Emission System Leak Detected (Very Small Leak)",
+  P0500: "Vehicle Speed Sensor Malfunction",
+  P0505: "Idle Control System Malfunction",
+  P0562: "System Voltage Low",
+  P0563: "System Voltage High",
+  P0700: "Transmission Control System Malfunction",
+  U0100: "Lost Communication With ECM/PCM 'A'",
+  U0101: "Lost Communication With TCM",
+  U0121: "Lost Communication With Anti-Lock Brake System (ABS) Module",
+};
+for (let cyl = 1; cyl <= 12; cyl++) {
+  const code = `P03${String(cyl).padStart(2, "0")}`;
+  DESCRIPTIONS[code] = `Cylinder ${cyl} Misfire Detected`;
+}
+
+// P0300 (random) and P0301-P0312 (per cylinder)
+export const isMisfireDtc = (code) => /^P03(0\d|1[0-2])$/.test(code || "");
+
+// "P0301" -> "Cylinder 1 Misfire Detected"; unknown codes get a readable
+// system/subsystem description instead of nothing.
+export function describeDtc(code) {
+  const c = String(code || "").toUpperCase();
+  if (DESCRIPTIONS[c]) return DESCRIPTIONS[c];
+  if (!DTC_RE.test(c)) return null;
+  const system = SYSTEMS[c[0]];
+  // P0/P2 and B0/C0/U0 are SAE generic, P3 is split, the rest are OEM codes
+  const generic = c[0] === "P" ? c[1] === "0" || c[1] === "2" : c[1] === "0";
+  const scope = generic
+    ? "generic"
+    : c[0] === "P" && c[1] === "3"
+    ? "generic or manufacturer-specific"
+    : "manufacturer-specific";
+  const sub = c[0] === "P" ? P_SUBSYSTEMS[c[2]] : null;
+  return `${system} (${scope})${sub ? `: ${sub}` : ""}`;
+}
+
+export const dtcSystem = (code) => SYSTEMS[String(code || "")[0]] || null;
+
+// shop repair category for a code, in the vocabulary of the SPN knowledge
+// base's `repairCategory`
+const P_CATEGORIES = {
+  0: "Fuel system",
+  1: "Fuel system",
+  2: "Fuel system",
+  3: "Engine",
+  4: "Aftertreatment",
+  5: "Electrical",
+  6: "Electrical",
+  7: "Transmission",
+  8: "Transmission",
+  9: "Transmission",
+};
+const CATEGORIES = { U: "Electrical", B: "Body", C: "Chassis" };
+
+export function dtcRepairCategory(code) {
+  const c = String(code || "").toUpperCase();
+  if (!DTC_RE.test(c)) return null;
+  return (c[0] === "P" ? P_CATEGORIES[c[2]] : CATEGORIES[c[0]]) || null;
+}
@@ -0,0 +1,123 @@
+import fs from "fs";
+import path from "path";
+import { z } from "zod";
+import { createCheckpoint } from "./checkpoint.js";
+import { toMatcher } from "./routing.js";
+
+const AssetTypesSchema = z.array(
+  z.object({
+    type: z.string().min(1),
+    // asset ids or VINs, exact or "/re/"
+    match: z.array(z.string()).min(1),
+    offlineMinutes: z.number().positive(),
+  })
+);
+
+/**
+ * Connectivity per asset. The periodic `sweep` marks an asset offline once
+ * nothing has arrived for its type's threshold (first matching entry of
+ * `types`, else `defaultMinutes`); the next message brings it back online
+ * and closes an outage, kept in `file` (newest `max`). `asset.offline`
+ * holds { since, detectedAt, assetType, thresholdMinutes } while offline.
+ */
+export function createOfflineTracker({
+  file,
+  defaultMinutes = 30,
+  types = [],
+  max = 5000,
+}) {
+  const store = createCheckpoint({ file });
+  let outages = store.load()?.outages || []; // oldest first
+  const compiled = types.map((t) => ({
+    ...t,
+    tests: t.match.map(toMatcher),
+  }));
+
+  function persist() {
+    if (outages.length > max) outages = outages.slice(-max);
+    return store
+      .save({ outages })
+      .catch((err) => console.error("[offline] save failed:", err));
+  }
+
+  function typeOf(asset) {
+    const t = compiled.find((c) =>
+      c.tests.some((test) => test(asset.id) || (asset.vin && test(asset.vin)))
+    );
+    return t
+      ? { assetType: t.type, thresholdMinutes: t.offlineMinutes }
+      : { assetType: null, thresholdMinutes: defaultMinutes };
+  }
+
+  // assets that just went silent; sets `asset.offline` on each
+  function sweep(assets, now = Date.now()) {
+    const wentOffline = [];
+    for (const asset of assets) {
+      if (asset.offline || !asset.lastUpdateTs) continue;
+      const { assetType, thresholdMinutes } = typeOf(asset);
+      if (now - asset.lastUpdateTs < thresholdMinutes * 60_000) continue;
+      asset.offline = {
+        since: new Date(asset.lastUpdateTs).toISOString(),
+        detectedAt: new Date(now).toISOString(),
+        assetType,
+        thresholdMinutes,
+      };
+      wentOffline.push(asset);
+    }
+    return wentOffline;
+  }
+
+  // `asset` was offline and a message just arrived; returns the outage
+  function backOnline(asset, now = Date.now()) {
+    const { since, assetType } = asset.offline;
+    const outage = {
+      org: asset.org,
+      assetId: asset.id,
+      vin: asset.vin ?? null,
+      assetType,
+      from: since,
+      to: new Date(now).toISOString(),
+      durationMs: Math.max(0, now - Date.parse(since)),
+    };
+    outages.push(outage);
+    persist();
+    asset.offline = null;
+    return outage;
+  }
+
+  // newest first
+  function list({ org, assetId, limit = 200 }) {
+    return outages
+      .filter(
+        (o) =>
+          o.org === org &&
+          (!assetId || o.assetId === assetId || o.vin === assetId)
+      )
+      .slice(-limit)
+      .reverse();
+  }
+
+  const stats = () => ({
+    defaultMinutes,
+    types: compiled.length,
+    outages: outages.length,
+  });
+
+  return { sweep, backOnline, list, stats };
+}
+
+// OFFLINE_MINUTES (default 30); ASSET_TYPES_FILE:
+// [{ type: "reefer", match: ["/^R-/"], offlineMinutes: 10 }, ...]
+export function buildOfflineTracker({ dataDir }) {
+  const file = process.env.ASSET_TYPES_FILE;
+  const types = file
+    ? AssetTypesSchema.parse(
+        JSON.parse(fs.readFileSync(path.resolve(file), "utf8"))
+      )
+    : [];
+  return createOfflineTracker({
+    file: path.join(dataDir, "outages.json"),
+    defaultMinutes: parseFloat(process.env.OFFLINE_MINUTES || "30"),
+    types,
+  });
+}
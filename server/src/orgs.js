@@ -0,0 +1,119 @@
+import fs from "fs";
+import path from "path";
+import { z } from "zod";
+import { toMatcher } from "./routing.js";
+
+// users with this org are internal staff and may open any tenant
+export const ALL_ORGS = "*";
+
+const OrgSchema = z.object({
+  id: z
+    .string()
+    .regex(/^[\w-]+$/, "letters, digits, _ and - only")
+    .refine((id) => id !== ALL_ORGS),
+  name: z.string().optional(),
+  // topic names or "/re/" patterns; none = any topic
+  topics: z.array(z.string()).default([]),
+  // message key (or id/vin header) must match; exact or "/re/"
+  keyFilter: z.string().optional(),
+});
+
+const OrgsFileSchema = z
+  .array(OrgSchema)
+  .min(1)
+  .refine(
+    (orgs) => new Set(orgs.map((o) => o.id)).size === orgs.length,
+    "duplicate org id"
+  );
+
+const DEFAULT_ORGS = [{ id: "default", name: "Default", topics: [] }];
+
+/**
+ * Tenants. Every incoming message belongs to the first org whose topics
+ * and key filter both accept it; messages no org claims are dropped. Users
+ * are pinned to one org, while staff (`org: "*"`) pick one per request or
+ * socket. A user without an org is neither and gets no tenant.
+ */
+export function createOrgs({ orgs = DEFAULT_ORGS } = {}) {
+  const compiled = orgs.map((o) => {
+    const topicTests = o.topics.map(toMatcher);
+    const keyTest = o.keyFilter ? toMatcher(o.keyFilter) : () => true;
+    return {
+      id: o.id,
+      name: o.name ?? o.id,
+      topics: o.topics,
+      accepts: (topic, key) =>
+        (!topicTests.length || topicTests.some((t) => t(topic))) &&
+        keyTest(key || ""),
+    };
+  });
+  const byId = new Map(compiled.map((o) => [o.id, o]));
+  const unclaimed = new Map(); // topic -> count
+
+  // org id for a message, or null when no org claims it
+  function resolve({ topic, key }) {
+    const org = compiled.find((o) => o.accepts(topic, key));
+    if (!org) unclaimed.set(topic, (unclaimed.get(topic) || 0) + 1);
+    return org ? org.id : null;
+  }
+
+  const isStaff = (user) => user?.org === ALL_ORGS;
+
+  /**
+   * The org a caller works in: a tenant user always gets their own, staff
+   * get `requested` (default: the first org). Null when the org is unknown
+   * or belongs to someone else.
+   */
+  function scopeFor(user, requested) {
+    if (!isStaff(user)) {
+      return (!requested || requested === user.org) && byId.has(user.org)
+        ? user.org
+        : null;
+    }
+    const id = requested || compiled[0].id;
+    return byId.has(id) ? id : null;
+  }
+
+  // what the fleet switcher may offer `user`
+  const visibleTo = (user) =>
+    compiled
+      .filter((o) => isStaff(user) || o.id === user.org)
+      .map(({ id, name }) => ({ id, name }));
+
+  // explicit topics that must be subscribed on top of TOPICS
+  const topics = () => [
+    ...new Set(
+      compiled.flatMap((o) => o.topics.filter((t) => !t.startsWith("/")))
+    ),
+  ];
+
+  const has = (id) => byId.has(id);
+  const ids = () => compiled.map((o) => o.id);
+  const defaultOrg = () => compiled[0].id;
+
+  // for /health/details (staff only); no org names here all the same
+  const stats = () => ({
+    count: compiled.length,
+    unclaimed: Object.fromEntries(unclaimed),
+  });
+
+  return {
+    resolve,
+    scopeFor,
+    isStaff,
+    visibleTo,
+    topics,
+    has,
+    ids,
+    defaultOrg,
+    stats,
+  };
+}
+
+// ORGS_FILE: [{ id, name, topics: [...], keyFilter }]; unset = one org
+export function buildOrgs() {
+  const file = process.env.ORGS_FILE;
+  if (!file) return createOrgs();
+  const raw = JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+  return createOrgs({ orgs: OrgsFileSchema.parse(raw) });
+}
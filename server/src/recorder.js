@@ -0,0 +1,138 @@
+import { isUtf8 } from "buffer";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+// 17 chars, no I/O/Q, at least one letter (so long numeric ids don't match)
+const VIN_RE = /\b(?=[A-HJ-NPR-Z0-9]*[A-HJ-NPR-Z])[A-HJ-NPR-Z0-9]{17}\b/g;
+
+// stable per-VIN token so redacted recordings still replay consistently
+const vinToken = (vin) =>
+  crypto.createHash("sha256").update(vin).digest("hex").slice(0, 12);
+const redactVins = (str) =>
+  str.replace(VIN_RE, (vin) => `VIN-${vinToken(vin)}`);
+
+// "samsara.location=0.1,*=1" -> Map(topic -> rate)
+function parseSample(spec) {
+  const rates = new Map();
+  for (const part of (spec || "").split(",")) {
+    const [topic, rate] = part.split("=").map((s) => s?.trim());
+    if (topic && rate != null && Number.isFinite(Number(rate))) {
+      rates.set(topic, Math.max(0, Math.min(1, Number(rate))));
+    }
+  }
+  return rates;
+}
+
+const stamp = () => new Date().toISOString().replace(/[-:]|\.\d+/g, "");
+
+/**
+ * Writes every raw consumed message as one NDJSON line in the format the
+ * replay source reads, rotating files once they pass `maxBytes`.
+ */
+export function createRecorder({
+  dir,
+  maxBytes = 100 * 1024 * 1024,
+  maxFiles = 20,
+  encoding = "utf8",
+  sample = "",
+  redactVin = false,
+}) {
+  fs.mkdirSync(dir, { recursive: true });
+  const rates = parseSample(sample);
+  const defaultRate = rates.get("*") ?? 1;
+  const stats = { file: null, recorded: 0, sampledOut: 0, rotations: 0 };
+  let stream = null;
+  let bytes = 0;
+
+  function rotate() {
+    stream?.end();
+    stats.file = path.join(dir, `rec-${stamp()}-${stats.rotations}.ndjson`);
+    stream = fs.createWriteStream(stats.file, { flags: "a" });
+    stream.on("error", (err) => console.error("[recorder] write failed:", err));
+    bytes = 0;
+    stats.rotations++;
+
+    const old = fs
+      .readdirSync(dir)
+      .filter((f) => /^rec-.*\.ndjson$/.test(f))
+      .sort();
+    for (const f of old.slice(0, Math.max(0, old.length - maxFiles))) {
+      fs.rmSync(path.join(dir, f), { force: true });
+    }
+  }
+
+  // base64 keeps the raw bytes; VINs can only be redacted in valid UTF-8
+  const encode = (v) => {
+    if (v == null) return null;
+    const buf = Buffer.isBuffer(v) ? v : Buffer.from(String(v), "utf8");
+    if (encoding !== "base64") {
+      const s = buf.toString("utf8");
+      return redactVin ? redactVins(s) : s;
+    }
+    if (redactVin && isUtf8(buf)) {
+      return Buffer.from(redactVins(buf.toString("utf8")), "utf8").toString(
+        "base64"
+      );
+    }
+    return buf.toString("base64");
+  };
+
+  function record({ topic, partition, message }) {
+    const rate = rates.get(topic) ?? defaultRate;
+    if (rate < 1 && Math.random() >= rate) {
+      stats.sampledOut++;
+      return;
+    }
+
+    const headers = {};
+    for (const [k, v] of Object.entries(message.headers || {})) {
+      headers[k] = encode(Array.isArray(v) ? v[0] : v);
+    }
+
+    const line =
+      JSON.stringify({
+        topic,
+        partition,
+        offset: message.offset,
+        key: encode(message.key),
+        keyEncoding: encoding,
+        headers,
+        headersEncoding: encoding,
+        value: encode(message.value),
+        valueEncoding: encoding,
+        timestamp: message.timestamp,
+      }) + "\n";
+
+    if (!stream || bytes >= maxBytes) rotate();
+    stream.write(line);
+    bytes += Buffer.byteLength(line);
+    stats.recorded++;
+  }
+
+  async function close() {
+    const s = stream;
+    stream = null;
+    if (s) await new Promise((r) => s.end(r));
+  }
+
+  return { record, close, stats };
+}
+
+export function buildRecorder() {
+  const dir = process.env.RECORD_DIR;
+  if (!dir) return null;
+  const encoding = (process.env.RECORD_ENCODING || "utf8").toLowerCase();
+  if (!["utf8", "base64"].includes(encoding)) {
+    throw new Error(`Invalid RECORD_ENCODING "${encoding}" (utf8 or base64).`);
+  }
+  return createRecorder({
+    dir: path.resolve(dir),
+    maxBytes: parseInt(process.env.RECORD_MAX_BYTES || "104857600", 10),
+    maxFiles: parseInt(process.env.RECORD_MAX_FILES || "20", 10),
+    encoding,
+    sample: process.env.RECORD_SAMPLE,
+    redactVin:
+      (process.env.RECORD_REDACT_VIN || "false").toLowerCase() === "true",
+  });
+}
@@ -0,0 +1,162 @@
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+
+function parseList(envName, def = "") {
+  return (process.env[envName] || def)
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// files and directories (every *.ndjson inside, sorted by name)
+function expandFiles(entries) {
+  const out = [];
+  for (const entry of entries) {
+    const p = path.resolve(entry);
+    if (fs.statSync(p).isDirectory()) {
+      for (const f of fs.readdirSync(p).sort()) {
+        if (f.endsWith(".ndjson")) out.push(path.join(p, f));
+      }
+    } else {
+      out.push(p);
+    }
+  }
+  return out;
+}
+
+const toBuffer = (v, encoding) => {
+  if (v == null) return null;
+  if (typeof v === "object") return Buffer.from(JSON.stringify(v), "utf8");
+  return Buffer.from(String(v), encoding === "base64" ? "base64" : "utf8");
+};
+
+/**
+ * Turn one recorded NDJSON line into the message shape kafkajs hands to
+ * `eachMessage`: Buffers for key/value/headers, string offset/timestamp.
+ */
+export function toKafkaMessage(rec, offset) {
+  const ts = Number.isFinite(Number(rec.timestamp))
+    ? Number(rec.timestamp)
+    : Date.parse(rec.timestamp);
+  const headers = {};
+  for (const [k, v] of Object.entries(rec.headers || {})) {
+    headers[k] = toBuffer(v, rec.headersEncoding);
+  }
+  return {
+    key: toBuffer(rec.key, rec.keyEncoding),
+    value: toBuffer(rec.value, rec.valueEncoding),
+    headers,
+    offset: String(rec.offset ?? offset),
+    timestamp: Number.isFinite(ts) ? String(ts) : undefined,
+  };
+}
+
+/**
+ * Consumer look-alike that plays recorded messages from NDJSON files through
+ * the same `eachMessage` handler the Kafka consumer uses.
+ * `speed` is a multiplier on the recorded inter-message gaps, or "max".
+ */
+export function createReplaySource({ files, speed = "1", loop = false }) {
+  const paths = expandFiles(files);
+  if (paths.length === 0) {
+    throw new Error("Replay source enabled but REPLAY_FILES is empty.");
+  }
+  const factor = speed === "max" ? Infinity : Number(speed);
+  if (!(factor > 0)) {
+    throw new Error(`Invalid REPLAY_SPEED "${speed}" (use 1, 10, max...).`);
+  }
+
+  const subscribed = new Set();
+  let stopped = false;
+  let done = null;
+  let wake = null; // cuts a pending inter-message wait short on disconnect
+  const sleep = (ms) =>
+    new Promise((r) => {
+      const t = setTimeout(r, ms);
+      wake = () => {
+        clearTimeout(t);
+        r();
+      };
+    });
+
+  async function playFile(file, eachMessage, offsets) {
+    const rl = readline.createInterface({
+      input: fs.createReadStream(file),
+      crlfDelay: Infinity,
+    });
+    let prevTs = null;
+    let n = 0;
+    for await (const line of rl) {
+      if (stopped) break;
+      if (!line.trim()) continue;
+      let rec;
+      try {
+        rec = JSON.parse(line);
+      } catch {
+        console.warn(`[replay] skipping bad line in ${file}`);
+        continue;
+      }
+      const topic = rec.topic;
+      if (!topic || (subscribed.size > 0 && !subscribed.has(topic))) continue;
+      const partition = Number(rec.partition) || 0;
+      const key = `${topic}:${partition}`;
+      const offset = offsets.get(key) ?? 0;
+      offsets.set(key, offset + 1);
+      const message = toKafkaMessage(rec, offset);
+
+      const ts = Number(message.timestamp);
+      if (Number.isFinite(factor) && prevTs != null && Number.isFinite(ts)) {
+        const gap = (ts - prevTs) / factor;
+        if (gap > 0) await sleep(gap);
+      } else if (++n % 500 === 0) {
+        await new Promise((r) => setImmediate(r)); // let HTTP/WS breathe
+      }
+      if (Number.isFinite(ts)) prevTs = ts;
+
+      try {
+        await eachMessage({ topic, partition, message });
+      } catch (err) {
+        console.error("[replay] eachMessage failed:", err);
+      }
+    }
+    rl.close();
+  }
+
+  async function play(eachMessage) {
+    do {
+      const offsets = new Map(); // "topic:partition" -> next offset
+      for (const file of paths) {
+        if (stopped) return;
+        console.log(`[replay] playing ${file} at ${speed}x`);
+        await playFile(file, eachMessage, offsets);
+      }
+    } while (loop && !stopped);
+    console.log("[replay] finished");
+  }
+
+  return {
+    async connect() {},
+    async subscribe({ topic }) {
+      subscribed.add(topic);
+    },
+    async run({ eachMessage }) {
+      done = play(eachMessage).catch((err) =>
+        console.error("[replay] failed:", err)
+      );
+    },
+    async disconnect() {
+      stopped = true;
+      wake?.();
+      await done;
+    },
+  };
+}
+
+export function buildReplaySource() {
+  return createReplaySource({
+    files: parseList("REPLAY_FILES"),
+    speed: (process.env.REPLAY_SPEED || "1").toLowerCase(),
+    loop: (process.env.REPLAY_LOOP || "false").toLowerCase() === "true",
+  });
+}
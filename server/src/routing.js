@@ -0,0 +1,125 @@
+import fs from "fs";
+import path from "path";
+import { detectPayloadKind } from "./normalize.js";
+
+// "/fault/i" -> regex test, anything else -> exact topic name
+export function toMatcher(pattern) {
+  const m = /^\/(.*)\/([a-z]*)$/.exec(pattern);
+  if (m) {
+    const re = new RegExp(m[1], m[2]);
+    return (topic) => re.test(topic);
+  }
+  return (topic) => topic === pattern;
+}
+
+/**
+ * Maps topics to named pipeline handlers. A route may list several handlers
+ * for topics that mix payload types; the payload shape then picks one.
+ * Topics with no route are content-detected, falling back to `fallback`
+ * ("none" drops them), and are counted so /health can report them.
+ */
+export function createRouter({ routes = [], fallback = "location", handlers }) {
+  const known = new Set(handlers);
+  const check = (name, where) => {
+    if (!known.has(name)) {
+      throw new Error(
+        `Unknown handler "${name}" in ${where} (known: ${[...known].join(
+          ", "
+        )})`
+      );
+    }
+  };
+  if (fallback !== "none") check(fallback, "routing fallback");
+
+  const compiled = routes.map((r) => {
+    const pattern = r.topic ?? r.match;
+    const names = [].concat(r.handlers ?? r.handler ?? []);
+    if (!pattern || names.length === 0) {
+      throw new Error(`Invalid route ${JSON.stringify(r)}`);
+    }
+    for (const n of names) check(n, `route ${pattern}`);
+    return { pattern, handlers: names, test: toMatcher(pattern) };
+  });
+
+  const unrouted = new Map(); // topic -> { count, lastSeen, detected }
+
+  function resolve(topic, obj) {
+    const route = compiled.find((r) => r.test(topic));
+    if (route) {
+      if (route.handlers.length === 1) return route.handlers[0];
+      const detected = detectPayloadKind(obj);
+      return route.handlers.includes(detected) ? detected : route.handlers[0];
+    }
+
+    const detected = detectPayloadKind(obj);
+    const u = unrouted.get(topic) || { count: 0, lastSeen: null, detected: {} };
+    u.count++;
+    u.lastSeen = new Date().toISOString();
+    const k = detected || "unknown";
+    u.detected[k] = (u.detected[k] || 0) + 1;
+    unrouted.set(topic, u);
+
+    if (detected && known.has(detected)) return detected;
+    return fallback === "none" ? null : fallback;
+  }
+
+  const stats = () => ({
+    routes: compiled.map(({ pattern, handlers }) => ({ pattern, handlers })),
+    fallback,
+    unrouted: Object.fromEntries(unrouted),
+  });
+
+  return { resolve, stats };
+}
+
+// "samsara.location=location,/fault/i=j1939Faults|obdDtcs,mixed=location|speed"
+function parseRoutesEnv(spec) {
+  return spec
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const i = part.lastIndexOf("=");
+      if (i <= 0) throw new Error(`Invalid ROUTES entry "${part}"`);
+      return {
+        topic: part.slice(0, i).trim(),
+        handlers: part
+          .slice(i + 1)
+          .split("|")
+          .map((h) => h.trim())
+          .filter(Boolean),
+      };
+    });
+}
+
+/**
+ * Routing config from ROUTES_FILE (JSON: { routes: [...], fallback }) or the
+ * ROUTES env var. The default mirrors the original behaviour: topics whose
+ * name contains "fault" (any case, as before) carry faults (J1939 or OBD-II,
+ * told apart by shape); location, speed and stats topics get their own
+ * routes so they aren't reported as unrouted, and everything else is
+ * location.
+ */
+export function loadRoutingConfig() {
+  const fallback = process.env.ROUTES_FALLBACK || "location";
+  if (process.env.ROUTES_FILE) {
+    const file = path.resolve(process.env.ROUTES_FILE);
+    const cfg = JSON.parse(fs.readFileSync(file, "utf8"));
+    return {
+      routes: Array.isArray(cfg) ? cfg : cfg.routes || [],
+      fallback: cfg.fallback || fallback,
+    };
+  }
+  if (process.env.ROUTES) {
+    return { routes: parseRoutesEnv(process.env.ROUTES), fallback };
+  }
+  return {
+    routes: [
+      { match: "/fault/i", handlers: ["j1939Faults", "obdDtcs"] },
+      { match: "/location/i", handlers: ["location", "speed"] },
+      { match: "/speed/i", handlers: ["speed", "location"] },
+      { match: "/stats/i", handlers: ["vehicleStats"] },
+    ],
+    fallback,
+  };
+}
@@ -0,0 +1,235 @@
+import fs from "fs";
+import path from "path";
+import { z } from "zod";
+
+const Severity = z.enum(["critical", "warning", "info"]);
+// 1327 | [1322, 1327] | { min: 500, max: 599 }
+const NumberMatch = z.union([
+  z.number(),
+  z.array(z.number()),
+  z.object({ min: z.number().optional(), max: z.number().optional() }),
+]);
+
+const TextMatch = z.union([z.string(), z.array(z.string())]);
+const DtcStatus = z.enum(["pending", "confirmed", "permanent"]);
+
+const RuleSchema = z.object({
+  id: z.string().min(1),
+  description: z.string().optional(),
+  severity: Severity,
+  when: z
+    .object({
+      protocol: z.enum(["j1939", "obd2"]).optional(),
+      spn: NumberMatch.optional(),
+      fmi: NumberMatch.optional(),
+      dtc: TextMatch.optional(), // "P0301" | ["P0171", "P0174"] | "/^P03/"
+      dtcStatus: z.union([DtcStatus, z.array(DtcStatus)]).optional(),
+      source: TextMatch.optional(),
+      description: z.string().optional(),
+      minOccurrences: z.number().optional(),
+      mil: z.boolean().optional(),
+      redStopLamp: z.boolean().optional(),
+      amberWarningLamp: z.boolean().optional(),
+      protectLamp: z.boolean().optional(),
+    })
+    .strict()
+    .default({}),
+});
+
+const RulesFileSchema = z.union([
+  z.array(RuleSchema).transform((rules) => ({ default: "info", rules })),
+  z.object({ default: Severity.default("info"), rules: z.array(RuleSchema) }),
+]);
+
+/**
+ * Used when SEVERITY_RULES_FILE is unset. The MIL and misfire rules match
+ * what the normalizer used to hardcode; the lamp rules add the red stop,
+ * amber warning and protect lamps on top. OBD-II faults carry the check
+ * engine light as `mil`.
+ */
+export const DEFAULT_SEVERITY_RULES = {
+  default: "info",
+  rules: [
+    {
+      id: "red-stop-lamp",
+      description: "Red stop lamp on",
+      severity: "critical",
+      when: { redStopLamp: true },
+    },
+    {
+      id: "mil-misfire",
+      description: "MIL on with a misfire SPN",
+      severity: "critical",
+      when: { mil: true, spn: [1322, 1327, 1328] },
+    },
+    {
+      id: "mil-misfire-obd",
+      description: "MIL on with an OBD-II misfire code (P0300-P0312)",
+      severity: "critical",
+      when: { mil: true, dtc: "/^P03(0\\d|1[0-2])$/" },
+    },
+    {
+      id: "mil-misfire-text",
+      description: "MIL on with a misfire description",
+      severity: "critical",
+      when: { mil: true, description: "/misfire/i" },
+    },
+    {
+      id: "mil-on",
+      description: "MIL on",
+      severity: "warning",
+      when: { mil: true },
+    },
+    {
+      id: "amber-warning-lamp",
+      description: "Amber warning lamp on",
+      severity: "warning",
+      when: { amberWarningLamp: true },
+    },
+    {
+      id: "protect-lamp",
+      description: "Protect lamp on",
+      severity: "warning",
+      when: { protectLamp: true },
+    },
+  ],
+};
+
+const lampOn = (v) => v === true || Number(v) === 1;
+
+function numberTest(m) {
+  if (typeof m === "number") return (v) => Number(v) === m;
+  if (Array.isArray(m)) return (v) => m.includes(Number(v));
+  return (v) =>
+    v != null &&
+    (m.min == null || Number(v) >= m.min) &&
+    (m.max == null || Number(v) <= m.max);
+}
+
+// "/re/flags" -> regex test, anything else -> case-insensitive equality
+function textTest(pattern) {
+  const m = /^\/(.*)\/([a-z]*)$/.exec(pattern);
+  if (m) {
+    const re = new RegExp(m[1], m[2]);
+    return (v) => re.test(v || "");
+  }
+  return (v) => (v || "").toLowerCase() === pattern.toLowerCase();
+}
+
+function compileRule({ id, description, severity, when }) {
+  const tests = [];
+  if (when.protocol != null) {
+    tests.push((m, f) => (f.protocol ?? "j1939") === when.protocol);
+  }
+  if (when.spn != null) {
+    const t = numberTest(when.spn);
+    tests.push((m) => t(m.spn));
+  }
+  if (when.fmi != null) {
+    const t = numberTest(when.fmi);
+    tests.push((m) => t(m.fmi));
+  }
+  if (when.dtc != null) {
+    const ts = [].concat(when.dtc).map(textTest);
+    tests.push((m) => ts.some((t) => t(m.dtc)));
+  }
+  if (when.dtcStatus != null) {
+    const statuses = [].concat(when.dtcStatus);
+    tests.push((m) => statuses.includes(m.dtcStatus));
+  }
+  if (when.source != null) {
+    const ts = [].concat(when.source).map(textTest);
+    tests.push((m) => ts.some((t) => t(m.sourceAddressName)));
+  }
+  if (when.description != null) {
+    const t = textTest(when.description);
+    tests.push((m) => t(m.spnDescription ?? m.dtcDescription));
+  }
+  if (when.minOccurrences != null) {
+    tests.push((m) => Number(m.occurrenceCount) >= when.minOccurrences);
+  }
+  const lamps = {
+    mil: "milStatus",
+    redStopLamp: "redLampStatus",
+    amberWarningLamp: "amberLampStatus",
+    protectLamp: "protectLampStatus",
+  };
+  for (const [name, field] of Object.entries(lamps)) {
+    if (when[name] != null) tests.push((m) => lampOn(m[field]) === when[name]);
+  }
+  return {
+    id,
+    description: description ?? null,
+    severity,
+    test: (fault) => tests.every((t) => t(fault.meta || {}, fault)),
+  };
+}
+
+const compile = (cfg) => ({
+  default: cfg.default,
+  rules: cfg.rules.map(compileRule),
+});
+
+/**
+ * Ordered severity rules for J1939 and OBD-II faults; the first rule whose
+ * conditions all hold decides the severity. With a `file`, the rules are read
+ * from JSON and re-read whenever it changes. A broken edit is logged and the
+ * previous rules stay in force.
+ */
+export function createSeverityRules({ file = null, watch = true } = {}) {
+  let active = compile(DEFAULT_SEVERITY_RULES);
+  const info = { file, loadedAt: null, reloads: 0, lastError: null };
+
+  function load() {
+    const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+    active = compile(RulesFileSchema.parse(raw));
+    info.loadedAt = new Date().toISOString();
+    info.lastError = null;
+  }
+
+  if (file) {
+    load(); // a bad file at startup is fatal, like a bad ROUTES_FILE
+    if (watch) {
+      fs.watchFile(file, { interval: 2000, persistent: false }, (cur, prev) => {
+        if (cur.mtimeMs === prev.mtimeMs) return;
+        try {
+          load();
+          info.reloads++;
+          console.log(`[severity] reloaded ${active.rules.length} rules`);
+        } catch (err) {
+          info.lastError = err.message;
+          console.error("[severity] reload failed, keeping old rules:", err);
+        }
+      });
+    }
+  }
+
+  // { severity, rule } where rule is null when the default applied
+  function rate(fault) {
+    const rule = active.rules.find((r) => r.test(fault || {})) || null;
+    return { severity: rule ? rule.severity : active.default, rule };
+  }
+
+  // the fault tagged with the severity and the rule that produced it
+  function apply(fault) {
+    const { severity, rule } = rate(fault);
+    return {
+      ...fault,
+      severity,
+      severityRule: rule
+        ? { id: rule.id, description: rule.description }
+        : { id: "default", description: null },
+    };
+  }
+
+  const stats = () => ({ ...info, rules: active.rules.length });
+
+  const close = () => file && watch && fs.unwatchFile(file);
+
+  return { rate, apply, stats, close };
+}
+
+export function buildSeverityRules() {
+  const file = process.env.SEVERITY_RULES_FILE;
+  return createSeverityRules({ file: file ? path.resolve(file) : null });
+}
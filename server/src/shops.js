@@ -0,0 +1,384 @@
+import fs from "fs";
+import path from "path";
+import { z } from "zod";
+import { createCheckpoint } from "./checkpoint.js";
+import { parseCsv } from "./kb.js";
+import { haversineMi } from "./geo.js";
+import { DTC_RE, dtcRepairCategory } from "./obd.js";
+
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// CSV cells hold lists as "Engine; Cooling"
+const List = (item) =>
+  z.preprocess(
+    (v) =>
+      typeof v === "string"
+        ? v
+            .split(/[;|]/)
+            .map((s) => s.trim())
+            .filter(Boolean)
+        : v,
+    z.array(item)
+  );
+
+// IANA names, e.g. "America/Chicago"
+function isTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// "24/7" | "mon-fri 07:00-18:00; sat 08:00-12:00" | { mon: "07:00-18:00" }
+const Hours = z.union([
+  z.string(),
+  z.record(z.enum(DAYS), z.union([z.string(), z.array(z.string())])),
+]);
+
+const ShopSchema = z.object({
+  name: z.string().min(1),
+  chain: z.string().optional(),
+  address: z.string().optional(),
+  phone: z.string().optional(),
+  lat: z.coerce.number().min(-90).max(90),
+  lon: z.coerce.number().min(-180).max(180),
+  timezone: z.string().refine(isTimeZone, "unknown time zone").optional(),
+  hours: Hours.optional(),
+  categories: List(z.string()).default([]), // KB repairCategory values
+  spns: List(z.coerce.number().int().nonnegative()).default([]),
+  brands: List(z.string()).default([]), // makes serviced; empty = any
+  diagnosticFee: z.coerce.number().nonnegative().optional(),
+  quoteUrl: z.string().optional(), // may contain {vin} and {codes}
+});
+
+const ImportRowSchema = ShopSchema.extend({
+  id: z.coerce.string().min(1),
+});
+
+// ranking weights; each part is scored 0..1 and the total is scaled to 0..10
+const WEIGHTS = { distance: 0.45, capability: 0.4, open: 0.15 };
+// straight-line miles -> road minutes
+const ROAD_FACTOR = 1.3;
+const AVG_MPH = 45;
+
+/** ---------- Opening hours ---------- */
+const toMin = (hhmm) => {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(hhmm.trim());
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+};
+
+function parseRanges(text) {
+  if (/^closed$/i.test(text.trim())) return [];
+  return text.split(",").map((r) => {
+    const [from, to] = r.split("-").map(toMin);
+    if (from == null || to == null) throw new Error(`bad hours "${r}"`);
+    return [from, to];
+  });
+}
+
+// -> { mon: [[420, 1080]], ... } in minutes since local midnight
+function compileHours(hours) {
+  if (hours == null) return null;
+  const out = Object.fromEntries(DAYS.map((d) => [d, []]));
+  if (typeof hours !== "string") {
+    for (const [day, v] of Object.entries(hours)) {
+      out[day] = [].concat(v).flatMap(parseRanges);
+    }
+    return out;
+  }
+  if (/^24\/7$/.test(hours.trim())) {
+    for (const d of DAYS) out[d] = [[0, 1440]];
+    return out;
+  }
+  for (const part of hours.split(";").filter((p) => p.trim())) {
+    const m = /^\s*([a-z]{3})(?:\s*-\s*([a-z]{3}))?\s+(.+)$/i.exec(part);
+    const from = m && DAYS.indexOf(m[1].toLowerCase());
+    const to = m && DAYS.indexOf((m[2] || m[1]).toLowerCase());
+    if (!m || from < 0 || to < 0) throw new Error(`bad hours "${part}"`);
+    const ranges = parseRanges(m[3]);
+    for (let i = from; ; i = (i + 1) % 7) {
+      out[DAYS[i]] = ranges;
+      if (i === to) break;
+    }
+  }
+  return out;
+}
+
+// local weekday and minute of `date` in `timeZone` (server zone if unset)
+function localTime(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      weekday: "short",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value])
+  );
+  return {
+    day: DAYS.indexOf(parts.weekday.toLowerCase()),
+    minute: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+// true/false, or null when the shop has no hours on file
+function isOpen(shop, date) {
+  const week = compileHours(shop.hours);
+  if (!week) return null;
+  const { day, minute } = localTime(date, shop.timezone);
+  const today = week[DAYS[day]];
+  const yesterday = week[DAYS[(day + 6) % 7]];
+  return (
+    today.some(([a, b]) =>
+      a <= b ? minute >= a && minute < b : minute >= a
+    ) ||
+    // a range like 22:00-06:00 runs past midnight
+    yesterday.some(([a, b]) => a > b && minute < b)
+  );
+}
+
+/** ---------- VIN -> make ---------- */
+// world manufacturer identifiers of the makes we run into most
+const WMI_MAKES = {
+  "1FU": "Freightliner",
+  "1FV": "Freightliner",
+  "3AK": "Freightliner",
+  "3AL": "Freightliner",
+  "1XK": "Kenworth",
+  "2XK": "Kenworth",
+  "1XP": "Peterbilt",
+  "2XP": "Peterbilt",
+  "4V4": "Volvo",
+  "4V5": "Volvo",
+  "1HT": "International",
+  "3HS": "International",
+  "3HA": "International",
+  "1M1": "Mack",
+  "1M2": "Mack",
+  "5KJ": "Western Star",
+  "1FD": "Ford",
+  "1FT": "Ford",
+  "1GC": "Chevrolet",
+  "1GD": "GMC",
+  "3C6": "Ram",
+  "3C7": "Ram",
+  WD3: "Mercedes-Benz",
+  WD4: "Mercedes-Benz",
+  JAL: "Isuzu",
+  JHH: "Hino",
+  "5PV": "Hino",
+};
+
+export function makeFromVin(vin) {
+  const wmi = String(vin || "").slice(0, 3);
+  return WMI_MAKES[wmi.toUpperCase()] || null;
+}
+
+/** ---------- Fault codes -> what a shop must handle ---------- */
+// "SPN 110 FMI 0" | "P0301" -> { code, spn, category }, with `org`'s KB
+function describeNeed(code, kb, org) {
+  const c = String(code || "").trim();
+  const spn = /SPN\s*(\d+)/i.exec(c);
+  if (spn) {
+    const id = Number(spn[1]);
+    return {
+      code: c,
+      spn: id,
+      category: kb?.get("spn", id, org)?.repairCategory,
+    };
+  }
+  const dtc = c.toUpperCase();
+  if (DTC_RE.test(dtc)) {
+    return { code: dtc, spn: null, category: dtcRepairCategory(dtc) };
+  }
+  return null;
+}
+
+const sameText = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+// shops without a brand list service everything
+const servicesMake = (shop, make) =>
+  !make || !shop.brands.length || shop.brands.some((b) => sameText(b, make));
+
+function matchNeeds(shop, needs) {
+  return needs.filter(
+    (n) =>
+      (n.spn != null && shop.spns.includes(n.spn)) ||
+      (n.category && shop.categories.some((c) => sameText(c, n.category)))
+  );
+}
+
+/**
+ * Local directory of service shops, imported from CSV/JSON and persisted in
+ * `file`. `search` ranks shops for a vehicle by straight-line distance, how
+ * many of its fault codes the shop handles (by SPN or repair category, see
+ * kb.js) and whether the shop is open right now.
+ */
+export function createShopDirectory({ file, kb = null }) {
+  const store = createCheckpoint({ file });
+  const shops = new Map(); // id -> shop
+  for (const [id, s] of Object.entries(store.load()?.shops || {})) {
+    shops.set(id, s);
+  }
+
+  function persist() {
+    return store
+      .save({ shops: Object.fromEntries(shops) })
+      .catch((err) => console.error("[shops] save failed:", err));
+  }
+
+  const get = (id) => {
+    const s = shops.get(String(id));
+    return s ? { id: String(id), ...s } : null;
+  };
+
+  const list = () =>
+    [...shops.keys()].sort((a, b) => a.localeCompare(b)).map(get);
+
+  // throws a ZodError (or a bad-hours Error) for bad input
+  function put(id, body) {
+    const shop = ShopSchema.parse(body);
+    compileHours(shop.hours);
+    shops.set(String(id), { ...shop, updatedAt: new Date().toISOString() });
+    persist();
+    return get(id);
+  }
+
+  function remove(id) {
+    if (!shops.delete(String(id))) return false;
+    persist();
+    return true;
+  }
+
+  /**
+   * Rows of { id, name, chain, address, phone, lat, lon, timezone, hours,
+   * categories, spns, brands, diagnosticFee, quoteUrl }; list cells in CSV
+   * are separated by ";". Existing ids are replaced. Returns
+   * { imported, errors } (errors capped at 50).
+   */
+  function importRows(input, format = "json") {
+    const rows = format === "csv" ? parseCsv(String(input)) : input;
+    if (!Array.isArray(rows)) throw new Error("expected an array of shops");
+    const result = { imported: 0, errors: [] };
+    const now = new Date().toISOString();
+    rows.forEach((row, i) => {
+      let issue = null;
+      const r = ImportRowSchema.safeParse(row);
+      if (!r.success) {
+        const first = r.error.issues[0];
+        issue = `${first.path.join(".")}: ${first.message}`;
+      } else {
+        try {
+          compileHours(r.data.hours);
+        } catch (err) {
+          issue = `hours: ${err.message}`;
+        }
+      }
+      if (issue) {
+        if (result.errors.length < 50)
+          result.errors.push({ row: i + 1, issue });
+        return;
+      }
+      const { id, ...shop } = r.data;
+      shops.set(id, { ...shop, updatedAt: now });
+      result.imported++;
+    });
+    if (result.imported > 0) persist();
+    return result;
+  }
+
+  function importFile(p) {
+    const text = fs.readFileSync(p, "utf8");
+    return path.extname(p).toLowerCase() === ".csv"
+      ? importRows(text, "csv")
+      : importRows(JSON.parse(text), "json");
+  }
+
+  /**
+   * Best shops for a vehicle at lat/lon with the given fault codes. Shops
+   * that don't service `make` (when both are known) or lie beyond
+   * `radiusMi` are left out. `org` picks whose KB entries say what a
+   * code needs.
+   */
+  function search({
+    lat,
+    lon,
+    codes = [],
+    make = null,
+    vin = null,
+    radiusMi = 150,
+    limit = 10,
+    at = new Date(),
+    org = null,
+  }) {
+    const needs = codes.map((c) => describeNeed(c, kb, org)).filter(Boolean);
+    const results = [];
+    for (const id of shops.keys()) {
+      const shop = get(id);
+      if (!servicesMake(shop, make)) continue;
+      const distanceMi = haversineMi(lat, lon, shop.lat, shop.lon);
+      if (distanceMi > radiusMi) continue;
+
+      const matched = matchNeeds(shop, needs);
+      const openNow = isOpen(shop, at);
+      const parts = {
+        distance: 1 - distanceMi / radiusMi,
+        capability: needs.length ? matched.length / needs.length : 1,
+        open: openNow == null ? 0.5 : openNow ? 1 : 0,
+      };
+      const score =
+        10 *
+        Object.entries(WEIGHTS).reduce((sum, [k, w]) => sum + w * parts[k], 0);
+
+      results.push({
+        id,
+        name: shop.name,
+        chain: shop.chain ?? null,
+        address: shop.address ?? null,
+        phone: shop.phone ?? null,
+        lat: shop.lat,
+        lon: shop.lon,
+        distanceMi: Math.round(distanceMi * 10) / 10,
+        etaMin: Math.round(((distanceMi * ROAD_FACTOR) / AVG_MPH) * 60),
+        openNow,
+        matchedCodes: matched.map((n) => n.code),
+        categories: shop.categories,
+        priceEstimate: shop.diagnosticFee ?? null,
+        quoteUrl: shop.quoteUrl
+          ? shop.quoteUrl
+              .replace("{vin}", encodeURIComponent(vin || ""))
+              .replace("{codes}", encodeURIComponent(codes.join(",")))
+          : null,
+        score: Math.round(score * 10) / 10,
+      });
+    }
+    results.sort((a, b) => b.score - a.score || a.distanceMi - b.distanceMi);
+    return { needs, shops: results.slice(0, limit) };
+  }
+
+  const stats = () => ({ total: shops.size });
+
+  return { get, list, put, remove, importRows, importFile, search, stats };
+}
+
+export function buildShopDirectory({ dataDir, kb }) {
+  const dir = createShopDirectory({
+    file: path.join(dataDir, "shops.json"),
+    kb,
+  });
+  // SHOPS_IMPORT=/path/shops.csv,/path/extra.json is (re)applied at every boot
+  for (const p of (process.env.SHOPS_IMPORT || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)) {
+    const r = dir.importFile(path.resolve(p));
+    console.log(
+      `[shops] imported ${p}: ${r.imported} shops, ${r.errors.length} errors`
+    );
+  }
+  return dir;
+}
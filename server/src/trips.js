@@ -0,0 +1,132 @@
+import { haversineMi } from "./geo.js";
+
+const MIN_MS = 60_000;
+
+// stored location/speed events -> one sample per timestamp
+function toSamples(events) {
+  const samples = [];
+  let last = null;
+  for (const ev of events) {
+    const t = Date.parse(ev.time);
+    if (!Number.isFinite(t)) continue;
+    if (!last || last.t !== t) {
+      // carry the last known fix/speed forward so every sample has both
+      last = { ...last, t, time: ev.time };
+      samples.push(last);
+    }
+    if (ev.kind === "location") {
+      Object.assign(last, {
+        lat: ev.lat,
+        lon: ev.lon,
+        city: ev.city,
+        state: ev.state,
+      });
+    } else if (ev.kind === "speed") {
+      last.mph = ev.mph;
+    }
+  }
+  return samples.filter((s) => s.lat != null && s.lon != null);
+}
+
+const placeOf = (s) => ({
+  time: s.time,
+  lat: s.lat,
+  lon: s.lon,
+  city: s.city ?? null,
+  state: s.state ?? null,
+});
+
+/**
+ * Splits an asset's position/speed stream into trips. A trip starts at the
+ * first sample at or above `movingMph` and ends once the asset has been
+ * below it for `stopMinutes` (or the feed went quiet that long); shorter
+ * stops count as idle time within the trip. Trips under `minMiles` are GPS
+ * jitter and dropped.
+ */
+export function createTripSegmenter({
+  movingMph = 5,
+  stopMinutes = 5,
+  minMiles = 0.1,
+} = {}) {
+  const stopMs = stopMinutes * MIN_MS;
+
+  // `events` as returned by the history store, oldest first; newest trip
+  // first. `until` is the end of the queried range (capped at now).
+  function segment(events, { until = Date.now() } = {}) {
+    const trips = [];
+    let trip = null;
+    let prev = null;
+
+    // `end` is where the trip stopped; null while it is still going
+    function close(end, { distanceMi }) {
+      const last = end || prev;
+      const durationMs = last.t - trip.start.t;
+      const movingMs = Math.max(0, durationMs - trip.idleMs);
+      if (end === null || distanceMi >= minMiles) {
+        trips.push({
+          id: trip.start.time,
+          start: placeOf(trip.start),
+          end: end && placeOf(end),
+          inProgress: end === null,
+          distanceMi: +distanceMi.toFixed(2),
+          durationMs,
+          maxMph: +trip.maxMph.toFixed(1),
+          avgMph: movingMs
+            ? +(distanceMi / (movingMs / 3_600_000)).toFixed(1)
+            : null,
+          idleMinutes: Math.round(trip.idleMs / MIN_MS),
+        });
+      }
+      trip = null;
+    }
+
+    for (const s of toSamples(events)) {
+      const moving = (s.mph ?? 0) >= movingMph;
+      // a gap in the feed ends the trip where the data stopped
+      if (trip && s.t - prev.t >= stopMs)
+        close(trip.stop?.sample || prev, trip.stop || trip);
+      if (!trip) {
+        if (moving) {
+          trip = {
+            start: s,
+            distanceMi: 0,
+            maxMph: s.mph,
+            idleMs: 0,
+            stop: null, // { sample, distanceMi } while stopped
+          };
+        }
+        prev = s;
+        continue;
+      }
+
+      trip.distanceMi += haversineMi(prev.lat, prev.lon, s.lat, s.lon);
+      trip.maxMph = Math.max(trip.maxMph, s.mph ?? 0);
+      if (moving) {
+        if (trip.stop) trip.idleMs += s.t - trip.stop.sample.t;
+        trip.stop = null;
+      } else {
+        trip.stop ??= { sample: s, distanceMi: trip.distanceMi };
+        if (s.t - trip.stop.sample.t >= stopMs)
+          close(trip.stop.sample, trip.stop);
+      }
+      prev = s;
+    }
+    if (trip) {
+      // still driving, or not stopped long enough; data that ended a while
+      // before `until` ended the trip like any other gap in the feed
+      if (until - prev.t < stopMs) close(null, trip);
+      else close(trip.stop?.sample || prev, trip.stop || trip);
+    }
+    return trips.reverse();
+  }
+
+  return { segment };
+}
+
+export function buildTripSegmenter() {
+  return createTripSegmenter({
+    movingMph: parseFloat(process.env.TRIP_MOVING_MPH || "5"),
+    stopMinutes: parseFloat(process.env.TRIP_STOP_MINUTES || "5"),
+    minMiles: parseFloat(process.env.TRIP_MIN_MILES || "0.1"),
+  });
+}
@@ -0,0 +1,271 @@
+import crypto from "crypto";
+import path from "path";
+import { z } from "zod";
+import { createCheckpoint } from "./checkpoint.js";
+import { signPayload } from "./notify.js";
+
+const TIMEOUT_MS = 10_000;
+
+const SubscriptionSchema = z.object({
+  url: z.string().url(),
+  // event names, "geofence:*" style prefixes, or "*" (everything but the
+  // per-message "update" stream, which has to be named to be sent)
+  events: z.array(z.string().min(1)).min(1),
+  description: z.string().optional(),
+  enabled: z.boolean().default(true),
+  secret: z.string().min(16).optional(), // generated when missing
+});
+
+function eventMatches(patterns, event) {
+  return patterns.some((p) =>
+    p === "*"
+      ? event !== "update"
+      : p.endsWith(":*")
+      ? event.startsWith(p.slice(0, -1))
+      : p === event
+  );
+}
+
+// list/get never hand the secret back, only enough to recognize it
+const masked = ({ secret, ...sub }) => ({
+  ...sub,
+  secretHint: `…${secret.slice(-4)}`,
+});
+
+/**
+ * Outbound webhooks: per-org subscriptions (in `file`) receive the events
+ * the dashboards get over Socket.IO as signed JSON POSTs. Each delivery is
+ * retried with exponential backoff (`retryBaseMs` doubling, `maxAttempts`
+ * in total) and logged with every attempt's status, response code and
+ * latency; the newest `maxDeliveries` finished ones are kept, and pending
+ * ones resume after a restart. The body is serialized once, when the event
+ * happens, so every attempt sends (and signs) the same bytes.
+ */
+export function createWebhooks({
+  file,
+  maxAttempts = 6,
+  retryBaseMs = 10_000,
+  maxDeliveries = 2000,
+}) {
+  const store = createCheckpoint({ file });
+  const subs = new Map(); // id -> { org, ...subscription }
+  let deliveries = []; // oldest first
+  const counters = { delivered: 0, failed: 0, retried: 0 };
+
+  const saved = store.load();
+  for (const s of saved?.subscriptions || []) subs.set(s.id, s);
+  deliveries = saved?.deliveries || [];
+
+  // only finished deliveries age out; pending ones still have retries due
+  function trim() {
+    let excess =
+      deliveries.filter((d) => d.status !== "pending").length - maxDeliveries;
+    if (excess <= 0) return;
+    deliveries = deliveries.filter(
+      (d) => d.status === "pending" || excess-- <= 0
+    );
+  }
+
+  // delivery results come in bursts; write at most once a second
+  let saveTimer = null;
+  function persist() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      trim();
+      store
+        .save({ subscriptions: [...subs.values()], deliveries })
+        .catch((err) => console.error("[webhooks] save failed:", err));
+    }, 1000);
+    saveTimer.unref();
+  }
+
+  const find = (org, id) => {
+    const s = subs.get(id);
+    return s && s.org === org ? s : null;
+  };
+  const get = (org, id) => {
+    const s = find(org, id);
+    return s && masked(s);
+  };
+  const list = (org) =>
+    [...subs.values()].filter((s) => s.org === org).map(masked);
+
+  // the only response that carries the secret; throws a ZodError
+  function create(org, body) {
+    const at = new Date().toISOString();
+    const parsed = SubscriptionSchema.parse(body);
+    const sub = {
+      id: crypto.randomUUID(),
+      org,
+      ...parsed,
+      secret: parsed.secret || crypto.randomBytes(24).toString("base64url"),
+      createdAt: at,
+      updatedAt: at,
+    };
+    subs.set(sub.id, sub);
+    persist();
+    return sub;
+  }
+
+  // null when missing; the secret stays unless a new one is given
+  function update(org, id, body) {
+    const cur = find(org, id);
+    if (!cur) return null;
+    const parsed = SubscriptionSchema.parse(body);
+    const sub = {
+      ...cur,
+      ...parsed,
+      secret: parsed.secret || cur.secret,
+      updatedAt: new Date().toISOString(),
+    };
+    subs.set(id, sub);
+    persist();
+    return masked(sub);
+  }
+
+  function remove(org, id) {
+    if (!find(org, id)) return false;
+    subs.delete(id);
+    persist();
+    return true;
+  }
+
+  async function attempt(delivery) {
+    const sub = subs.get(delivery.subscriptionId);
+    if (!sub) {
+      delivery.status = "failed";
+      delivery.error = "subscription deleted";
+      persist();
+      return;
+    }
+    // logs from before `body` was stored kept the payload itself
+    const body = delivery.body ?? JSON.stringify(delivery.payload);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const started = Date.now();
+    const result = { at: new Date(started).toISOString() };
+    try {
+      const res = await fetch(sub.url, {
+        method: "POST",
+        headers: {
+          "content-type": "application/json",
+          "x-webhook-id": delivery.id,
+          "x-webhook-event": delivery.event,
+          "x-webhook-timestamp": timestamp,
+          "x-webhook-signature": signPayload(sub.secret, timestamp, body),
+        },
+        body,
+        signal: AbortSignal.timeout(TIMEOUT_MS),
+      });
+      result.statusCode = res.status;
+      result.ok = res.ok;
+      res.body?.cancel().catch(() => {});
+    } catch (err) {
+      result.ok = false;
+      result.error = err.name === "TimeoutError" ? "timed out" : err.message;
+    }
+    result.latencyMs = Date.now() - started;
+    delivery.attempts.push(result);
+    delivery.updatedAt = new Date().toISOString();
+
+    if (result.ok) {
+      delivery.status = "succeeded";
+      counters.delivered++;
+    } else if (delivery.attempts.length >= maxAttempts) {
+      delivery.status = "failed";
+      counters.failed++;
+      console.warn(
+        `[webhooks] giving up on ${delivery.event} to ${sub.url} after ${delivery.attempts.length} attempts`
+      );
+    } else {
+      const wait = retryBaseMs * 2 ** (delivery.attempts.length - 1);
+      delivery.nextAttemptAt = new Date(Date.now() + wait).toISOString();
+      counters.retried++;
+      schedule(delivery, wait);
+    }
+    if (delivery.status !== "pending") delivery.nextAttemptAt = null;
+    persist();
+  }
+
+  function schedule(delivery, waitMs) {
+    setTimeout(() => attempt(delivery), Math.max(0, waitMs)).unref();
+  }
+
+  function enqueue(sub, event, data) {
+    const at = new Date().toISOString();
+    const id = crypto.randomUUID();
+    const delivery = {
+      id,
+      org: sub.org,
+      subscriptionId: sub.id,
+      event,
+      status: "pending",
+      createdAt: at,
+      updatedAt: at,
+      nextAttemptAt: at,
+      attempts: [],
+      body: JSON.stringify({ id, event, org: sub.org, time: at, data }),
+    };
+    deliveries.push(delivery);
+    schedule(delivery, 0);
+    return delivery;
+  }
+
+  // every enabled subscription of `org` that wants `event`
+  function dispatch(org, event, data) {
+    for (const sub of subs.values()) {
+      if (sub.org === org && sub.enabled && eventMatches(sub.events, event))
+        enqueue(sub, event, data);
+    }
+  }
+
+  // a "test" event for one subscription, whatever its filter says
+  function sendTest(org, id) {
+    const sub = find(org, id);
+    if (!sub) return null;
+    return enqueue(sub, "test", {
+      message: "Test event from the fleet dashboard",
+    });
+  }
+
+  // newest first
+  function deliveriesOf(org, id, { status, limit = 100 } = {}) {
+    return deliveries
+      .filter(
+        (d) =>
+          d.org === org &&
+          d.subscriptionId === id &&
+          (!status || d.status === status)
+      )
+      .slice(-limit)
+      .reverse();
+  }
+
+  // resume whatever was still pending when the process stopped
+  for (const d of deliveries) {
+    if (d.status === "pending")
+      schedule(d, Date.parse(d.nextAttemptAt) - Date.now() || 0);
+  }
+
+  const stats = () => ({ subscriptions: subs.size, ...counters });
+
+  return {
+    get,
+    list,
+    create,
+    update,
+    remove,
+    dispatch,
+    sendTest,
+    deliveries: deliveriesOf,
+    stats,
+  };
+}
+
+export function buildWebhooks({ dataDir }) {
+  return createWebhooks({
+    file: path.join(dataDir, "webhooks.json"),
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || "6", 10),
+    retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS || "10000", 10),
+  });
+}
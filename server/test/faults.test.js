@@ -0,0 +1,149 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createFaultEpisodes } from "../src/faults.js";
+import {
+  normalizeJ1939FaultItem,
+  normalizeObdDtcItem,
+} from "../src/normalize.js";
+
+const T0 = Date.parse("2026-10-19T01:00:00Z");
+const at = (sec) => new Date(T0 + sec * 1000).toISOString();
+
+const j1939 = (sec, spnId, fmiId, src = "Engine #1", extra = {}) => ({
+  ...normalizeJ1939FaultItem(
+    { spnId, fmiId, sourceAddressName: src, ...extra },
+    at(sec)
+  ),
+  severity: "warning",
+});
+const obd = (sec, code) => ({
+  ...normalizeObdDtcItem({ code, status: "confirmed" }, at(sec)),
+  severity: "critical",
+});
+
+const setup = () => {
+  const appended = [];
+  const episodes = createFaultEpisodes({
+    history: { append: (org, e) => appended.push({ org, ...e }) },
+  });
+  const asset = {
+    id: "t1",
+    org: "acme",
+    faults: { active: [], history: [], counts: {} },
+  };
+  const codes = () => asset.faults.active.map((f) => f.code).sort();
+  return { ...episodes, asset, appended, codes };
+};
+
+test("opens an episode and counts repeats of the same code", () => {
+  const { handleFaultMerge, asset, appended } = setup();
+  const first = handleFaultMerge(asset, j1939(0, 1327, 11));
+  const again = handleFaultMerge(asset, j1939(60, 1327, 11));
+  assert.equal(again.id, first.id);
+  assert.equal(again.occurrences, 2);
+  assert.equal(again.firstSeen, at(0));
+  assert.equal(again.lastSeen, at(60));
+  assert.equal(again.durationMs, 60_000);
+  assert.equal(asset.faults.active.length, 1);
+  assert.equal(asset.faults.history.length, 1);
+  assert.deepEqual(asset.faults.counts, {
+    critical: 0,
+    warning: 1,
+    info: 0,
+    unknown: 0,
+  });
+  assert.deepEqual(
+    appended.map((e) => [e.org, e.kind, e.active]),
+    [
+      ["acme", "fault", true],
+      ["acme", "fault", true],
+    ]
+  );
+});
+
+test("the same SPN/FMI from two sources is two episodes", () => {
+  const { handleFaultMerge, asset } = setup();
+  handleFaultMerge(asset, j1939(0, 1327, 11, "Engine #1"));
+  handleFaultMerge(asset, j1939(0, 1327, 11, "Engine #2"));
+  assert.equal(asset.faults.active.length, 2);
+});
+
+test("an explicit clear closes the episode; a stray clear does nothing", () => {
+  const { handleFaultMerge, asset, appended } = setup();
+  handleFaultMerge(asset, j1939(0, 1327, 11));
+  const closed = handleFaultMerge(asset, {
+    ...j1939(300, 1327, 11),
+    active: false,
+  });
+  assert.equal(closed.active, false);
+  assert.equal(closed.clearedAt, at(300));
+  assert.equal(closed.durationMs, 300_000);
+  assert.equal(asset.faults.active.length, 0);
+  assert.equal(asset.faults.history[0].clearedAt, at(300));
+  assert.equal(appended.at(-1).active, false);
+
+  const stray = { ...j1939(400, 100, 1), active: false };
+  assert.equal(handleFaultMerge(asset, stray), null);
+});
+
+test("a full set clears that source's codes that are missing", () => {
+  const { applyFaultSet, asset, codes } = setup();
+  applyFaultSet(asset, [j1939(0, 1327, 11), j1939(0, 100, 1)], at(0), "j1939");
+  const episodes = applyFaultSet(asset, [j1939(60, 100, 1)], at(60), "j1939");
+  assert.deepEqual(codes(), ["SPN 100 FMI 1"]);
+  const cleared = episodes.find((e) => !e.active);
+  assert.equal(cleared.code, "SPN 1327 FMI 11");
+  assert.equal(cleared.clearedAt, at(60));
+});
+
+test("a set from one source leaves other sources' codes open", () => {
+  const { applyFaultSet, asset, codes } = setup();
+  applyFaultSet(
+    asset,
+    [j1939(0, 1327, 11, "Engine #1"), j1939(0, 520, 2, "Transmission #1")],
+    at(0),
+    "j1939"
+  );
+  applyFaultSet(asset, [j1939(60, 100, 1, "Engine #1")], at(60), "j1939");
+  assert.deepEqual(codes(), ["SPN 100 FMI 1", "SPN 520 FMI 2"]);
+});
+
+test("an empty set clears every code of that protocol only", () => {
+  const { applyFaultSet, asset, codes } = setup();
+  applyFaultSet(
+    asset,
+    [j1939(0, 1327, 11, "Engine #1"), j1939(0, 520, 2, "Transmission #1")],
+    at(0),
+    "j1939"
+  );
+  applyFaultSet(asset, [obd(0, "P0301")], at(0), "obd2");
+  const episodes = applyFaultSet(asset, [], at(60), "j1939");
+  assert.equal(episodes.length, 2);
+  assert.ok(episodes.every((e) => !e.active && e.clearedAt === at(60)));
+  assert.deepEqual(codes(), ["P0301"]);
+  assert.equal(asset.faults.counts.critical, 1);
+  assert.equal(asset.faults.counts.warning, 0);
+});
+
+test("a code that comes back after clearing opens a new episode", () => {
+  const { applyFaultSet, asset } = setup();
+  const [first] = applyFaultSet(asset, [obd(0, "P0301")], at(0), "obd2");
+  applyFaultSet(asset, [], at(60), "obd2");
+  const [second] = applyFaultSet(asset, [obd(120, "P0301")], at(120), "obd2");
+  assert.notEqual(second.id, first.id);
+  assert.equal(second.occurrences, 1);
+  assert.equal(asset.faults.history.length, 2);
+});
+
+test("milOn follows the active faults", () => {
+  const { applyFaultSet, asset } = setup();
+  applyFaultSet(
+    asset,
+    [j1939(0, 1327, 11, "Engine #1", { milStatus: 1 })],
+    at(0),
+    "j1939"
+  );
+  assert.equal(asset.milOn, true);
+  applyFaultSet(asset, [], at(60), "j1939");
+  assert.equal(asset.milOn, false);
+});
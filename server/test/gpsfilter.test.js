@@ -0,0 +1,110 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createGpsFilter } from "../src/gpsfilter.js";
+
+const T0 = Date.parse("2026-10-19T01:00:00Z");
+const at = (sec) => new Date(T0 + sec * 1000).toISOString();
+const fix = (sec, lat, lon, extra = {}) => ({
+  id: "g1",
+  time: at(sec),
+  lat,
+  lon,
+  heading: 90,
+  mph: 40,
+  ...extra,
+});
+
+// Dallas, then ~0.7 mi north a minute later (about 41 mph)
+const DALLAS = [32.7, -96.8];
+const NEARBY = [32.71, -96.8];
+const LA = [34.05, -118.24];
+
+const setup = (opts) => {
+  const filter = createGpsFilter({ resyncAfter: 3, ...opts });
+  const screen = (rec, prev) => filter.screen("o", "g1", prev, rec);
+  return { filter, screen };
+};
+
+test("accepts plausible fixes and counts them", () => {
+  const { filter, screen } = setup();
+  assert.equal(screen(fix(0, ...DALLAS)).decision, "accepted");
+  const r = screen(fix(60, ...NEARBY));
+  assert.equal(r.decision, "accepted");
+  assert.equal(r.rec.lat, NEARBY[0]);
+  assert.equal(filter.countsOf("o", "g1").accepted, 2);
+});
+
+test("drops a late fix, including its speed", () => {
+  const { filter, screen } = setup();
+  screen(fix(60, ...DALLAS));
+  const r = screen(fix(30, ...NEARBY));
+  assert.equal(r.decision, "outOfOrder");
+  assert.equal(r.rec.lat, undefined);
+  assert.equal(r.rec.mph, undefined);
+  assert.equal(r.rec.time, at(30));
+  assert.equal(filter.countsOf("o", "g1").lastRejected.reason, "outOfOrder");
+});
+
+test("treats a replay of the current fix as out of order", () => {
+  const { screen } = setup();
+  screen(fix(60, ...DALLAS));
+  assert.equal(screen(fix(60, ...DALLAS)).decision, "outOfOrder");
+});
+
+test("drops an inaccurate fix but keeps the rest of the record", () => {
+  const { screen } = setup({ maxAccuracyMeters: 100 });
+  screen(fix(0, ...DALLAS));
+  const r = screen(fix(60, ...NEARBY, { accuracyMeters: 500 }));
+  assert.equal(r.decision, "inaccurate");
+  assert.equal(r.rec.lat, undefined);
+  assert.equal(r.rec.accuracyMeters, undefined);
+  assert.equal(r.rec.mph, 40);
+});
+
+test("drops a jump and resyncs after consistent jumps in a row", () => {
+  const { filter, screen } = setup();
+  screen(fix(0, ...DALLAS));
+  assert.equal(screen(fix(60, ...LA)).decision, "jump");
+  assert.equal(screen(fix(120, ...LA)).decision, "jump");
+  assert.equal(screen(fix(180, ...LA)).decision, "accepted");
+  assert.equal(screen(fix(240, LA[0] + 0.001, LA[1])).decision, "accepted");
+  const c = filter.countsOf("o", "g1");
+  assert.deepEqual([c.accepted, c.jump], [3, 2]);
+});
+
+test("jumps that disagree with each other never resync", () => {
+  const { screen } = setup();
+  screen(fix(0, ...DALLAS));
+  assert.equal(screen(fix(60, ...LA)).decision, "jump");
+  assert.equal(screen(fix(120, 40.7, -74)).decision, "jump");
+  assert.equal(screen(fix(180, ...LA)).decision, "jump");
+});
+
+test("ignores jitter between close fixes", () => {
+  const { screen } = setup();
+  screen(fix(0, ...DALLAS));
+  // ~110 m in one second would be ~250 mph, but it is within the tolerance
+  assert.equal(screen(fix(1, 32.701, -96.8)).decision, "accepted");
+});
+
+test("after a restart, judges against the asset's fixTime, not its time", () => {
+  const { screen } = setup();
+  // a stats message moved `time` past the last fix
+  const prev = {
+    lat: DALLAS[0],
+    lon: DALLAS[1],
+    fixTime: at(0),
+    time: at(300),
+  };
+  assert.equal(screen(fix(60, ...NEARBY), prev).decision, "accepted");
+  assert.equal(screen(fix(30, ...DALLAS), prev).decision, "outOfOrder");
+});
+
+test("passes records without a fix through untouched", () => {
+  const { filter, screen } = setup();
+  const rec = { id: "g1", time: at(0), mph: 12 };
+  const r = screen(rec);
+  assert.equal(r.decision, null);
+  assert.equal(r.rec, rec);
+  assert.equal(filter.countsOf("o", "g1"), null);
+});
@@ -0,0 +1,148 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, test } from "node:test";
+import { createIdleTracker, idleReportCsv } from "../src/idle.js";
+
+const T0 = Date.parse("2026-10-19T23:50:00Z");
+const at = (min) => new Date(T0 + min * 60_000).toISOString();
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "idle-test-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+let files = 0;
+
+const setup = (opts) => {
+  const file = path.join(dir, `idle-${files++}.json`);
+  const tracker = createIdleTracker({ file, minMinutes: 5, ...opts });
+  const asset = { id: "t1", org: "acme", vin: "V1", lat: 32.7, lon: -96.8 };
+  // merge `fields` into the asset at minute `min`, then track it
+  const update = (min, fields) => {
+    Object.assign(asset, fields, { time: at(min) });
+    return tracker.track(asset, { time: at(min) }).map((e) => e.type);
+  };
+  return { tracker, asset, update, file };
+};
+
+test("an idle engine becomes an episode after minMinutes", () => {
+  const { asset, update } = setup();
+  assert.deepEqual(update(0, { engineState: "idle", mph: 0 }), []);
+  assert.equal(asset.idle.started, false);
+  assert.deepEqual(update(4, {}), []);
+  assert.deepEqual(update(5, {}), ["started"]);
+  assert.deepEqual(update(8, {}), []);
+  assert.deepEqual(update(9, { engineState: "off" }), ["ended"]);
+  assert.equal(asset.idle, null);
+});
+
+test("a stop shorter than minMinutes is no episode", () => {
+  const { tracker, update } = setup();
+  update(0, { engineState: "on", mph: 0 });
+  assert.deepEqual(update(4, { mph: 30 }), []);
+  assert.equal(tracker.stats().episodes, 0);
+});
+
+test("engine on while moving is not idle", () => {
+  const { asset, update } = setup();
+  update(0, { engineState: "on", mph: 40 });
+  assert.equal(asset.idle, null);
+});
+
+test("without an engine state, standing still counts as motion idle", () => {
+  const { asset, update } = setup();
+  update(0, { mph: 0 });
+  assert.equal(asset.idle.source, "motion");
+  assert.deepEqual(update(6, { engineState: "idle" }), ["started"]);
+  assert.equal(asset.idle.source, "engine");
+});
+
+test("drifting off the spot ends the visit and starts a new one", () => {
+  const { asset, update } = setup({ driftMeters: 50 });
+  update(0, { engineState: "idle", mph: 0 });
+  update(6, {});
+  // ~110 m north
+  assert.deepEqual(update(7, { lat: 32.701 }), ["ended"]);
+  assert.equal(asset.idle.since, at(7));
+  assert.equal(asset.idle.started, false);
+});
+
+test("reports episodes by asset and splits them at midnight by day", () => {
+  const { tracker, update } = setup();
+  update(0, { engineState: "idle", mph: 0 });
+  update(5, {});
+  update(20, { engineState: "off" }); // 23:50 -> 00:10
+  const from = Date.parse(at(-60));
+  const to = Date.parse(at(60));
+
+  const byAsset = tracker.report({ org: "acme", from, to });
+  assert.equal(byAsset.rows.length, 1);
+  assert.equal(byAsset.rows[0].assetId, "t1");
+  assert.equal(byAsset.rows[0].idleMs, 20 * 60_000);
+
+  const byDay = tracker.report({ org: "acme", from, to, groupBy: "day" });
+  assert.deepEqual(
+    byDay.rows.map((r) => [r.day, r.idleMs / 60_000]),
+    [
+      ["2026-10-19", 10],
+      ["2026-10-20", 10],
+    ]
+  );
+  assert.equal(tracker.report({ org: "beta", from, to }).rows.length, 0);
+});
+
+test("counts a live episode up to the asset's last report", () => {
+  const { tracker, asset, update } = setup();
+  update(0, { engineState: "idle", mph: 0 });
+  update(7, {});
+  const r = tracker.report({
+    org: "acme",
+    assets: [asset],
+    from: Date.parse(at(-60)),
+    to: Date.parse(at(60)),
+  });
+  assert.equal(r.totalIdleMs, 7 * 60_000);
+});
+
+test("ended episodes are written once per burst", async () => {
+  const { tracker, file } = setup();
+  for (const id of ["a", "b"]) {
+    const a = { id, org: "acme", lat: 1, lon: 1 };
+    for (const [min, engineState] of [
+      [0, "idle"],
+      [6, "idle"],
+      [7, "off"],
+    ]) {
+      tracker.track(Object.assign(a, { engineState, mph: 0 }), {
+        time: at(min),
+      });
+    }
+  }
+  assert.equal(fs.existsSync(file), false);
+  await tracker.flush();
+  const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+  assert.deepEqual(
+    saved.episodes.map((e) => e.assetId),
+    ["a", "b"]
+  );
+});
+
+test("CSV quotes separators and defuses formula cells", () => {
+  const csv = idleReportCsv({
+    groupBy: "asset",
+    rows: [
+      { assetId: "=HYPERLINK(1)", vin: "a,b", episodes: 1, idleMs: 60_000 },
+      { assetId: "@cmd", vin: '"q"', episodes: 2, idleMs: 120_000 },
+      { assetId: "-1+2", vin: "+x", episodes: 1, idleMs: 0, longestMs: 0 },
+    ],
+  });
+  assert.equal(
+    csv,
+    [
+      "assetId,vin,episodes,idleMinutes,longestMinutes",
+      `'=HYPERLINK(1),"a,b",1,1,0`,
+      `'@cmd,"""q""",2,2,0`,
+      `'-1+2,'+x,1,0,0`,
+      "",
+    ].join("\n")
+  );
+});
@@ -0,0 +1,112 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createAuth } from "../src/auth.js";
+import { createMetrics, metricsAccess } from "../src/metrics.js";
+import { createOrgs } from "../src/orgs.js";
+
+test("renders counters, gauges and collected series with their labels", () => {
+  const m = createMetrics({ prefix: "bridge_" });
+  const consumed = m.counter("consumed_total", "Messages consumed");
+  consumed.inc({ topic: "samsara.location", partition: 0 });
+  consumed.inc({ topic: "samsara.location", partition: 0 }, 2);
+  consumed.inc({ topic: "samsara.faults", partition: 1 });
+  m.gauge("lag", "Consumer lag").set({ partition: 0 }, 12);
+  m.collect("assets", "Assets in memory", "gauge", () => [[{}, 3]]);
+  m.collect("limit", "Unbounded", "gauge", () => [[{ kind: "max" }, Infinity]]);
+
+  assert.equal(
+    m.render(),
+    [
+      "# HELP bridge_consumed_total Messages consumed",
+      "# TYPE bridge_consumed_total counter",
+      'bridge_consumed_total{topic="samsara.location",partition="0"} 3',
+      'bridge_consumed_total{topic="samsara.faults",partition="1"} 1',
+      "# HELP bridge_lag Consumer lag",
+      "# TYPE bridge_lag gauge",
+      'bridge_lag{partition="0"} 12',
+      "# HELP bridge_assets Assets in memory",
+      "# TYPE bridge_assets gauge",
+      "bridge_assets 3",
+      "# HELP bridge_limit Unbounded",
+      "# TYPE bridge_limit gauge",
+      'bridge_limit{kind="max"} +Inf',
+      "",
+    ].join("\n")
+  );
+});
+
+test("escapes backslashes, quotes and newlines in label values", () => {
+  const m = createMetrics();
+  m.counter("dropped_total", "Dropped").inc({ reason: 'bad "json"\\\nline' });
+  assert.match(
+    m.render(),
+    /^dropped_total\{reason="bad \\"json\\"\\\\\\nline"\} 1$/m
+  );
+});
+
+test("renders cumulative histogram buckets, sum and count", () => {
+  const m = createMetrics();
+  const h = m.histogram("seconds", "Latency", [0.1, 1]);
+  h.observe({ topic: "t" }, 0.05);
+  h.observe({ topic: "t" }, 0.5);
+  h.observe({ topic: "t" }, 3);
+  const lines = m.render().trim().split("\n").slice(2);
+  assert.deepEqual(lines, [
+    'seconds_bucket{topic="t",le="0.1"} 1',
+    'seconds_bucket{topic="t",le="1"} 2',
+    'seconds_bucket{topic="t",le="+Inf"} 3',
+    'seconds_sum{topic="t"} 3.55',
+    'seconds_count{topic="t"} 3',
+  ]);
+});
+
+/** ---------- /metrics access ---------- */
+const auth = createAuth({
+  secret: "test-secret",
+  users: [
+    { username: "ann", role: "admin", org: "*", password: "pw1" },
+    { username: "ada", role: "admin", org: "acme", password: "pw5" },
+  ],
+});
+const orgs = createOrgs({ orgs: [{ id: "acme", topics: [] }] });
+const bearer = (token) => ({ authorization: `Bearer ${token}` });
+
+// the status the guard answers with; 200 when it lets the request through
+const statusOf = (guard, headers = {}) =>
+  new Promise((resolve) => {
+    const res = {
+      status(code) {
+        this.code = code;
+        return this;
+      },
+      json: () => resolve(res.code),
+    };
+    guard({ headers, query: {} }, res, () => resolve(200));
+  });
+
+test("with METRICS_TOKEN, only that bearer token may scrape", async () => {
+  const guard = metricsAccess({
+    token: "scrape-me",
+    authenticate: auth.authenticate,
+    isStaff: orgs.isStaff,
+  });
+  assert.equal(await statusOf(guard, bearer("scrape-me")), 200);
+  assert.equal(await statusOf(guard, bearer("scrape-me-not")), 401);
+  assert.equal(await statusOf(guard), 401);
+  // a staff login is not the token
+  const staff = auth.login("ann", "pw1", "127.0.0.1").token;
+  assert.equal(await statusOf(guard, bearer(staff)), 401);
+});
+
+test("without METRICS_TOKEN, a staff login may scrape and tenants may not", async () => {
+  const guard = metricsAccess({
+    token: "",
+    authenticate: auth.authenticate,
+    isStaff: orgs.isStaff,
+  });
+  const staff = auth.login("ann", "pw1", "127.0.0.1").token;
+  const tenant = auth.login("ada", "pw5", "127.0.0.1").token;
+  assert.equal(await statusOf(guard, bearer(staff)), 200);
+  assert.equal(await statusOf(guard, bearer(tenant)), 403);
+  assert.equal(await statusOf(guard), 401);
+});
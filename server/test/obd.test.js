@@ -0,0 +1,79 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  DTC_RE,
+  describeDtc,
+  dtcRepairCategory,
+  dtcSystem,
+  isMisfireDtc,
+} from "../src/obd.js";
+import { normalizeObdDtcItem } from "../src/normalize.js";
+
+test("DTC_RE takes a system letter, a 0-3 digit and three hex characters", () => {
+  for (const code of ["P0301", "C0035", "B1A2F", "U0100", "P3FFF"]) {
+    assert.ok(DTC_RE.test(code), code);
+  }
+  for (const code of ["P4301", "X0301", "P030", "P03011", "P030G", "p0301"]) {
+    assert.ok(!DTC_RE.test(code), code);
+  }
+});
+
+test("describes known codes, including every misfire cylinder", () => {
+  assert.equal(describeDtc("P0171"), "System Too Lean (Bank 1)");
+  assert.equal(describeDtc("p0420"), describeDtc("P0420"));
+  assert.equal(
+    describeDtc("P0300"),
+    "Random/Multiple Cylinder Misfire Detected"
+  );
+  assert.equal(describeDtc("P0312"), "Cylinder 12 Misfire Detected");
+});
+
+test("falls back to system, scope and P-code subsystem", () => {
+  assert.equal(
+    describeDtc("P0399"),
+    "Powertrain (generic): ignition system or misfire"
+  );
+  assert.equal(
+    describeDtc("P1134"),
+    "Powertrain (manufacturer-specific): fuel and air metering"
+  );
+  assert.equal(
+    describeDtc("P3400"),
+    "Powertrain (generic or manufacturer-specific): auxiliary emission controls"
+  );
+  assert.equal(describeDtc("U0155"), "Network (generic)");
+  assert.equal(describeDtc("B1A00"), "Body (manufacturer-specific)");
+  assert.equal(describeDtc("not a code"), null);
+  assert.equal(describeDtc(null), null);
+});
+
+test("dtcSystem, isMisfireDtc and dtcRepairCategory", () => {
+  assert.equal(dtcSystem("C0035"), "Chassis");
+  assert.equal(dtcSystem("Z0000"), null);
+  assert.equal(dtcSystem(undefined), null);
+  assert.ok(isMisfireDtc("P0300"));
+  assert.ok(isMisfireDtc("P0312"));
+  assert.ok(!isMisfireDtc("P0313"));
+  assert.ok(!isMisfireDtc(null));
+  assert.equal(dtcRepairCategory("P0420"), "Aftertreatment");
+  assert.equal(dtcRepairCategory("U0100"), "Electrical");
+  assert.equal(dtcRepairCategory("junk"), null);
+});
+
+test("normalized DTCs carry the description, system and status", () => {
+  const f = normalizeObdDtcItem(
+    { code: "P0301", status: "pending", milStatus: 1 },
+    "2026-10-19T01:00:00.000Z"
+  );
+  assert.equal(f.protocol, "obd2");
+  assert.equal(f.description, "Cylinder 1 Misfire Detected");
+  assert.equal(f.meta.system, "Powertrain");
+  assert.equal(f.meta.dtcStatus, "pending");
+  assert.deepEqual(f.meta.dtcStatuses, ["pending"]);
+
+  const own = normalizeObdDtcItem(
+    { code: "P1234", status: "confirmed", description: "Fuel pump relay" },
+    "2026-10-19T01:00:00.000Z"
+  );
+  assert.equal(own.description, "Fuel pump relay");
+});
@@ -0,0 +1,130 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, test } from "node:test";
+import { createRecorder } from "../src/recorder.js";
+import { createReplaySource, toKafkaMessage } from "../src/replay.js";
+
+const VIN = "1FUJGLDR5CLBP8834";
+const TOKEN = /VIN-[0-9a-f]{12}/;
+
+const dirs = [];
+const tmpDir = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rec-test-"));
+  dirs.push(dir);
+  return dir;
+};
+after(() => {
+  for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const message = (value, extra = {}) => ({
+  key: Buffer.from(VIN),
+  value: Buffer.isBuffer(value) ? value : Buffer.from(value),
+  headers: { source: Buffer.from("samsara") },
+  offset: "41",
+  timestamp: "1760835600000",
+  ...extra,
+});
+
+// record `messages`, close, and return the parsed lines
+async function recordAll(opts, messages) {
+  const dir = tmpDir();
+  const rec = createRecorder({ dir, ...opts });
+  for (const m of messages) {
+    rec.record({ topic: "samsara.location", partition: 2, message: m });
+  }
+  await rec.close();
+  const lines = fs
+    .readFileSync(rec.stats.file, "utf8")
+    .trim()
+    .split("\n")
+    .map((l) => JSON.parse(l));
+  return { dir, file: rec.stats.file, lines };
+}
+
+// play `file` through a replay source and collect what eachMessage sees
+async function replayAll(file, count) {
+  const source = createReplaySource({ files: [file], speed: "max" });
+  await source.subscribe({ topic: "samsara.location" });
+  const seen = [];
+  await new Promise((resolve) =>
+    source.run({
+      eachMessage: async (m) => {
+        seen.push(m);
+        if (seen.length === count) resolve();
+      },
+    })
+  );
+  await source.disconnect();
+  return seen;
+}
+
+test("utf8 recordings replay as the same messages", async () => {
+  const value = JSON.stringify({ id: "t1", lat: 32.7, lon: -96.8 });
+  const { file, lines } = await recordAll({}, [message(value)]);
+  assert.equal(lines[0].valueEncoding, "utf8");
+  assert.equal(lines[0].value, value);
+
+  const [m] = await replayAll(file, 1);
+  assert.equal(m.topic, "samsara.location");
+  assert.equal(m.partition, 2);
+  assert.equal(m.message.value.toString(), value);
+  assert.equal(m.message.key.toString(), VIN);
+  assert.equal(m.message.headers.source.toString(), "samsara");
+  assert.equal(m.message.timestamp, "1760835600000");
+});
+
+test("base64 recordings keep bytes that are not valid UTF-8", async () => {
+  const raw = Buffer.from([0x00, 0xff, 0xfe, 0x80, 0x41]);
+  const key = Buffer.from([0xc3, 0x28]);
+  const { file, lines } = await recordAll({ encoding: "base64" }, [
+    message(raw, { key }),
+  ]);
+  assert.equal(lines[0].keyEncoding, "base64");
+  assert.equal(lines[0].headersEncoding, "base64");
+  assert.equal(lines[0].valueEncoding, "base64");
+
+  const [m] = await replayAll(file, 1);
+  assert.deepEqual(m.message.value, raw);
+  assert.deepEqual(m.message.key, key);
+  assert.equal(m.message.headers.source.toString(), "samsara");
+});
+
+test("redacts VINs consistently in key and value", async () => {
+  const value = JSON.stringify({ vin: VIN, note: `truck ${VIN}` });
+  const { lines } = await recordAll({ redactVin: true }, [message(value)]);
+  const m = toKafkaMessage(lines[0], 0);
+  const body = JSON.parse(m.value.toString());
+  assert.match(body.vin, TOKEN);
+  assert.equal(body.note, `truck ${body.vin}`);
+  assert.equal(m.key.toString(), body.vin);
+  assert.ok(!JSON.stringify(lines[0]).includes(VIN));
+});
+
+test("redacts VINs under base64 but leaves invalid UTF-8 alone", async () => {
+  const text = Buffer.from(JSON.stringify({ vin: VIN }));
+  const raw = Buffer.concat([Buffer.from([0xff]), Buffer.from(VIN)]);
+  const { lines } = await recordAll({ encoding: "base64", redactVin: true }, [
+    message(text),
+    message(raw),
+  ]);
+  const [a, b] = lines.map((l, i) => toKafkaMessage(l, i));
+  assert.match(JSON.parse(a.value.toString()).vin, TOKEN);
+  assert.deepEqual(b.value, raw);
+});
+
+test("sampling drops a topic's messages at rate 0", async () => {
+  const dir = tmpDir();
+  const rec = createRecorder({ dir, sample: "samsara.location=0" });
+  rec.record({
+    topic: "samsara.location",
+    partition: 0,
+    message: message("{}"),
+  });
+  rec.record({ topic: "samsara.stats", partition: 0, message: message("{}") });
+  await rec.close();
+  assert.equal(rec.stats.sampledOut, 1);
+  assert.equal(rec.stats.recorded, 1);
+});
@@ -0,0 +1,139 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, test } from "node:test";
+import { createSeverityRules } from "../src/severity.js";
+
+const fault = (meta, extra = {}) => ({ protocol: "j1939", meta, ...extra });
+const obd = (dtc, meta = {}) => ({
+  protocol: "obd2",
+  meta: { dtc, dtcStatus: "confirmed", ...meta },
+});
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "severity-test-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const writeRules = (file, rules, mtimeSec) => {
+  fs.writeFileSync(file, JSON.stringify(rules));
+  // watchFile compares mtimes; make each write visibly newer
+  if (mtimeSec) fs.utimesSync(file, mtimeSec, mtimeSec);
+};
+
+// resolves once `check()` holds, polling like the watcher does
+const eventually = async (check, ms = 8000) => {
+  const until = Date.now() + ms;
+  while (!check()) {
+    if (Date.now() > until) throw new Error("timed out");
+    await new Promise((r) => setTimeout(r, 100));
+  }
+};
+
+test("default rules rate lamps, MIL and misfires", () => {
+  const rules = createSeverityRules();
+  const rate = (f) => rules.rate(f).severity;
+  assert.equal(rate(fault({ redLampStatus: 1 })), "critical");
+  assert.equal(rate(fault({ milStatus: 1, spn: 1327 })), "critical");
+  assert.equal(rate(fault({ milStatus: 1, spn: 100 })), "warning");
+  assert.equal(
+    rate(fault({ milStatus: 1, spnDescription: "Cylinder 3 Misfire" })),
+    "critical"
+  );
+  assert.equal(rate(fault({ amberLampStatus: 1 })), "warning");
+  assert.equal(rate(fault({ protectLampStatus: true })), "warning");
+  assert.equal(rate(obd("P0304", { milStatus: 1 })), "critical");
+  assert.equal(rate(obd("P0420", { milStatus: 1 })), "warning");
+  assert.equal(rate(fault({ spn: 100 })), "info");
+});
+
+test("the first matching rule wins and apply tags it", () => {
+  const file = path.join(dir, "order.json");
+  writeRules(file, {
+    default: "info",
+    rules: [
+      { id: "oil", severity: "critical", when: { spn: 100, fmi: [1, 17] } },
+      { id: "engine", severity: "warning", when: { source: "/^engine/i" } },
+    ],
+  });
+  const rules = createSeverityRules({ file, watch: false });
+  const oil = rules.apply(
+    fault({ spn: 100, fmi: 1, sourceAddressName: "Engine #1" })
+  );
+  assert.equal(oil.severity, "critical");
+  assert.deepEqual(oil.severityRule, { id: "oil", description: null });
+  const other = rules.apply(
+    fault({ spn: 100, fmi: 3, sourceAddressName: "Engine #1" })
+  );
+  assert.equal(other.severityRule.id, "engine");
+  const none = rules.apply(fault({ spn: 100, fmi: 3 }));
+  assert.equal(none.severity, "info");
+  assert.equal(none.severityRule.id, "default");
+});
+
+test("matches ranges, protocols, DTC statuses and occurrence counts", () => {
+  const file = path.join(dir, "match.json");
+  writeRules(file, [
+    {
+      id: "range",
+      severity: "critical",
+      when: { spn: { min: 500, max: 599 } },
+    },
+    {
+      id: "pending",
+      severity: "info",
+      when: { protocol: "obd2", dtcStatus: ["pending"] },
+    },
+    {
+      id: "obd",
+      severity: "warning",
+      when: { protocol: "obd2", dtc: "p0171" },
+    },
+    { id: "often", severity: "warning", when: { minOccurrences: 5 } },
+  ]);
+  const rules = createSeverityRules({ file, watch: false });
+  const id = (f) => rules.rate(f).rule?.id ?? null;
+  assert.equal(id(fault({ spn: 520 })), "range");
+  assert.equal(id(fault({ spn: 600 })), null);
+  assert.equal(id(obd("P0171", { dtcStatus: "pending" })), "pending");
+  assert.equal(id(obd("P0171")), "obd");
+  assert.equal(id(fault({ spn: 100, occurrenceCount: 5 })), "often");
+  assert.equal(id(fault({ spn: 100, occurrenceCount: 4 })), null);
+  // a bare array means default "info"
+  assert.equal(rules.rate(fault({ spn: 1 })).severity, "info");
+});
+
+test("rejects a bad rules file at startup", () => {
+  const file = path.join(dir, "bad.json");
+  writeRules(file, { rules: [{ id: "x", severity: "urgent" }] });
+  assert.throws(() => createSeverityRules({ file, watch: false }));
+});
+
+test("hot-reloads the file and keeps the old rules on a broken edit", async () => {
+  const file = path.join(dir, "live.json");
+  const now = Math.floor(Date.now() / 1000);
+  writeRules(
+    file,
+    [{ id: "a", severity: "warning", when: { spn: 100 } }],
+    now - 60
+  );
+  const rules = createSeverityRules({ file });
+  try {
+    assert.equal(rules.rate(fault({ spn: 100 })).severity, "warning");
+
+    writeRules(
+      file,
+      [{ id: "b", severity: "critical", when: { spn: 100 } }],
+      now - 30
+    );
+    await eventually(() => rules.stats().reloads === 1);
+    assert.equal(rules.rate(fault({ spn: 100 })).rule.id, "b");
+
+    fs.writeFileSync(file, "{ not json");
+    fs.utimesSync(file, now, now);
+    await eventually(() => rules.stats().lastError != null);
+    assert.equal(rules.stats().reloads, 1);
+    assert.equal(rules.rate(fault({ spn: 100 })).rule.id, "b");
+  } finally {
+    rules.close();
+  }
+});
@@ -0,0 +1,96 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createTripSegmenter } from "../src/trips.js";
+
+const T0 = Date.parse("2026-10-19T01:00:00Z");
+const at = (min) => new Date(T0 + min * 60_000).toISOString();
+
+// a fix and a speed at minute `min`, `lat` degrees north of Dallas
+// (0.01 degrees is about 0.69 mi, so one step a minute is ~41 mph)
+const sample = (min, lat, mph) => [
+  { kind: "location", time: at(min), lat: 32.7 + lat, lon: -96.8 },
+  { kind: "speed", time: at(min), mph },
+];
+// driving north from minute `from` to `to`, one step a minute
+const drive = (from, to, lat0 = 0) =>
+  Array.from({ length: to - from + 1 }, (_, i) =>
+    sample(from + i, lat0 + i * 0.01, 40)
+  ).flat();
+const parked = (from, to, lat) =>
+  Array.from({ length: to - from + 1 }, (_, i) =>
+    sample(from + i, lat, 0)
+  ).flat();
+
+const { segment } = createTripSegmenter({ stopMinutes: 5, minMiles: 0.1 });
+const LATER = T0 + 24 * 3_600_000;
+
+test("a trip runs from the first moving sample to where it stopped", () => {
+  const events = [...parked(0, 2, 0), ...drive(3, 10), ...parked(11, 20, 0.08)];
+  const [trip, ...rest] = segment(events, { until: LATER });
+  assert.equal(rest.length, 0);
+  assert.equal(trip.start.time, at(3));
+  assert.equal(trip.end.time, at(11));
+  assert.equal(trip.inProgress, false);
+  assert.equal(trip.durationMs, 8 * 60_000);
+  assert.ok(trip.distanceMi > 5 && trip.distanceMi < 6, trip.distanceMi);
+  assert.equal(trip.maxMph, 40);
+  assert.equal(trip.idleMinutes, 0);
+});
+
+test("a stop shorter than stopMinutes is idle time within the trip", () => {
+  const events = [
+    ...drive(0, 5),
+    ...parked(6, 9, 0.05), // 4 minutes at a light
+    ...drive(10, 15, 0.06),
+    ...parked(16, 25, 0.11),
+  ];
+  const trips = segment(events, { until: LATER });
+  assert.equal(trips.length, 1);
+  assert.equal(trips[0].idleMinutes, 4);
+  assert.equal(trips[0].end.time, at(16));
+});
+
+test("a stop of exactly stopMinutes ends the trip", () => {
+  const events = [
+    ...drive(0, 5),
+    ...parked(6, 11, 0.05),
+    ...drive(12, 15, 0.06),
+  ];
+  const trips = segment(events, { until: LATER });
+  assert.equal(trips.length, 2);
+  assert.equal(trips[1].end.time, at(6));
+  assert.equal(trips[0].start.time, at(12));
+});
+
+test("a gap in the feed ends the trip where the data stopped", () => {
+  const events = [...drive(0, 5), ...drive(10, 15, 0.5)];
+  const [second, first] = segment(events, { until: LATER });
+  assert.equal(first.end.time, at(5));
+  assert.equal(first.inProgress, false);
+  assert.equal(second.start.time, at(10));
+  // a gap just under stopMinutes does not
+  const joined = segment([...drive(0, 5), ...drive(9, 15, 0.06)], {
+    until: LATER,
+  });
+  assert.equal(joined.length, 1);
+});
+
+test("drops trips shorter than minMiles", () => {
+  const events = [
+    ...sample(0, 0, 8),
+    ...sample(1, 0.0005, 8),
+    ...parked(2, 10, 0.001),
+  ];
+  assert.deepEqual(segment(events, { until: LATER }), []);
+});
+
+test("the last trip is in progress only while its data is recent", () => {
+  const events = [...drive(0, 10), ...parked(11, 13, 0.11)];
+  const live = segment(events, { until: Date.parse(at(15)) });
+  assert.equal(live[0].inProgress, true);
+  assert.equal(live[0].end, null);
+
+  const stale = segment(events, { until: Date.parse(at(18)) });
+  assert.equal(stale[0].inProgress, false);
+  assert.equal(stale[0].end.time, at(11));
+});
@@ -0,0 +1,200 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, test } from "node:test";
+import { createWebhooks } from "../src/webhooks.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "webhooks-test-"));
+let files = 0;
+const realFetch = globalThis.fetch;
+after(() => {
+  globalThis.fetch = realFetch;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// every POST lands in `calls`; `respond(call)` returns the status code
+function stubFetch(respond = () => 200) {
+  const calls = [];
+  globalThis.fetch = async (url, init) => {
+    const call = { url, ...init, at: Date.now() };
+    calls.push(call);
+    return new Response(null, { status: respond(call, calls.length) });
+  };
+  return calls;
+}
+
+const eventually = async (check, ms = 5000) => {
+  const until = Date.now() + ms;
+  while (!check()) {
+    if (Date.now() > until) throw new Error("timed out");
+    await new Promise((r) => setTimeout(r, 10));
+  }
+};
+
+const setup = (opts = {}) => {
+  const file = opts.file ?? path.join(dir, `webhooks-${files++}.json`);
+  const hooks = createWebhooks({ retryBaseMs: 20, ...opts, file });
+  return { hooks, file };
+};
+const SECRET = "0123456789abcdef0123";
+
+test("signs the body it sends with the subscription's secret", async () => {
+  const calls = stubFetch();
+  const { hooks } = setup();
+  const sub = hooks.create("acme", {
+    url: "https://hooks.test/in",
+    events: ["fault:*"],
+    secret: SECRET,
+  });
+  hooks.dispatch("acme", "fault:opened", { code: "P0301" });
+  hooks.dispatch("acme", "update", { id: "t1" }); // not subscribed
+  hooks.dispatch("beta", "fault:opened", { code: "P0301" }); // other org
+  await eventually(() => calls.length === 1);
+
+  const [call] = calls;
+  const h = call.headers;
+  const mac = crypto
+    .createHmac("sha256", SECRET)
+    .update(`${h["x-webhook-timestamp"]}.${call.body}`)
+    .digest("hex");
+  assert.equal(h["x-webhook-signature"], `sha256=${mac}`);
+  assert.equal(h["x-webhook-event"], "fault:opened");
+  const body = JSON.parse(call.body);
+  assert.equal(body.id, h["x-webhook-id"]);
+  assert.equal(body.org, "acme");
+  assert.deepEqual(body.data, { code: "P0301" });
+  await eventually(
+    () => hooks.deliveries("acme", sub.id)[0].status === "succeeded"
+  );
+});
+
+test("retries with doubling backoff and sends the same bytes", async () => {
+  const calls = stubFetch((_, n) => (n < 3 ? 500 : 200));
+  const { hooks } = setup({ retryBaseMs: 40 });
+  const sub = hooks.create("acme", {
+    url: "https://hooks.test/in",
+    events: ["*"],
+  });
+  const data = { mph: 71 };
+  hooks.dispatch("acme", "alert", data);
+  data.mph = 0; // later changes to the event must not leak into retries
+  await eventually(() => calls.length === 3);
+
+  // 40 then 80 ms, give or take a timer tick
+  assert.ok(calls[1].at - calls[0].at >= 35);
+  assert.ok(calls[2].at - calls[1].at >= 75);
+  assert.equal(calls[1].body, calls[0].body);
+  assert.equal(calls[2].body, calls[0].body);
+  assert.equal(JSON.parse(calls[0].body).data.mph, 71);
+
+  await eventually(
+    () => hooks.deliveries("acme", sub.id)[0].status === "succeeded"
+  );
+  const [d] = hooks.deliveries("acme", sub.id);
+  assert.deepEqual(
+    d.attempts.map((a) => a.statusCode),
+    [500, 500, 200]
+  );
+  assert.equal(d.nextAttemptAt, null);
+  assert.equal(hooks.stats().retried, 2);
+});
+
+test("gives up after maxAttempts", async () => {
+  const calls = stubFetch(() => 503);
+  const { hooks } = setup({ maxAttempts: 3, retryBaseMs: 5 });
+  const sub = hooks.create("acme", {
+    url: "https://hooks.test/in",
+    events: ["*"],
+  });
+  hooks.sendTest("acme", sub.id);
+  await eventually(
+    () => hooks.deliveries("acme", sub.id)[0].status === "failed"
+  );
+  assert.equal(calls.length, 3);
+  assert.equal(hooks.stats().failed, 1);
+});
+
+test("trimming keeps pending deliveries and they resume after a restart", async () => {
+  const calls = stubFetch((call) => (call.url.includes("down") ? 500 : 200));
+  const { hooks, file } = setup({ maxDeliveries: 1, retryBaseMs: 60_000 });
+  const down = hooks.create("acme", {
+    url: "https://down.test/",
+    events: ["*"],
+  });
+  hooks.dispatch("acme", "alert", { n: 1 });
+  const up = hooks.create("acme", { url: "https://up.test/", events: ["*"] });
+  hooks.update("acme", down.id, {
+    url: "https://down.test/",
+    events: ["alert"],
+  });
+  for (let n = 2; n <= 4; n++) hooks.dispatch("acme", "stale", { n });
+  await eventually(
+    () => hooks.deliveries("acme", up.id, { status: "succeeded" }).length === 3
+  );
+  assert.equal(hooks.deliveries("acme", down.id)[0].status, "pending");
+
+  // the debounced save trims the log
+  await eventually(() => fs.existsSync(file));
+  await eventually(() => {
+    const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+    return saved.deliveries.length === 2;
+  });
+  const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+  assert.deepEqual(
+    saved.deliveries.map((d) => [d.status, JSON.parse(d.body).data.n]),
+    [
+      ["pending", 1],
+      ["succeeded", 4],
+    ]
+  );
+
+  // after a restart the pending one is retried with its stored body, once
+  // its next attempt is due
+  const pending = saved.deliveries[0];
+  pending.nextAttemptAt = new Date(Date.now() - 1000).toISOString();
+  fs.writeFileSync(file, JSON.stringify(saved));
+  const before = calls.length;
+  const restarted = createWebhooks({ file, retryBaseMs: 60_000 });
+  await eventually(() => calls.length === before + 1);
+  assert.equal(calls.at(-1).body, pending.body);
+  assert.equal(restarted.deliveries("acme", down.id)[0].attempts.length, 2);
+});
+
+test("resumes a pending delivery logged before bodies were stored", async () => {
+  const calls = stubFetch();
+  const file = path.join(dir, "legacy.json");
+  const payload = { id: "d1", event: "alert", org: "acme", data: { n: 1 } };
+  fs.writeFileSync(
+    file,
+    JSON.stringify({
+      savedAt: new Date().toISOString(),
+      subscriptions: [
+        {
+          id: "s1",
+          org: "acme",
+          url: "https://hooks.test/in",
+          events: ["*"],
+          enabled: true,
+          secret: SECRET,
+        },
+      ],
+      deliveries: [
+        {
+          id: "d1",
+          org: "acme",
+          subscriptionId: "s1",
+          event: "alert",
+          status: "pending",
+          nextAttemptAt: new Date().toISOString(),
+          attempts: [],
+          payload,
+        },
+      ],
+    })
+  );
+  createWebhooks({ file });
+  await eventually(() => calls.length === 1);
+  assert.deepEqual(JSON.parse(calls[0].body), payload);
+});